@@ -6,14 +6,409 @@ document.addEventListener('DOMContentLoaded', () => {
     // スケールバーを右下に追加
     L.control.scale({ position: 'bottomright', imperial: false, maxWidth: 150 }).addTo(map);
 
-    // 国土地理院タイルレイヤー
-    L.tileLayer('https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png', {
-        attribution: "<a href='https://maps.gsi.go.jp/development/ichiran.html' target='_blank'>地理院タイル</a>"
-    }).addTo(map);
+    // 国土地理院タイルレイヤー（背景地図パネルで選択した地図を表示する）
+    let baseTileLayer = null;
+    let hillshadeLayer = null; // 背景に重ねる陰影起伏図のタイルレイヤー
+
+    // --- 画像オーバーレイクラス定義 ---
+
+    /**
+     * 3つの角（左上・右上・左下）で配置を指定する画像オーバーレイ
+     * L.ImageOverlay を拡張し、CSSのmatrix変換で回転・せん断を含むアフィン変形を表示する
+     */
+    const AffineImageOverlay = L.ImageOverlay.extend({
+        /**
+         * @param {string} url 画像のURL
+         * @param {L.LatLng[]} corners 画像の左上・右上・左下の座標
+         * @param {Object} options L.ImageOverlay のオプション
+         */
+        initialize: function (url, corners, options) {
+            this._corners = corners.map(corner => L.latLng(corner));
+            L.ImageOverlay.prototype.initialize.call(this, url, this._getCornerBounds(), options);
+            // 画像の読み込み完了後に自然サイズが確定するので配置し直す
+            this.on('load', this._reset, this);
+        },
+
+        /**
+         * 四隅の座標を取得する
+         * @returns {L.LatLng[]} 左上・右上・右下・左下の座標
+         */
+        getCorners: function () {
+            const [topLeft, topRight, bottomLeft] = this._corners;
+            const crs = L.CRS.EPSG3857;
+            const p0 = crs.project(topLeft);
+            const p1 = crs.project(topRight);
+            const p3 = crs.project(bottomLeft);
+            const bottomRight = crs.unproject(p1.add(p3).subtract(p0));
+            return [topLeft, topRight, bottomRight, bottomLeft];
+        },
+
+        /**
+         * 3つの角の座標で配置を更新する
+         * @param {L.LatLng[]} corners 左上・右上・左下の座標
+         * @returns {this}
+         */
+        setCorners: function (corners) {
+            this._corners = corners.map(corner => L.latLng(corner));
+            this._bounds = this._getCornerBounds();
+            if (this._map) {
+                this._reset();
+            }
+            return this;
+        },
+
+        /**
+         * 回転のない矩形として配置を更新する
+         * @param {L.LatLngBounds} bounds 画像の境界
+         * @returns {this}
+         */
+        setBounds: function (bounds) {
+            bounds = L.latLngBounds(bounds);
+            return this.setCorners([bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthWest()]);
+        },
+
+        /**
+         * 画像の中心座標を取得する
+         * @returns {L.LatLng} 中心座標
+         */
+        getCenter: function () {
+            const corners = this.getCorners();
+            const crs = L.CRS.EPSG3857;
+            return crs.unproject(crs.project(corners[0]).add(crs.project(corners[2])).divideBy(2));
+        },
+
+        /**
+         * 四隅を含む外接矩形を計算する
+         * @returns {L.LatLngBounds} 外接矩形
+         */
+        _getCornerBounds: function () {
+            return L.latLngBounds(this.getCorners());
+        },
+
+        _reset: function () {
+            if (!this._map || !this._image) return;
+            this._applyTransform(latlng => this._map.project(latlng)._subtract(this._map.getPixelOrigin()));
+        },
+
+        _animateZoom: function (e) {
+            this._applyTransform(latlng => this._map._latLngToNewLayerPoint(latlng, e.zoom, e.center));
+        },
+
+        /**
+         * 画像要素にアフィン変換を適用する
+         * @param {function(L.LatLng): L.Point} toPoint 座標をレイヤー座標に変換する関数
+         */
+        _applyTransform: function (toPoint) {
+            const { width, height } = this._getImageSize();
+            if (!width || !height) return; // 画像の読み込み完了前
+
+            const image = this._image;
+            image.style.width = width + 'px';
+            image.style.height = height + 'px';
+            image.style.transformOrigin = '0 0';
+            image.style.transform = `matrix(${this._getMatrix(toPoint).join(', ')})`;
+        },
+
+        /**
+         * 画像のピクセル座標からレイヤー座標へのアフィン変換の係数を求める
+         * @param {function(L.LatLng): L.Point} toPoint 座標をレイヤー座標に変換する関数
+         * @returns {number[]} CSSの matrix と同じ順の係数 [a, b, c, d, e, f]
+         */
+        _getMatrix: function (toPoint) {
+            const { width, height } = this._getImageSize();
+            const [topLeft, topRight, bottomLeft] = this._corners.map(toPoint);
+            return [
+                (topRight.x - topLeft.x) / width, (topRight.y - topLeft.y) / width,
+                (bottomLeft.x - topLeft.x) / height, (bottomLeft.y - topLeft.y) / height,
+                topLeft.x, topLeft.y
+            ];
+        },
+
+        /**
+         * 画像の元のサイズを取得する
+         * @returns {{width: number, height: number}} 幅と高さ（px）
+         */
+        _getImageSize: function () {
+            return { width: this._image.naturalWidth, height: this._image.naturalHeight };
+        }
+    });
+
+    const IMAGE_TILE_SIZE = 512; // 大きな画像を分割するタイルの一辺（px）
+
+    /**
+     * 大きな画像をタイルに分割して表示する AffineImageOverlay
+     * 元の画像を1/2ずつ縮小した画像のピラミッドを作り、表示縮尺に合った解像度のタイルのうち画面にかかるものだけを配置する
+     */
+    const TiledAffineImageOverlay = AffineImageOverlay.extend({
+        /**
+         * @param {HTMLImageElement} image 読み込み済みの画像
+         * @param {L.LatLng[]} corners 画像の左上・右上・左下の座標
+         * @param {Object} options L.ImageOverlay のオプション
+         */
+        initialize: function (image, corners, options) {
+            this._source = image;
+            this._levels = this._buildLevels(image);
+            this._tiles = new Map(); // 配置中のタイル（キーは '解像度の段階/列/行'）
+            AffineImageOverlay.prototype.initialize.call(this, image.src, corners, options);
+        },
+
+        getEvents: function () {
+            const events = AffineImageOverlay.prototype.getEvents.call(this);
+            events.moveend = this._updateTiles; // 地図の移動で画面に入ったタイルを配置する
+            return events;
+        },
+
+        /**
+         * 画像要素の代わりにタイルを入れる要素を作成する
+         */
+        _initImage: function () {
+            const container = this._image = L.DomUtil.create('div', 'leaflet-image-layer tiled-image-layer');
+            if (this._zoomAnimated) {
+                L.DomUtil.addClass(container, 'leaflet-zoom-animated');
+            }
+            if (this.options.className) {
+                L.DomUtil.addClass(container, this.options.className);
+            }
+        },
+
+        _getImageSize: function () {
+            return { width: this._source.naturalWidth, height: this._source.naturalHeight };
+        },
+
+        _reset: function () {
+            AffineImageOverlay.prototype._reset.call(this);
+            this._updateTiles();
+        },
+
+        /**
+         * 元の画像を長辺がタイル1枚に収まるまで1/2ずつ縮小した画像の配列を作る
+         * @param {HTMLImageElement} image 元の画像
+         * @returns {Array<HTMLImageElement|HTMLCanvasElement>} 解像度の段階ごとの画像（0が元の画像）
+         */
+        _buildLevels: function (image) {
+            const levels = [image];
+            let width = image.naturalWidth;
+            let height = image.naturalHeight;
+            while (Math.max(width, height) > IMAGE_TILE_SIZE) {
+                width = Math.ceil(width / 2);
+                height = Math.ceil(height / 2);
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(levels[levels.length - 1], 0, 0, width, height);
+                levels.push(canvas);
+            }
+            return levels;
+        },
+
+        /**
+         * 表示縮尺に合った解像度のタイルのうち、画面にかかるものを配置し、それ以外を取り除く
+         */
+        _updateTiles: function () {
+            if (!this._map || !this._image) return;
+            const { width, height } = this._getImageSize();
+            const [a, b, c, d, e, f] = this._getMatrix(latlng => this._map.project(latlng)._subtract(this._map.getPixelOrigin()));
+            const det = a * d - b * c;
+            if (!det) return;
+
+            // 画面上の1pxに元の画像の何pxが入るかから、画面の解像度を下回らない段階を選ぶ
+            const level = Math.max(0, Math.min(this._levels.length - 1, Math.floor(Math.log2(1 / Math.hypot(a, b)))));
+            const tileSpan = IMAGE_TILE_SIZE * 2 ** level; // タイル1枚が覆う元の画像のピクセル数
+
+            // 画面の四隅を元の画像のピクセル座標に戻し、画面にかかるタイルの範囲を求める（周囲に1枚分の余裕を持たせる）
+            const mapSize = this._map.getSize();
+            const pixels = [[0, 0], [mapSize.x, 0], [mapSize.x, mapSize.y], [0, mapSize.y]].map(corner => {
+                const point = this._map.containerPointToLayerPoint(corner);
+                return L.point((d * (point.x - e) - c * (point.y - f)) / det, (a * (point.y - f) - b * (point.x - e)) / det);
+            });
+            const minColumn = Math.max(0, Math.floor(Math.min(...pixels.map(p => p.x)) / tileSpan) - 1);
+            const maxColumn = Math.min(Math.ceil(width / tileSpan) - 1, Math.floor(Math.max(...pixels.map(p => p.x)) / tileSpan) + 1);
+            const minRow = Math.max(0, Math.floor(Math.min(...pixels.map(p => p.y)) / tileSpan) - 1);
+            const maxRow = Math.min(Math.ceil(height / tileSpan) - 1, Math.floor(Math.max(...pixels.map(p => p.y)) / tileSpan) + 1);
+
+            const visibleKeys = new Set();
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    const key = `${level}/${column}/${row}`;
+                    visibleKeys.add(key);
+                    if (!this._tiles.has(key)) {
+                        const tile = this._createTile(level, column, row);
+                        this._image.appendChild(tile);
+                        this._tiles.set(key, tile);
+                    }
+                }
+            }
+
+            // 画面から外れたタイルと別の段階のタイルを取り除く
+            this._tiles.forEach((tile, key) => {
+                if (!visibleKeys.has(key)) {
+                    L.DomUtil.remove(tile);
+                    this._tiles.delete(key);
+                }
+            });
+        },
+
+        /**
+         * タイルを1枚作成する
+         * @param {number} level 解像度の段階
+         * @param {number} column タイルの列
+         * @param {number} row タイルの行
+         * @returns {HTMLCanvasElement} 元の画像のピクセル座標で配置したタイル
+         */
+        _createTile: function (level, column, row) {
+            const levelImage = this._levels[level];
+            const levelWidth = level === 0 ? levelImage.naturalWidth : levelImage.width;
+            const levelHeight = level === 0 ? levelImage.naturalHeight : levelImage.height;
+            const x = column * IMAGE_TILE_SIZE;
+            const y = row * IMAGE_TILE_SIZE;
+            // 隣のタイルとの継ぎ目が見えないよう、右と下に1pxずつ重ねて切り出す
+            const tileWidth = Math.min(IMAGE_TILE_SIZE + 1, levelWidth - x);
+            const tileHeight = Math.min(IMAGE_TILE_SIZE + 1, levelHeight - y);
+
+            const tile = L.DomUtil.create('canvas', 'image-overlay-tile');
+            tile.width = tileWidth;
+            tile.height = tileHeight;
+            tile.getContext('2d').drawImage(levelImage, x, y, tileWidth, tileHeight, 0, 0, tileWidth, tileHeight);
+
+            const scale = 2 ** level;
+            tile.style.left = `${x * scale}px`;
+            tile.style.top = `${y * scale}px`;
+            tile.style.width = `${tileWidth * scale}px`;
+            tile.style.height = `${tileHeight * scale}px`;
+            return tile;
+        }
+    });
+
+    // --- データレイヤーの点のまとめ表示 ---
+
+    const DATA_CLUSTER_MAX_ZOOM = 15; // このズームレベル以下では、画面上で近い点をまとめて表示する
+    const DATA_CLUSTER_CELL_SIZE = 60; // 点をまとめる範囲（画面上の格子の一辺、px）
+    const DATA_CLUSTER_VIEW_PADDING = 0.5; // 地図に配置する点の範囲（画面の周囲に、画面の大きさに対してこの割合の余裕を持たせる）
+
+    /**
+     * 点（マーカー・円形マーカー）を多数含むデータレイヤー用の機能
+     * 画面の周囲にある点だけを地図に配置し、ズームレベルが小さい時は画面上の格子ごとに点をまとめて件数の円で表示する
+     * L.FeatureGroup・L.GeoJSON を拡張して使う（線・面は常に表示する）
+     */
+    const PointClusterMixin = {
+        getEvents: function () {
+            return { moveend: this._updateClusters }; // ズームの変更後にも発生する
+        },
+
+        onAdd: function (map) {
+            this._clusterMarkers = L.layerGroup().addTo(map);
+            this.eachLayer(layer => {
+                if (!this._isClusterPoint(layer)) map.addLayer(layer);
+            });
+            this._updateClusters();
+        },
+
+        onRemove: function (map) {
+            L.Util.cancelAnimFrame(this._clusterFrame);
+            this.eachLayer(map.removeLayer, map);
+            map.removeLayer(this._clusterMarkers);
+            this._clusterMarkers = null;
+        },
+
+        addLayer: function (layer) {
+            L.FeatureGroup.prototype.addLayer.call(this, layer);
+            // 地図に表示中のレイヤーに点を追加した場合は、まとめ方を次の描画までに更新する
+            if (this._map && this._isClusterPoint(layer)) this._scheduleClusterUpdate();
+            return this;
+        },
+
+        removeLayer: function (layer) {
+            L.FeatureGroup.prototype.removeLayer.call(this, layer);
+            if (this._map) this._scheduleClusterUpdate();
+            return this;
+        },
+
+        /**
+         * まとめて表示する対象の点かどうかを判定する
+         * @param {L.Layer} layer レイヤー
+         * @returns {boolean} 点の場合はtrue
+         */
+        _isClusterPoint: function (layer) {
+            return layer instanceof L.Marker || layer instanceof L.CircleMarker;
+        },
+
+        _scheduleClusterUpdate: function () {
+            L.Util.cancelAnimFrame(this._clusterFrame);
+            this._clusterFrame = L.Util.requestAnimFrame(this._updateClusters, this);
+        },
+
+        /**
+         * 画面の周囲にある点を地図に配置し、ズームレベルが小さい場合は同じ格子の点をまとめる
+         */
+        _updateClusters: function () {
+            const map = this._map;
+            if (!map) return;
+            const zoom = map.getZoom();
+            const bounds = map.getBounds().pad(DATA_CLUSTER_VIEW_PADDING);
+            const cells = new Map(); // 格子ごとの点
+
+            this.eachLayer(layer => {
+                if (!this._isClusterPoint(layer)) return;
+                const latlng = layer.getLatLng();
+                if (!bounds.contains(latlng)) {
+                    map.removeLayer(layer);
+                } else if (zoom > DATA_CLUSTER_MAX_ZOOM) {
+                    map.addLayer(layer);
+                } else {
+                    const point = map.project(latlng, zoom);
+                    const key = `${Math.floor(point.x / DATA_CLUSTER_CELL_SIZE)}/${Math.floor(point.y / DATA_CLUSTER_CELL_SIZE)}`;
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(layer);
+                }
+            });
+
+            this._clusterMarkers.clearLayers();
+            cells.forEach(layers => {
+                if (layers.length === 1) {
+                    map.addLayer(layers[0]);
+                    return;
+                }
+                layers.forEach(layer => map.removeLayer(layer));
+                this._clusterMarkers.addLayer(this._createClusterMarker(layers));
+            });
+        },
+
+        /**
+         * まとめた点の件数を表示するマーカーを作成する（クリックで点の範囲に拡大する）
+         * @param {L.Layer[]} layers まとめた点
+         * @returns {L.Marker} 点の平均の位置に置くマーカー
+         */
+        _createClusterMarker: function (layers) {
+            const latlngs = layers.map(layer => layer.getLatLng());
+            const center = L.latLng(
+                latlngs.reduce((sum, latlng) => sum + latlng.lat, 0) / latlngs.length,
+                latlngs.reduce((sum, latlng) => sum + latlng.lng, 0) / latlngs.length
+            );
+            const size = layers.length < 10 ? 'small' : (layers.length < 100 ? 'medium' : 'large');
+            const iconSize = { small: 30, medium: 36, large: 44 }[size];
+            const marker = L.marker(center, {
+                pane: this.options.pane,
+                title: `${layers.length}件（クリックで拡大）`,
+                icon: L.divIcon({
+                    className: `data-cluster-icon data-cluster-${size}`,
+                    html: `<span>${layers.length}</span>`,
+                    iconSize: [iconSize, iconSize]
+                })
+            });
+            marker.on('click', () => {
+                this._map.fitBounds(L.latLngBounds(latlngs), { maxZoom: DATA_CLUSTER_MAX_ZOOM + 1 });
+            });
+            return marker;
+        }
+    };
+
+    // GPS地点のマーカー用・GeoJSONの地物用のレイヤーグループ
+    const ClusteredFeatureGroup = L.FeatureGroup.extend(PointClusterMixin);
+    const ClusteredGeoJSON = L.GeoJSON.extend(PointClusterMixin);
 
     // --- 変数定義 ---
-    let imageOverlay = null; // 表示中の画像レイヤーを保持する変数
-    const currentImage = new Image(); // 表示中の画像のImageオブジェクトを保持
+    let imageOverlay = null; // 選択中の画像のレイヤーを保持する変数
+    let currentImage = new Image(); // 選択中の画像のImageオブジェクトを保持
     let centerMarker = null; // 地図の中心を示すマーカー
     let isCenteringMode = false; // 中心座標設定モードのフラグ
     let dragHandles = []; // ドラッグハンドル（角）の配列
@@ -21,7 +416,51 @@ document.addEventListener('DOMContentLoaded', () => {
     let dragCornerIndex = -1; // ドラッグ中の角のインデックス
     let resizeTooltip = null; // リサイズ中の情報表示用ツールチップ
     let isMovingImage = false; // 画像移動中かどうかのフラグ
+    let isRotating = false; // 回転ハンドルをドラッグ中かどうかのフラグ
     let moveStartPoint = null; // 移動開始時のマウス位置
+    let imagePointerId = null; // 画像をドラッグ中のポインター（マウス・タッチ・ペン）のID
+    const imageTouchPoints = new Map(); // 地図に触れている指の位置 pointerId → L.Point（地図コンテナ上）
+    let isPinchingImage = false; // 2本指で画像を拡大縮小・回転中かどうかのフラグ
+    let isGeorefMode = false; // 位置合わせ（基準点）モードのフラグ
+    let georefPoints = []; // 選択中の画像の基準点ペアの配列 { imagePoint, mapLatLng, residual }
+    let pendingImagePoint = null; // 地図上の対応点の入力待ちになっている画像上の点
+    let georefRms = null; // 基準点の残差のRMS誤差（m）
+    const imageLayers = []; // 読み込んだ画像（後ろほど上に表示） { image, overlay, fileName, pdfPage, sourceUrl, name, visible, georefType, georefPoints, georefRms, centerMarker }
+    let activeImageLayer = null; // 選択中の画像（表示倍率・透過度・回転角・位置合わせ・書き出しの対象）
+    let pendingProjectImages = []; // プロジェクトから復元待ちの画像情報（画像をファイル名で参照している場合）
+    let scaleMode = 'screen'; // 表示倍率の単位（'screen': 地図の表示幅に対する比率、'ground': 1ピクセルの地上距離 m/px）
+    let isPickingScalePoints = false; // 実寸の指定に使う画像上の2点を指定中かどうかのフラグ
+    let scalePoints = []; // 実寸の指定に使う画像上の2点（画像のピクセル座標）
+    let isPermalinkReady = false; // 起動時のURLからの復元が終わり、URLのハッシュを更新してよいかどうか
+    let permalinkUpdateTimer = null; // URLのハッシュの更新を遅らせるタイマー
+    const undoStack = []; // 元に戻す操作の履歴（後ろほど新しい） { label, snapshot }
+    const redoStack = []; // やり直す操作の履歴（後ろほど新しい） { label, snapshot }
+    let pendingHistory = null; // ドラッグ・入力の完了を待っている操作の履歴 { label, snapshot }
+    const dataLayers = []; // 読み込んだGPS・GeoJSONデータのレイヤー（後ろほど上に表示） { type, name, layer, pane, visible, style, ... }
+    let nextDataLayerId = 1; // データレイヤーのペイン名に付ける連番
+    let pendingImport = null; // 追加・置き換えの選択を待っている読み込み { type, onImport }
+    let styleTargetLayer = null; // スタイルパネルで編集中のデータレイヤー
+    const DATA_LAYER_BASE_Z_INDEX = 450; // データレイヤーのペインのz-indexの基準値（画像より上、通常のマーカーより下）
+    const LAYER_FIT_MAX_ZOOM = 17; // レイヤーの範囲を表示する時の最大ズームレベル
+    let drawTool = null; // 選択中の作図ツール（'point'・'line'・'polygon'・'edit'）
+    let drawingLatLngs = []; // 作図中の線・面の頂点
+    let editingFeature = null; // 編集中の図形 { dataLayer, layer }
+    let measureTool = null; // 選択中の計測ツール（'distance'・'area'・'bearing'・'feature'）
+    let measureLatLngs = []; // 計測中にクリックした頂点
+    let measureResult = null; // 計測結果 { summary: [[項目, 値]], segments: [区間の長さ] }
+    let isMeasureFinished = false; // 計測を確定したかどうか（次のクリックで新しい計測を始める）
+    let isProfilePickMode = false; // 断面図を表示する線の選択中かどうか
+    let profileSourceLayer = null; // 断面図を表示している線のレイヤー
+    let profileSamples = []; // 断面図の点 { distance, latlng, elevation }
+    let profileRequestId = 0; // 標高の取得中に別の線が選ばれたことを判定する連番
+    let pendingGpsImport = null; // 読込ダイアログで列の割り当てを待っているGPSデータ
+    let pendingPdfPageChoice = null; // ページ選択ダイアログで選択を待っているPDF { pdf, resolve, previewTask }
+    let coordDisplaySystem = 'latlng'; // 座標の表示形式（'latlng'・'dms'・平面直角座標系の系の番号）
+    let placeSearchMatches = []; // 地点検索の候補 { name, dataLayer, layer, score }
+    let placeSearchActiveIndex = 0; // 地点検索の候補のうち、Enterキーで選択する候補
+    let baseMapSettings = null; // 背景地図の設定 { selected, hillshade, hillshadeOpacity, customBaseMaps }
+    let offlineServiceWorkerReady = false; // オフライン用のService Workerを登録できたかどうか
+    let offlineDownload = null; // ダウンロード中のタイルの進捗 { cancelled, done, failed, size }
 
     // --- 初期マーカーの設置 ---
     // 中心座標用の円形アイコンを作成（ドラッグハンドルと同じスタイル）
@@ -31,6 +470,14 @@ document.addEventListener('DOMContentLoaded', () => {
         iconSize: [16, 16],
         iconAnchor: [8, 8]
     });
+
+    // 選択していない画像の中心を示すアイコン（灰色）
+    const inactiveCenterIcon = L.divIcon({
+        className: 'center-marker-icon',
+        html: '<div style="width: 10px; height: 10px; background-color: #888888; border: 2px solid #ffffff; border-radius: 50%;"></div>',
+        iconSize: [14, 14],
+        iconAnchor: [7, 7]
+    });
     
     // ドラッグハンドル用の専用ペインを作成
     map.createPane('dragHandles');
@@ -39,6 +486,21 @@ document.addEventListener('DOMContentLoaded', () => {
     // 中心マーカー用の専用ペインを作成
     map.createPane('centerMarker');
     map.getPane('centerMarker').style.zIndex = 700; // 他のマーカーより上に表示
+
+    // 位置合わせの基準点用の専用ペインを作成
+    map.createPane('georefPoints');
+    map.getPane('georefPoints').style.zIndex = 660; // ドラッグハンドルより上、中心マーカーより下に表示
+    const georefLayer = L.layerGroup().addTo(map); // 基準点のマーカーをまとめるレイヤー
+    const scalePointLayer = L.layerGroup().addTo(map); // 実寸の指定に使う2点のマーカーをまとめるレイヤー
+
+    // 作図・編集のハンドル用の専用ペインを作成
+    map.createPane('editHandles');
+    map.getPane('editHandles').style.zIndex = 670; // 基準点より上、中心マーカーより下に表示
+    const drawPreviewLayer = L.layerGroup().addTo(map); // 作図中の線・面のプレビュー
+    const editHandlesLayer = L.layerGroup().addTo(map); // 編集中の図形の頂点ハンドル
+    const measureLayer = L.layerGroup().addTo(map); // 計測の線・面とラベル（作図と同じペインに表示）
+    const profileLayer = L.layerGroup().addTo(map); // 断面図を表示している線とマウス位置の点
+    const profileHoverMarker = L.circleMarker([0, 0], { radius: 6, color: '#fff', weight: 2, fillColor: '#00a0a0', fillOpacity: 1, interactive: false, pane: 'editHandles' });
     
     centerMarker = createCenterMarker(initialCenter);
 
@@ -47,22 +509,230 @@ document.addEventListener('DOMContentLoaded', () => {
     const imageInput = document.getElementById('imageInput');
     const loadImageBtn = document.getElementById('loadImageBtn');
     const centerCoordBtn = document.getElementById('centerCoordBtn');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
     const scaleInput = document.getElementById('scaleInput');
+    const scaleInputLabel = document.getElementById('scaleInputLabel');
+    const scaleModeSelect = document.getElementById('scaleModeSelect');
     const opacityInput = document.getElementById('opacityInput');
+    const rotationInput = document.getElementById('rotationInput');
     const latInput = document.getElementById('latInput');
     const lngInput = document.getElementById('lngInput');
+    const latInputLabel = document.getElementById('latInputLabel');
+    const lngInputLabel = document.getElementById('lngInputLabel');
+    const coordSystemSelect = document.getElementById('coordSystemSelect');
+
+    // 地点検索用の要素取得
+    const placeSearchInput = document.getElementById('placeSearchInput');
+    const placeSearchResults = document.getElementById('placeSearchResults');
     const mapContainer = document.getElementById('map');
 
+    // PDFのページ選択ダイアログ用の要素取得
+    const pdfPageDialog = document.getElementById('pdfPageDialog');
+    const pdfPageFileName = document.getElementById('pdfPageFileName');
+    const pdfPageSelect = document.getElementById('pdfPageSelect');
+    const pdfDpiSelect = document.getElementById('pdfDpiSelect');
+    const pdfPageSize = document.getElementById('pdfPageSize');
+    const pdfPagePreview = document.getElementById('pdfPagePreview');
+    const pdfPageOkBtn = document.getElementById('pdfPageOkBtn');
+    const pdfPageCancelBtn = document.getElementById('pdfPageCancelBtn');
+
     // GPS値読込用の要素取得
     const gpsCsvInput = document.getElementById('gpsCsvInput');
     const loadGpsBtn = document.getElementById('loadGpsBtn');
+    const gpsImportDialog = document.getElementById('gpsImportDialog');
+    const gpsImportFileName = document.getElementById('gpsImportFileName');
+    const gpsSheetSelect = document.getElementById('gpsSheetSelect');
+    const gpsHeaderRowsInput = document.getElementById('gpsHeaderRowsInput');
+    const gpsNameColumns = document.getElementById('gpsNameColumns');
+    const gpsCoordSystemSelect = document.getElementById('gpsCoordSystemSelect');
+    const gpsDatumSelect = document.getElementById('gpsDatumSelect');
+    const gpsLatColumnLabel = document.getElementById('gpsLatColumnLabel');
+    const gpsLngColumnLabel = document.getElementById('gpsLngColumnLabel');
+    const gpsLatColumnSelect = document.getElementById('gpsLatColumnSelect');
+    const gpsLngColumnSelect = document.getElementById('gpsLngColumnSelect');
+    const gpsCoordFormatSelect = document.getElementById('gpsCoordFormatSelect');
+    const gpsPreviewTable = document.getElementById('gpsPreviewTable');
+    const gpsImportOkBtn = document.getElementById('gpsImportOkBtn');
+    const gpsImportCancelBtn = document.getElementById('gpsImportCancelBtn');
+    const gpsReportPanel = document.getElementById('gpsReportPanel');
+    const gpsReportSummary = document.getElementById('gpsReportSummary');
+    const gpsReportSkipped = document.getElementById('gpsReportSkipped');
+    const gpsReportSkippedBody = document.getElementById('gpsReportSkippedBody');
+    const gpsReportWarnings = document.getElementById('gpsReportWarnings');
+    const gpsReportWarningsBody = document.getElementById('gpsReportWarningsBody');
+    const gpsReportCloseBtn = document.getElementById('gpsReportCloseBtn');
+
+    // 読み込みの進行状況の要素取得
+    const loadProgress = document.getElementById('loadProgress');
+    const loadProgressLabel = document.getElementById('loadProgressLabel');
+    const loadProgressBar = document.getElementById('loadProgressBar');
 
     // GeoJSON読込用の要素取得
     const geojsonInput = document.getElementById('geojsonInput');
     const loadGeojsonBtn = document.getElementById('loadGeojsonBtn');
 
+    // GPX・KML読込用の要素取得
+    const trackInput = document.getElementById('trackInput');
+    const loadTrackBtn = document.getElementById('loadTrackBtn');
+
+    // 位置合わせ用の要素取得
+    const georefBtn = document.getElementById('georefBtn');
+    const georefPanel = document.getElementById('georefPanel');
+    const georefStatus = document.getElementById('georefStatus');
+    const georefTypeSelect = document.getElementById('georefTypeSelect');
+    const georefTableBody = document.getElementById('georefTableBody');
+    const georefRmsOutput = document.getElementById('georefRmsOutput');
+    const georefClearBtn = document.getElementById('georefClearBtn');
+    const georefCloseBtn = document.getElementById('georefCloseBtn');
+
+    // 実寸で配置用の要素取得
+    const realScaleBtn = document.getElementById('realScaleBtn');
+    const realScalePanel = document.getElementById('realScalePanel');
+    const realScaleStatus = document.getElementById('realScaleStatus');
+    const realScaleMethodSelect = document.getElementById('realScaleMethodSelect');
+    const realScaleMapScaleFields = document.getElementById('realScaleMapScaleFields');
+    const realScaleResolutionFields = document.getElementById('realScaleResolutionFields');
+    const realScaleDistanceFields = document.getElementById('realScaleDistanceFields');
+    const mapScaleDenominatorInput = document.getElementById('mapScaleDenominatorInput');
+    const scanDpiInput = document.getElementById('scanDpiInput');
+    const groundResolutionInput = document.getElementById('groundResolutionInput');
+    const scalePointsPickBtn = document.getElementById('scalePointsPickBtn');
+    const scalePointsStatus = document.getElementById('scalePointsStatus');
+    const knownDistanceInput = document.getElementById('knownDistanceInput');
+    const realScaleApplyBtn = document.getElementById('realScaleApplyBtn');
+    const realScaleCloseBtn = document.getElementById('realScaleCloseBtn');
+
+    // レイヤー一覧・読み込み方法の確認用の要素取得
+    const layerPanelBtn = document.getElementById('layerPanelBtn');
+    const layerPanel = document.getElementById('layerPanel');
+    const layerList = document.getElementById('layerList');
+    const layerPanelCloseBtn = document.getElementById('layerPanelCloseBtn');
+    const layerExportFormatSelect = document.getElementById('layerExportFormatSelect');
+
+    // レイヤーのスタイル用の要素取得
+    const dataStylePanel = document.getElementById('dataStylePanel');
+    const dataStylePanelCloseBtn = document.getElementById('dataStylePanelCloseBtn');
+    const dataStyleStatus = document.getElementById('dataStyleStatus');
+    const dataStyleModeSelect = document.getElementById('dataStyleModeSelect');
+    const dataStylePropertyField = document.getElementById('dataStylePropertyField');
+    const dataStylePropertySelect = document.getElementById('dataStylePropertySelect');
+    const dataStyleColorField = document.getElementById('dataStyleColorField');
+    const dataStyleColorLabel = document.getElementById('dataStyleColorLabel');
+    const dataStyleColorInput = document.getElementById('dataStyleColorInput');
+    const dataStyleEndColorField = document.getElementById('dataStyleEndColorField');
+    const dataStyleEndColorInput = document.getElementById('dataStyleEndColorInput');
+    const dataStyleClassCountField = document.getElementById('dataStyleClassCountField');
+    const dataStyleClassCountInput = document.getElementById('dataStyleClassCountInput');
+    const dataLabelPropertySelect = document.getElementById('dataLabelPropertySelect');
+    const dataStyleLegend = document.getElementById('dataStyleLegend');
+
+    // 背景地図用の要素取得
+    const baseMapBtn = document.getElementById('baseMapBtn');
+    const baseMapPanel = document.getElementById('baseMapPanel');
+    const baseMapSelect = document.getElementById('baseMapSelect');
+    const hillshadeCheckbox = document.getElementById('hillshadeCheckbox');
+    const hillshadeOpacityInput = document.getElementById('hillshadeOpacityInput');
+    const customBaseMapList = document.getElementById('customBaseMapList');
+    const customBaseMapNameInput = document.getElementById('customBaseMapNameInput');
+    const customBaseMapUrlInput = document.getElementById('customBaseMapUrlInput');
+    const customBaseMapAttributionInput = document.getElementById('customBaseMapAttributionInput');
+    const customBaseMapMaxZoomInput = document.getElementById('customBaseMapMaxZoomInput');
+    const customBaseMapAddBtn = document.getElementById('customBaseMapAddBtn');
+    const baseMapPanelCloseBtn = document.getElementById('baseMapPanelCloseBtn');
+
+    // オフライン地図用の要素取得
+    const offlineBtn = document.getElementById('offlineBtn');
+    const offlinePanel = document.getElementById('offlinePanel');
+    const offlineStatus = document.getElementById('offlineStatus');
+    const offlineAreaSelect = document.getElementById('offlineAreaSelect');
+    const offlineMinZoomInput = document.getElementById('offlineMinZoomInput');
+    const offlineMaxZoomInput = document.getElementById('offlineMaxZoomInput');
+    const offlineEstimate = document.getElementById('offlineEstimate');
+    const offlineDownloadBtn = document.getElementById('offlineDownloadBtn');
+    const offlineCancelBtn = document.getElementById('offlineCancelBtn');
+    const offlineProgress = document.getElementById('offlineProgress');
+    const offlineAreaList = document.getElementById('offlineAreaList');
+    const offlineUsage = document.getElementById('offlineUsage');
+    const offlineClearBtn = document.getElementById('offlineClearBtn');
+    const offlinePanelCloseBtn = document.getElementById('offlinePanelCloseBtn');
+
+    // 作図用の要素取得
+    const drawBtn = document.getElementById('drawBtn');
+    const drawPanel = document.getElementById('drawPanel');
+    const drawStatus = document.getElementById('drawStatus');
+    const drawTargetSelect = document.getElementById('drawTargetSelect');
+    const drawToolButtons = Array.from(drawPanel.querySelectorAll('[data-tool]'));
+    const drawFinishBtn = document.getElementById('drawFinishBtn');
+    const drawCancelBtn = document.getElementById('drawCancelBtn');
+    const drawSaveBtn = document.getElementById('drawSaveBtn');
+    const drawPanelCloseBtn = document.getElementById('drawPanelCloseBtn');
+
+    // 計測用の要素取得
+    const measureBtn = document.getElementById('measureBtn');
+    const measurePanel = document.getElementById('measurePanel');
+    const measureStatus = document.getElementById('measureStatus');
+    const measureToolButtons = Array.from(measurePanel.querySelectorAll('[data-measure]'));
+    const measureSummary = document.getElementById('measureSummary');
+    const measureTable = document.getElementById('measureTable');
+    const measureTableBody = document.getElementById('measureTableBody');
+    const measureFinishBtn = document.getElementById('measureFinishBtn');
+    const measureClearBtn = document.getElementById('measureClearBtn');
+    const measurePanelCloseBtn = document.getElementById('measurePanelCloseBtn');
+
+    // 標高断面図用の要素取得
+    const profileBtn = document.getElementById('profileBtn');
+    const profilePanel = document.getElementById('profilePanel');
+    const profileStatus = document.getElementById('profileStatus');
+    const profilePickBtn = document.getElementById('profilePickBtn');
+    const profileChart = document.getElementById('profileChart');
+    const profileHoverInfo = document.getElementById('profileHoverInfo');
+    const profileStatsBody = document.getElementById('profileStatsBody');
+    const demTileUrlInput = document.getElementById('demTileUrlInput');
+    const demTileZoomInput = document.getElementById('demTileZoomInput');
+    const demTileResetBtn = document.getElementById('demTileResetBtn');
+    const profilePanelCloseBtn = document.getElementById('profilePanelCloseBtn');
+
+    const importModeDialog = document.getElementById('importModeDialog');
+    const importModeMessage = document.getElementById('importModeMessage');
+    const importModeAddBtn = document.getElementById('importModeAddBtn');
+    const importModeReplaceBtn = document.getElementById('importModeReplaceBtn');
+    const importModeCancelBtn = document.getElementById('importModeCancelBtn');
+
+    // プロジェクト保存・読込用の要素取得
+    const saveProjectBtn = document.getElementById('saveProjectBtn');
+    const embedImageCheckbox = document.getElementById('embedImageCheckbox');
+    const openProjectBtn = document.getElementById('openProjectBtn');
+    const projectInput = document.getElementById('projectInput');
+
+    // 共有リンク用の要素取得
+    const copyLinkBtn = document.getElementById('copyLinkBtn');
+
+    // 画像書き出し用の要素取得
+    const exportFormatSelect = document.getElementById('exportFormatSelect');
+    const exportImageBtn = document.getElementById('exportImageBtn');
+
     // --- 関数定義 ---
 
+    /**
+     * マーカーをポインター（マウス・タッチ・ペン）でドラッグして画像を操作できるようにする
+     * @param {L.Marker} marker 地図に追加済みのマーカー
+     * @param {function(L.LatLng): (boolean|undefined)} onStart ドラッグ開始時の処理（開始しない場合はfalseを返す）
+     */
+    function enableImagePointerDrag(marker, onStart) {
+        L.DomEvent.on(marker.getElement(), 'pointerdown', (e) => {
+            // 主ボタン（タッチ・ペンの接触を含む）のみ、同時に1つだけ受け付ける
+            if (!e.isPrimary || e.button !== 0 || imagePointerId !== null || isPinchingImage) return;
+            if (onStart(map.mouseEventToLatLng(e)) === false) return;
+            imagePointerId = e.pointerId;
+            map.dragging.disable();
+            // 既定の動作を止めると地図にフォーカスが移らないので、続けてキーボードで操作できるようフォーカスする
+            mapContainer.focus({ preventScroll: true });
+            L.DomEvent.preventDefault(e);
+            L.DomEvent.stopPropagation(e);
+        });
+    }
+
     /**
      * 中心座標マーカーを作成する
      * @param {L.LatLng} position マーカーの位置
@@ -98,13 +768,11 @@ document.addEventListener('DOMContentLoaded', () => {
         });
         
         // ドラッグ開始
-        marker.on('mousedown', (e) => {
-            if (imageOverlay) {
-                isMovingImage = true;
-                moveStartPoint = e.latlng;
-                map.dragging.disable();
-                e.originalEvent.preventDefault();
-            }
+        enableImagePointerDrag(marker, (latlng) => {
+            if (!imageOverlay) return false;
+            beginHistory('画像の移動');
+            isMovingImage = true;
+            moveStartPoint = latlng;
         });
         
         return marker;
@@ -117,30 +785,38 @@ document.addEventListener('DOMContentLoaded', () => {
     function moveImageToPosition(newPosition) {
         if (!imageOverlay || !moveStartPoint) return;
         
-        const currentBounds = imageOverlay.getBounds();
-        const currentCenter = currentBounds.getCenter();
+        // 移動量をピクセル単位で計算
+        const delta = map.project(newPosition).subtract(map.project(moveStartPoint));
+        moveImageByPixels(delta);
         
-        // 移動距離を計算
-        const deltaLat = newPosition.lat - moveStartPoint.lat;
-        const deltaLng = newPosition.lng - moveStartPoint.lng;
-        
-        // 新しい境界を計算
-        const newBounds = L.latLngBounds(
-            L.latLng(currentBounds.getSouth() + deltaLat, currentBounds.getWest() + deltaLng),
-            L.latLng(currentBounds.getNorth() + deltaLat, currentBounds.getEast() + deltaLng)
-        );
-        
-        // 画像とハンドルを更新
-        imageOverlay.setBounds(newBounds);
-        createDragHandles(newBounds);
+        // 移動開始点を更新
+        moveStartPoint = newPosition;
+    }
+
+    /**
+     * 画像を画面上のピクセル単位で平行移動する（回転・変形は保持）
+     * @param {L.Point} delta 移動量（ピクセル）
+     */
+    function moveImageByPixels(delta) {
+        transformImageCorners(point => point.add(delta));
         
         // 中心マーカーを新しい位置に移動
-        const newCenter = newBounds.getCenter();
+        const newCenter = imageOverlay.getCenter();
         centerMarker.setLatLng(newCenter);
         updateCoordInputs(newCenter);
-        
-        // 移動開始点を更新
-        moveStartPoint = newPosition;
+    }
+
+    /**
+     * 画像の角をピクセル座標上で変換し、ハンドルと基準点表示を更新する
+     * @param {function(L.Point): L.Point} transform 各角に適用する変換
+     */
+    function transformImageCorners(transform) {
+        const [topLeft, topRight, , bottomLeft] = imageOverlay.getCorners();
+        const newCorners = [topLeft, topRight, bottomLeft].map(corner => map.unproject(transform(map.project(corner))));
+        imageOverlay.setCorners(newCorners);
+        createDragHandles(imageOverlay.getCorners());
+        updateGeorefMarkers();
+        updateScalePointMarkers();
     }
 
     /**
@@ -157,18 +833,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * 画像の四隅にドラッグハンドルを追加する
-     * @param {L.LatLngBounds} bounds 画像の境界
+     * @param {L.LatLng[]} corners 画像の四隅（左上・右上・右下・左下）
      */
-    function createDragHandles(bounds) {
+    function createDragHandles(corners) {
         removeDragHandles();
         
-        const corners = [
-            bounds.getNorthWest(), // 左上
-            bounds.getNorthEast(), // 右上
-            bounds.getSouthEast(), // 右下
-            bounds.getSouthWest()  // 左下
-        ];
-        
         corners.forEach((corner, index) => {
             
             // カスタムアイコンを作成
@@ -207,15 +876,92 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             });
             
-            handle.on('mousedown', (e) => {
+            enableImagePointerDrag(handle, () => {
+                beginHistory('画像のサイズ変更');
                 isDragging = true;
                 dragCornerIndex = index;
-                map.dragging.disable();
-                e.originalEvent.preventDefault();
             });
             
             dragHandles.push(handle);
         });
+
+        dragHandles.push(createRotationHandle(corners));
+    }
+
+    /**
+     * 画像上辺の外側に回転ハンドルを追加する
+     * @param {L.LatLng[]} corners 画像の四隅（左上・右上・右下・左下）
+     * @returns {L.Marker} 作成された回転ハンドル
+     */
+    function createRotationHandle(corners) {
+        const [topLeft, topRight, bottomRight] = corners.map(corner => map.project(corner));
+        const center = topLeft.add(bottomRight).divideBy(2);
+        const topMiddle = topLeft.add(topRight).divideBy(2);
+
+        // 中心から上辺中点へ向かう方向に30px離して配置
+        const direction = topMiddle.subtract(center);
+        const length = direction.distanceTo(L.point(0, 0));
+        const unit = length > 0 ? direction.divideBy(length) : L.point(0, -1);
+        const position = map.unproject(topMiddle.add(unit.multiplyBy(30)));
+
+        const rotationIcon = L.divIcon({
+            className: 'rotation-handle-icon',
+            html: '<div>↻</div>',
+            iconSize: [20, 20],
+            iconAnchor: [10, 10]
+        });
+
+        const handle = L.marker(position, {
+            icon: rotationIcon,
+            draggable: false,
+            pane: 'dragHandles'
+        }).addTo(map);
+
+        handle.bindTooltip('ドラッグして回転（Shiftで15°単位）', {
+            permanent: false,
+            direction: 'top',
+            offset: [0, -10],
+            className: 'drag-handle-tooltip'
+        });
+
+        handle.on('mouseover', () => {
+            map.getContainer().style.cursor = 'grab';
+        });
+
+        handle.on('mouseout', () => {
+            if (!isRotating) {
+                map.getContainer().style.cursor = '';
+                document.body.style.cursor = '';
+            }
+        });
+
+        enableImagePointerDrag(handle, () => {
+            beginHistory('画像の回転');
+            isRotating = true;
+            map.getContainer().style.cursor = 'grabbing';
+        });
+
+        return handle;
+    }
+
+    /**
+     * 回転ハンドルのドラッグ位置に合わせて画像を回転する
+     * @param {L.LatLng} latlng マウスの位置
+     * @param {boolean} snap trueの場合は15°単位に丸める
+     */
+    function rotateImageToward(latlng, snap) {
+        if (!imageOverlay) return;
+        const offset = map.project(latlng).subtract(map.project(imageOverlay.getCenter()));
+        if (offset.x === 0 && offset.y === 0) return;
+
+        // 画像の上方向がマウスの方向を向く回転角（北を上とした時計回り）
+        let targetRotation = Math.atan2(offset.x, -offset.y) * 180 / Math.PI;
+        if (snap) {
+            targetRotation = Math.round(targetRotation / 15) * 15;
+        }
+        rotateImage(targetRotation - getImageRotation());
+        updateRotationInput();
+        showResizeInfo(null, imageOverlay.getCenter(), `回転角: ${rotationInput.value}°`);
     }
 
     /**
@@ -226,72 +972,41 @@ document.addEventListener('DOMContentLoaded', () => {
     function updateImageBounds(newCornerPos, cornerIndex) {
         if (!imageOverlay || !currentImage.src) return;
         
-        const currentBounds = imageOverlay.getBounds();
-        const center = currentBounds.getCenter();
-        
-        // 画像の元の縦横比を取得
-        const originalAspectRatio = currentImage.naturalHeight / currentImage.naturalWidth;
-        
-        // 現在の画像の幅と高さ（度単位）
-        const currentWidth = Math.abs(currentBounds.getEast() - currentBounds.getWest());
-        const currentHeight = Math.abs(currentBounds.getNorth() - currentBounds.getSouth());
+        const center = imageOverlay.getCenter();
+        const centerPoint = map.project(center);
+        const cornerPoint = map.project(imageOverlay.getCorners()[cornerIndex]);
         
-        let newWidth, newHeight;
+        // 中心からドラッグ位置までの距離と、中心から角までの距離の比で拡大率を決める
+        const distance = map.project(newCornerPos).distanceTo(centerPoint);
+        const currentDistance = cornerPoint.distanceTo(centerPoint);
         
-        // ドラッグされた角に基づいて新しいサイズを計算（すべて対角線ベースで統一）
-        const distance = Math.sqrt(
-            Math.pow(newCornerPos.lat - center.lat, 2) + 
-            Math.pow(newCornerPos.lng - center.lng, 2)
-        );
-        const currentDiagonal = Math.sqrt(
-            Math.pow(currentHeight / 2, 2) + 
-            Math.pow(currentWidth / 2, 2)
-        );
+        // 最小距離制限を設定（ピクセル単位）
+        const minDistance = 5;
+        const scaleFactor = Math.max(distance, minDistance) / Math.max(currentDistance, minDistance);
         
-        // 最小距離制限を設定
-        const minDistance = 0.0001;
-        const clampedDistance = Math.max(distance, minDistance);
-        
-        const scaleFactor = clampedDistance / Math.max(currentDiagonal, minDistance);
-        newWidth = currentWidth * scaleFactor;
-        newHeight = currentHeight * scaleFactor;
-        
-        // 最小サイズ制限
-        const minSize = 0.001;
-        newWidth = Math.max(newWidth, minSize);
-        newHeight = Math.max(newHeight, minSize);
-        
-        // 新しい境界を作成
-        const newBounds = L.latLngBounds(
-            L.latLng(center.lat - newHeight / 2, center.lng - newWidth / 2),
-            L.latLng(center.lat + newHeight / 2, center.lng + newWidth / 2)
-        );
-        
-        // 画像を更新
-        imageOverlay.setBounds(newBounds);
-        createDragHandles(newBounds);
+        // 中心を基準に拡大縮小（縦横比・回転・変形は保持）
+        transformImageCorners(point => centerPoint.add(point.subtract(centerPoint).multiplyBy(scaleFactor)));
         
         // 表示倍率を更新
-        updateScaleFromBounds(newBounds);
+        updateScaleFromBounds(imageOverlay.getCorners());
         
         // リサイズ情報を表示
-        showResizeInfo(newBounds, center);
+        showResizeInfo(imageOverlay.getBounds(), center);
     }
     
     /**
      * リサイズ中に情報を表示する
      * @param {L.LatLngBounds} bounds 現在の境界
      * @param {L.LatLng} center 中心座標
+     * @param {string} [content] 表示する内容（省略時は倍率）
      */
-    function showResizeInfo(bounds, center) {
-        const scale = parseFloat(scaleInput.value) || 0;
-        
+    function showResizeInfo(bounds, center, content) {
         if (resizeTooltip) {
             map.removeLayer(resizeTooltip);
         }
         
         resizeTooltip = L.tooltip(center, {
-            content: `倍率: ${scale.toFixed(2)}`,
+            content: content || formatScaleInfo(),
             permanent: true,
             direction: 'top',
             className: 'resize-info-tooltip'
@@ -310,34 +1025,85 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * 画像の境界から表示倍率を計算して更新する
-     * @param {L.LatLngBounds} bounds 画像の境界
+     * @param {L.LatLng[]} corners 画像の四隅（左上・右上・右下・左下）
      */
-    function updateScaleFromBounds(bounds) {
+    function updateScaleFromBounds(corners) {
         if (!currentImage.src || !currentImage.complete) return;
         
-        const mapSize = map.getSize();
-        const imageWidth = Math.abs(bounds.getEast() - bounds.getWest());
-        
-        // 境界の幅をピクセル単位に変換
-        const topLeft = map.latLngToLayerPoint(bounds.getNorthWest());
-        const topRight = map.latLngToLayerPoint(bounds.getNorthEast());
-        const displayWidthPx = Math.abs(topRight.x - topLeft.x);
-        
-        // 表示倍率を計算
-        const newScale = displayWidthPx / mapSize.x;
-        
-        // scaleInputを更新（小数点第2位まで）
-        scaleInput.value = Math.round(newScale * 100) / 100;
+        // scaleInputを更新（画面比は小数点第2位まで、地上解像度は有効数字3桁）
+        scaleInput.value = scaleMode === 'ground'
+            ? formatGroundResolution(getGroundResolution(corners))
+            : Math.round(getImageScale(corners) * 100) / 100;
+        renderRealScalePanel();
+    }
+
+    /**
+     * 画像の四隅から表示倍率を求める
+     * @param {L.LatLng[]} corners 画像の四隅（左上・右上・右下・左下）
+     * @returns {number} 表示倍率（地図の幅に対する画像の幅）
+     */
+    function getImageScale(corners) {
+        // 画像上辺の長さをピクセル単位で求める（回転していても画像の幅を表す）
+        const displayWidthPx = map.project(corners[0]).distanceTo(map.project(corners[1]));
+        return displayWidthPx / map.getSize().x;
+    }
+
+    /**
+     * 画像の回転角を取得する
+     * @param {AffineImageOverlay} [overlay=imageOverlay] 画像のレイヤー（省略時は選択中の画像）
+     * @returns {number} 北を上とした時計回りの回転角（度、-180〜180）
+     */
+    function getImageRotation(overlay = imageOverlay) {
+        const [topLeft, topRight] = overlay.getCorners().map(corner => map.project(corner));
+        return Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x) * 180 / Math.PI;
+    }
+
+    /**
+     * 画像を中心座標マーカー（画像の中心）を軸に回転する
+     * @param {number} deltaDegrees 時計回りの回転量（度）
+     */
+    function rotateImage(deltaDegrees) {
+        if (!imageOverlay) return;
+        const centerPoint = map.project(imageOverlay.getCenter());
+        const rad = deltaDegrees * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        transformImageCorners(point => {
+            const offset = point.subtract(centerPoint);
+            return centerPoint.add(L.point(offset.x * cos - offset.y * sin, offset.x * sin + offset.y * cos));
+        });
     }
 
     /**
-     * 緯度・経度の入力フィールドを更新する
+     * 回転角の入力欄を現在の画像の回転角で更新する
+     */
+    function updateRotationInput() {
+        if (!imageOverlay) return;
+        // 小数点第1位まで
+        rotationInput.value = Math.round(getImageRotation() * 10) / 10;
+    }
+
+    /**
+     * rotationInputから回転角を取得する
+     * @returns {number} 回転角（度）
+     */
+    function getDisplayRotation() {
+        const rotation = parseFloat(rotationInput.value);
+        // 値が無効な場合は0を適用
+        return !isNaN(rotation) ? rotation : 0;
+    }
+
+    /**
+     * 緯度・経度の入力フィールドを更新する（選択中の表示形式で表示）
      * @param {L.LatLng} latlng 表示する座標
      */
     function updateCoordInputs(latlng) {
         if (latlng) {
-            latInput.value = latlng.lat.toFixed(6);
-            lngInput.value = latlng.lng.toFixed(6);
+            const display = formatCoordinateDisplay(latlng);
+            latInputLabel.textContent = display.latLabel;
+            lngInputLabel.textContent = display.lngLabel;
+            latInput.value = display.latText;
+            lngInput.value = display.lngText;
         }
     }
 
@@ -363,16 +1129,10 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        // 既存の画像を削除
-        if (imageOverlay) {
-            map.removeLayer(imageOverlay);
-            removeDragHandles();
-        }
-
         const scale = parseFloat(scaleInput.value);
-        const displayScale = !isNaN(scale) && scale > 0 ? scale : 0.3; // 値が無効な場合は0.3を適用
+        const defaultScale = scaleMode === 'ground' ? DEFAULT_GROUND_RESOLUTION : DEFAULT_SCREEN_SCALE;
+        const displayScale = !isNaN(scale) && scale > 0 ? scale : defaultScale; // 値が無効な場合は既定値を適用
 
-        const displayOpacity = getDisplayOpacity();
         const mapSize = map.getSize();
         const mapCenterLatLng = centerMarker ? centerMarker.getLatLng() : map.getCenter();
 
@@ -382,7 +1142,10 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         const imageAspectRatio = currentImage.naturalHeight / currentImage.naturalWidth;
-        const displayWidthPx = mapSize.x * displayScale;
+        // 地上解像度の場合は、画像の地上での幅を現在のズームでのピクセル数に換算する
+        const displayWidthPx = scaleMode === 'ground'
+            ? currentImage.naturalWidth * displayScale / getMetersPerMapPixel(mapCenterLatLng)
+            : mapSize.x * displayScale;
         const displayHeightPx = displayWidthPx * imageAspectRatio; // アスペクト比を維持
         const centerPoint = map.latLngToLayerPoint(mapCenterLatLng);
         const topLeftPoint = L.point(centerPoint.x - displayWidthPx / 2, centerPoint.y - displayHeightPx / 2);
@@ -391,124 +1154,391 @@ document.addEventListener('DOMContentLoaded', () => {
         // L.imageOverlayにはLatLngBoundsが必要
         const bounds = L.latLngBounds(map.layerPointToLatLng(topLeftPoint), map.layerPointToLatLng(bottomRightPoint));
 
-        imageOverlay = L.imageOverlay(currentImage.src, bounds, {
-            opacity: displayOpacity // 初期透過度を設定
-        }).addTo(map);
+        placeImageOverlay([bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthWest()]);
         
+        // 回転角の入力値を適用
+        rotateImage(getDisplayRotation());
+    }
+
+    /**
+     * 現在の画像を指定した角の位置に配置する
+     * @param {L.LatLng[]} corners 画像の左上・右上・左下の座標
+     */
+    function placeImageOverlay(corners) {
+        // 既存の画像を削除
+        if (imageOverlay) {
+            map.removeLayer(imageOverlay);
+            removeDragHandles();
+        }
+
+        imageOverlay = createImageOverlay(currentImage, corners, {
+            opacity: getDisplayOpacity() // 初期透過度を設定
+        }).addTo(map);
+        activeImageLayer.overlay = imageOverlay;
+        updateImageLayerOrder();
+
         // ドラッグハンドルを追加
-        createDragHandles(bounds);
+        createDragHandles(imageOverlay.getCorners());
+        updateGeorefMarkers();
+        updateScalePointMarkers();
+        renderRealScalePanel();
+        applyImageVisibility();
+        renderLayerPanel();
     }
 
     /**
-     * 画像の透過度のみを更新する
+     * 画像を表示するオーバーレイを作成する（長辺が IMAGE_TILING_THRESHOLD を超える画像はタイルに分割して表示する）
+     * @param {HTMLImageElement} image 読み込み済みの画像
+     * @param {L.LatLng[]} corners 画像の左上・右上・左下の座標
+     * @param {Object} options L.ImageOverlay のオプション
+     * @returns {AffineImageOverlay} 作成したオーバーレイ
      */
-    function updateOpacity() {
+    function createImageOverlay(image, corners, options) {
+        if (Math.max(image.naturalWidth, image.naturalHeight) > IMAGE_TILING_THRESHOLD) {
+            return new TiledAffineImageOverlay(image, corners, options);
+        }
+        return new AffineImageOverlay(image.src, corners, options);
+    }
+
+    /**
+     * 選択中の画像のオーバーレイとドラッグハンドル、基準点を地図から削除する
+     * 画像は選択したまま残し、表示倍率を変更すると中心座標マーカーの位置に表示し直す
+     */
+    function removeImageOverlay() {
         if (!imageOverlay) return;
-        imageOverlay.setOpacity(getDisplayOpacity());
+        map.removeLayer(imageOverlay);
+        removeDragHandles();
+        imageOverlay = null;
+        activeImageLayer.overlay = null;
+        activeImageLayer.visible = true;
+        clearGeorefPoints();
+        applyImageVisibility();
+        renderLayerPanel();
     }
 
-    // --- イベントリスナー設定 ---
+    /**
+     * 読み込んだ画像を画像の一覧の最前面に追加して選択する
+     * @param {HTMLImageElement} image 読み込み済みの画像
+     * @param {string} fileName 画像のファイル名
+     * @returns {Object} 追加した画像
+     */
+    function addImageLayer(image, fileName) {
+        const imageLayer = {
+            image,
+            overlay: null,
+            fileName,
+            pdfPage: null, // PDFから読み込んだ場合のページと解像度 { page, dpi }
+            sourceUrl: null, // URLから読み込んだ場合のURL
+            name: fileName,
+            visible: true,
+            georefType: GEOREF_DEFAULT_TYPE, // 位置合わせの変換方式（applyGeoreference で計算した方式）
+            georefPoints: [],
+            georefRms: null,
+            centerMarker: null
+        };
+        imageLayers.push(imageLayer);
+        selectImageLayer(imageLayer);
+        return imageLayer;
+    }
 
-    // 画像ファイル選択イベント
-    imageInput.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) return; // ファイル選択がキャンセルされた場合は何もしない
+    /**
+     * 画像を選択する
+     * 表示倍率・透過度・回転角の入力欄、ドラッグハンドル、基準点、中心座標マーカーを選択した画像のものに切り替える
+     * @param {Object|null} imageLayer 選択する画像（nullの場合は選択を解除）
+     */
+    function selectImageLayer(imageLayer) {
+        if (imageLayer === activeImageLayer) return;
+        exitGeorefMode(); // 位置合わせは選択中の画像に対して行う
+        clearScalePoints(); // 実寸の指定に使う2点も選択中の画像のもの
+        removeDragHandles();
 
-        const reader = new FileReader();
+        // 選択を外す画像の基準点を保存する（「中心座標」ボタンで地図から削除した画像は一覧から除く）
+        if (activeImageLayer && activeImageLayer.overlay) {
+            storeActiveGeoref();
+        } else if (activeImageLayer && imageLayers.includes(activeImageLayer)) {
+            imageLayers.splice(imageLayers.indexOf(activeImageLayer), 1);
+        }
 
-        // FileReaderの読み込みが完了した時
-        reader.onload = (e) => {
-            // 画像データの読み込みが成功した時
-            currentImage.onload = () => {
-                // 画像サイズが正しく取得されているかチェック
-                if (currentImage.naturalWidth === 0 || currentImage.naturalHeight === 0) {
-                    // alertの代わりにカスタムメッセージボックスを使用
-                    const messageBox = document.createElement('div');
-                    messageBox.style.cssText = `
-                            position: fixed;
-                            top: 50%;
-                            left: 50%;
-                            transform: translate(-50%, -50%);
-                            background-color: white;
-                            padding: 20px;
-                            border: 1px solid #ccc;
-                            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                            z-index: 10000;
-                            border-radius: 8px;
-                            font-family: sans-serif;
-                            text-align: center;
-                        `;
-                    messageBox.innerHTML = `
-                            <p>有効な画像ファイルではありません。別のファイルを選択してください。</p>
-                            <button onclick="this.parentNode.remove()" style="
-                                padding: 8px 16px;
-                                margin-top: 10px;
-                                border: none;
-                                background-color: #007bff;
-                                color: white;
-                                border-radius: 4px;
-                                cursor: pointer;
-                            ">OK</button>
-                        `;
-                    document.body.appendChild(messageBox);
-                    return;
-                }
-                updateImageDisplay();
-            };
-            // 画像データの読み込みが失敗した時
-            currentImage.onerror = () => {
-                // alertの代わりにカスタムメッセージボックスを使用
-                const messageBox = document.createElement('div');
-                messageBox.style.cssText = `
-                        position: fixed;
-                        top: 50%;
-                        left: 50%;
-                        transform: translate(-50%, -50%);
-                        background-color: white;
-                        padding: 20px;
-                        border: 1px solid #ccc;
-                        box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                        z-index: 10000;
-                        border-radius: 8px;
-                        font-family: sans-serif;
-                        text-align: center;
-                    `;
-                messageBox.innerHTML = `
-                        <p>画像の読み込みに失敗しました。ファイルが破損している可能性があります。</p>
-                        <button onclick="this.parentNode.remove()" style="
-                            padding: 8px 16px;
-                            margin-top: 10px;
-                            border: none;
-                            background-color: #007bff;
-                            color: white;
-                            border-radius: 4px;
-                            cursor: pointer;
-                        ">OK</button>
-                    `;
-                document.body.appendChild(messageBox);
-            };
-            // FileReaderで読み込んだデータURLをImageオブジェクトに設定
-            currentImage.src = e.target.result;
-        };
+        activeImageLayer = imageLayer;
+        imageOverlay = imageLayer ? imageLayer.overlay : null;
+        currentImage = imageLayer ? imageLayer.image : new Image();
+        georefPoints = imageLayer ? imageLayer.georefPoints : [];
+        georefRms = imageLayer ? imageLayer.georefRms : null;
+        if (imageLayer) georefTypeSelect.value = imageLayer.georefType;
 
-        // FileReaderでファイルの読み込みを開始
-        reader.readAsDataURL(file);
-        event.target.value = ''; // 同じファイルを連続して選択できるようにリセット
-    });
+        if (imageOverlay) {
+            opacityInput.value = Math.round(imageOverlay.options.opacity * 100);
+            updateScaleFromBounds(imageOverlay.getCorners());
+            updateRotationInput();
+            createDragHandles(imageOverlay.getCorners());
+            const center = imageOverlay.getCenter();
+            centerMarker.setLatLng(center);
+            updateCoordInputs(center);
+        }
+        updateGeorefMarkers();
+        renderGeorefPanel();
+        renderRealScalePanel();
+        applyImageVisibility();
+        renderLayerPanel();
+    }
 
-    // 「画像読込」ボタンクリックイベント
-    loadImageBtn.addEventListener('click', () => imageInput.click());
+    /**
+     * 選択中の画像の基準点を画像の情報に戻す（基準点は選択中の画像の分だけ変数に保持している）
+     */
+    function storeActiveGeoref() {
+        if (!activeImageLayer) return;
+        activeImageLayer.georefPoints = georefPoints;
+        activeImageLayer.georefRms = georefRms;
+    }
 
-    // 表示倍率変更イベント
-    scaleInput.addEventListener('input', updateImageDisplay);
+    /**
+     * 画像を削除する（削除した画像が選択中の場合は最前面の画像を選択する）
+     * @param {Object} imageLayer 削除する画像
+     */
+    function discardImage(imageLayer) {
+        selectImageLayer(imageLayer);
+        removeImageOverlay();
+        const remaining = imageLayers.filter(other => other !== imageLayer);
+        selectImageLayer(remaining[remaining.length - 1] || null);
+    }
 
-    // 透過度変更イベント
-    opacityInput.addEventListener('input', updateOpacity);
+    /**
+     * 画像の重なり順を一覧の順序に合わせる（後ろほど上に表示）
+     */
+    function updateImageLayerOrder() {
+        imageLayers.forEach(imageLayer => {
+            if (imageLayer.overlay) {
+                imageLayer.overlay.bringToFront();
+            }
+        });
+    }
 
-    // 「中心座標」ボタンクリックイベント
-    centerCoordBtn.addEventListener('click', () => {
-        isCenteringMode = !isCenteringMode; // モードをトグル
-        centerCoordBtn.classList.toggle('active', isCenteringMode);
+    /**
+     * 選択していない画像の中心にマーカーを表示する（クリックで選択、ドラッグで移動）
+     */
+    function updateImageCenterMarkers() {
+        imageLayers.forEach(imageLayer => {
+            if (imageLayer.centerMarker) {
+                map.removeLayer(imageLayer.centerMarker);
+                imageLayer.centerMarker = null;
+            }
+            if (imageLayer === activeImageLayer || !imageLayer.overlay || !imageLayer.visible) return;
+
+            const marker = L.marker(imageLayer.overlay.getCenter(), { icon: inactiveCenterIcon, pane: 'centerMarker' })
+                .bindTooltip(`${escapeHtml(imageLayer.name)}<br>クリックで選択・ドラッグで移動`, {
+                    direction: 'top',
+                    offset: [0, -8],
+                    className: 'center-marker-tooltip'
+                })
+                .addTo(map);
+            enableImagePointerDrag(marker, (latlng) => {
+                beginHistory('画像の移動');
+                selectImageLayer(imageLayer);
+                isMovingImage = true;
+                moveStartPoint = latlng;
+            });
+            imageLayer.centerMarker = marker;
+        });
+    }
+
+    /**
+     * 表示倍率の入力値に合わせて画像のサイズを更新する（回転・変形は保持）
+     */
+    function applyScaleToImage() {
+        if (!imageOverlay) {
+            updateImageDisplay();
+            return;
+        }
+        const scale = parseFloat(scaleInput.value);
+        if (isNaN(scale) || scale <= 0) return;
+
+        if (scaleMode === 'ground') {
+            setImageGroundResolution(scale);
+            return;
+        }
+
+        const [topLeft, topRight] = imageOverlay.getCorners().map(corner => map.project(corner));
+        const currentWidthPx = topLeft.distanceTo(topRight);
+        if (currentWidthPx === 0) return;
+
+        const scaleFactor = map.getSize().x * scale / currentWidthPx;
+        const centerPoint = map.project(imageOverlay.getCenter());
+        transformImageCorners(point => centerPoint.add(point.subtract(centerPoint).multiplyBy(scaleFactor)));
+    }
+
+    /**
+     * alertの代わりに画面中央にメッセージボックスを表示する
+     * @param {string} message 表示するメッセージ（HTML可）
+     */
+    function showMessageBox(message) {
+        const messageBox = document.createElement('div');
+        messageBox.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background-color: white;
+            padding: 20px;
+            border: 1px solid #ccc;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            z-index: 10000;
+            border-radius: 8px;
+            font-family: sans-serif;
+            text-align: center;
+        `;
+        messageBox.innerHTML = `
+            <p>${message}</p>
+            <button onclick="this.parentNode.remove()" style="
+                padding: 8px 16px;
+                margin-top: 10px;
+                border: none;
+                background-color: #007bff;
+                color: white;
+                border-radius: 4px;
+                cursor: pointer;
+            ">OK</button>
+        `;
+        document.body.appendChild(messageBox);
+    }
+
+    /**
+     * HTMLに埋め込む文字列をエスケープする
+     * @param {*} value エスケープする値
+     * @returns {string} エスケープ後の文字列
+     */
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Blobをファイルとしてダウンロードさせる
+     * @param {Blob} blob 保存する内容
+     * @param {string} fileName 保存するファイル名
+     */
+    function downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // ダウンロード開始後にURLを解放する
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 画像の透過度のみを更新する
+     */
+    function updateOpacity() {
+        if (!imageOverlay) return;
+        imageOverlay.setOpacity(getDisplayOpacity());
+    }
+
+    // --- イベントリスナー設定 ---
+
+    // 画像ファイル選択イベント
+    /**
+     * 画像ファイルを読み込み、表示中の画像を残したまま最前面に追加する
+     * @param {File} file 画像ファイル
+     * @param {Object} [options]
+     * @param {string|null} [options.sourceUrl] URLから読み込んだ場合のURL（共有リンクで画像を参照する）
+     * @param {Object|null} [options.imageInfo] 画像の配置（省略時は開いたプロジェクトが同じファイル名で参照している画像の配置）
+     * @returns {Promise<void>} 画像を配置した時点（読み込みに失敗した場合はメッセージを表示した時点）で完了する
+     */
+    async function loadImageFile(file, { sourceUrl = null, imageInfo = null } = {}) {
+        // 開いたプロジェクトが参照している画像であれば保存時のページ・位置に復元する
+        const placement = imageInfo || pendingProjectImages.find(info => info.fileName === file.name);
+        let source;
+        try {
+            source = await readImageSource(file, placement ? placement.pdfPage : null);
+        } catch (error) {
+            console.error('画像ファイルの読み込みに失敗しました:', error);
+            showMessageBox('画像の読み込みに失敗しました。ファイルが破損している可能性があります。');
+            return;
+        }
+        if (!source) return; // PDFのページ選択がキャンセルされた場合
+
+        const image = new Image();
+        const loaded = await new Promise(resolve => {
+            image.onload = () => resolve(true);
+            image.onerror = () => resolve(false);
+            image.src = source.dataUrl;
+        });
+        // 画像データの読み込みが失敗した時
+        if (!loaded) {
+            showMessageBox('画像の読み込みに失敗しました。ファイルが破損している可能性があります。');
+            return;
+        }
+        // 画像サイズが正しく取得されているかチェック
+        if (image.naturalWidth === 0 || image.naturalHeight === 0) {
+            showMessageBox('有効な画像ファイルではありません。別のファイルを選択してください。');
+            return;
+        }
+
+        recordHistory('画像の読み込み');
+        const imageLayer = addImageLayer(image, file.name);
+        imageLayer.sourceUrl = sourceUrl;
+        if (source.pdfPage) {
+            imageLayer.pdfPage = source.pdfPage;
+            imageLayer.name = `${file.name} (${source.pdfPage.page}ページ)`;
+        }
+
+        if (placement && (placement === imageInfo || pendingProjectImages.includes(placement))) {
+            if (pendingProjectImages.includes(placement)) {
+                pendingProjectImages.splice(pendingProjectImages.indexOf(placement), 1);
+            }
+            restoreProjectImage(placement);
+        } else {
+            updateImageDisplay();
+        }
+    }
+
+    imageInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return; // ファイル選択がキャンセルされた場合は何もしない
+        event.target.value = ''; // 同じファイルを連続して選択できるようにリセット
+        loadImageFile(file);
+    });
+
+    // 「画像読込」ボタンクリックイベント
+    loadImageBtn.addEventListener('click', () => imageInput.click());
+
+    // 表示倍率変更イベント
+    scaleInput.addEventListener('input', () => {
+        beginHistory('表示倍率の変更');
+        applyScaleToImage();
+    });
+
+    // 回転角変更イベント
+    rotationInput.addEventListener('input', () => {
+        if (!imageOverlay) return;
+        beginHistory('回転角の変更');
+        rotateImage(getDisplayRotation() - getImageRotation());
+    });
+
+    // 透過度変更イベント
+    opacityInput.addEventListener('input', () => {
+        beginHistory('透過度の変更');
+        updateOpacity();
+    });
+
+    // 入力を確定したら（Enter・フォーカス移動・スピンボタン）、入力中の変更を1つの操作として履歴に残す
+    [scaleInput, rotationInput, opacityInput].forEach(input => input.addEventListener('change', commitHistory));
+
+    // 「中心座標」ボタンクリックイベント
+    centerCoordBtn.addEventListener('click', () => {
+        isCenteringMode = !isCenteringMode; // モードをトグル
+        centerCoordBtn.classList.toggle('active', isCenteringMode);
+        exitGeorefMode(); // 位置合わせモードとは排他
+        setDrawTool(null); // 作図とも排他
+        setMeasureTool(null); // 計測とも排他
+        stopScalePointPick(); // 実寸の指定に使う2点の指定とも排他
         
         // カーソルを設定
         if (isCenteringMode) {
@@ -519,11 +1549,10 @@ document.addEventListener('DOMContentLoaded', () => {
             document.body.style.cursor = '';
         }
 
-        // 画像オーバーレイが存在すれば削除
+        // 選択中の画像オーバーレイが存在すれば削除
         if (imageOverlay) {
-            map.removeLayer(imageOverlay);
-            removeDragHandles();
-            imageOverlay = null;
+            recordHistory('画像の削除');
+            removeImageOverlay();
         }
     });
 
@@ -532,6 +1561,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!isCenteringMode) return; // モードがオフなら何もしない
 
         const clickedLatLng = e.latlng;
+        recordHistory('中心座標の設定');
 
         // 既存の中心マーカーがあれば削除
         if (centerMarker) {
@@ -553,263 +1583,6337 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // --- ドラッグイベントハンドラー ---
-    map.on('mousemove', (e) => {
+
+    /**
+     * 画像のドラッグ（移動・サイズ変更・回転）を終了する
+     */
+    function endImageDrag() {
+        if (imagePointerId === null) return;
+        imagePointerId = null;
+        
+        // ドラッグ終了時に表示倍率を最終更新
+        if (isDragging && imageOverlay) {
+            updateScaleFromBounds(imageOverlay.getCorners());
+        }
+        isDragging = false;
+        dragCornerIndex = -1;
+        isMovingImage = false;
+        moveStartPoint = null;
+        isRotating = false;
+        map.dragging.enable();
+        
+        // カーソルを強制的にリセット
+        map.getContainer().style.cursor = '';
+        document.body.style.cursor = '';
+        
+        // リサイズ・回転情報を非表示
+        hideResizeInfo();
+        commitHistory(); // ドラッグした場合は操作の履歴に残す
+    }
+
+    // ドラッグ中はポインターが地図の外に出ても追従する
+    document.addEventListener('pointermove', (e) => {
+        if (e.pointerId !== imagePointerId) return;
+        const latlng = map.mouseEventToLatLng(e);
         if (isDragging && dragCornerIndex >= 0) {
-            updateImageBounds(e.latlng, dragCornerIndex);
+            updateImageBounds(latlng, dragCornerIndex);
         } else if (isMovingImage) {
-            moveImageToPosition(e.latlng);
-        } else if (!isCenteringMode && !isDragging && !isMovingImage) {
-            // ドラッグ中でも中心座標設定モードでもない場合、カーソルをリセット
-            const currentCursor = map.getContainer().style.cursor;
-            if (currentCursor && (currentCursor.includes('resize') || currentCursor === 'move')) {
-                map.getContainer().style.cursor = '';
-                document.body.style.cursor = '';
-            }
+            moveImageToPosition(latlng);
+        } else if (isRotating) {
+            rotateImageToward(latlng, e.shiftKey);
         }
     });
 
-    map.on('mouseup', () => {
-        if (isDragging) {
-            isDragging = false;
-            dragCornerIndex = -1;
-            map.dragging.enable();
-            
-            // カーソルを強制的にリセット
-            map.getContainer().style.cursor = '';
-            document.body.style.cursor = '';
-            
-            // ドラッグ終了時に表示倍率を最終更新
-            if (imageOverlay) {
-                updateScaleFromBounds(imageOverlay.getBounds());
-            }
-            
-            // リサイズ情報を非表示
-            hideResizeInfo();
-        } else if (isMovingImage) {
-            isMovingImage = false;
-            moveStartPoint = null;
-            map.dragging.enable();
-            
-            // カーソルを強制的にリセット
-            map.getContainer().style.cursor = '';
-            document.body.style.cursor = '';
-        }
+    document.addEventListener('pointerup', (e) => {
+        if (e.pointerId === imagePointerId) endImageDrag();
     });
 
-    // ウィンドウ全体でのマウスアップイベント（地図外でマウスを離した場合）
-    document.addEventListener('mouseup', () => {
-        if (isDragging) {
-            isDragging = false;
-            dragCornerIndex = -1;
-            map.dragging.enable();
-            
-            // カーソルを強制的にリセット
-            map.getContainer().style.cursor = '';
-            document.body.style.cursor = '';
-            
-            // ドラッグ終了時に表示倍率を最終更新
-            if (imageOverlay) {
-                updateScaleFromBounds(imageOverlay.getBounds());
+    // タッチ操作がブラウザに取り消された場合（スクロール判定・着信など）
+    document.addEventListener('pointercancel', (e) => {
+        if (e.pointerId === imagePointerId) endImageDrag();
+    });
+
+    map.on('mousemove', () => {
+        if (!isCenteringMode && !isDragging && !isMovingImage && !isRotating) {
+            // ドラッグ中でも中心座標設定モードでもない場合、カーソルをリセット
+            const currentCursor = map.getContainer().style.cursor;
+            if (currentCursor && (currentCursor.includes('resize') || currentCursor === 'move')) {
+                map.getContainer().style.cursor = '';
+                document.body.style.cursor = '';
             }
-            
-            // リサイズ情報を非表示
-            hideResizeInfo();
-        } else if (isMovingImage) {
-            isMovingImage = false;
-            moveStartPoint = null;
-            map.dragging.enable();
-            
-            // カーソルを強制的にリセット
-            map.getContainer().style.cursor = '';
-            document.body.style.cursor = '';
         }
     });
 
     // 追加の安全対策：マウスが画面外に出た時やウィンドウフォーカスが外れた時
     document.addEventListener('mouseleave', () => {
-        if (isDragging) {
-            isDragging = false;
-            dragCornerIndex = -1;
-            map.dragging.enable();
-            hideResizeInfo();
-        }
-        if (isMovingImage) {
-            isMovingImage = false;
-            moveStartPoint = null;
-            map.dragging.enable();
-        }
+        endImageDrag();
         // カーソルを強制リセット
         map.getContainer().style.cursor = '';
         document.body.style.cursor = '';
     });
 
     window.addEventListener('blur', () => {
-        if (isDragging) {
-            isDragging = false;
-            dragCornerIndex = -1;
-            map.dragging.enable();
-            hideResizeInfo();
-        }
-        if (isMovingImage) {
-            isMovingImage = false;
-            moveStartPoint = null;
-            map.dragging.enable();
-        }
+        endImageDrag();
+        endImagePinch();
         // カーソルを強制リセット
         map.getContainer().style.cursor = '';
         document.body.style.cursor = '';
     });
 
-    // --- GPS値読込イベント ---
-    loadGpsBtn.addEventListener('click', () => gpsCsvInput.click());
+    // --- 2本指での画像の拡大縮小・回転 ---
 
-    // --- GeoJSON読込イベント ---
-    loadGeojsonBtn.addEventListener('click', () => geojsonInput.click());
+    /**
+     * 地図上の位置が選択中の画像の範囲内にあるか判定する
+     * @param {L.Point} containerPoint 地図コンテナ上の位置
+     * @returns {boolean} 範囲内の場合はtrue
+     */
+    function isPointOnImage(containerPoint) {
+        if (!imageOverlay || !activeImageLayer.visible) return false;
+        const corners = imageOverlay.getCorners().map(corner => map.latLngToContainerPoint(corner));
+        // 画像は平行四辺形なので、四辺すべての同じ側にあれば範囲内
+        const sides = corners.map((corner, index) => {
+            const next = corners[(index + 1) % corners.length];
+            return (next.x - corner.x) * (containerPoint.y - corner.y) - (next.y - corner.y) * (containerPoint.x - corner.x);
+        });
+        return sides.every(side => side >= 0) || sides.every(side => side <= 0);
+    }
 
-    // 度分秒文字列→度（実数）変換関数
-    function dmsStrToDeg(dmsStr, isLongitude = false) {
-        if (!dmsStr) return NaN;
-        
-        // 緯度: 8文字、経度: 9文字に調整
-        const targetLength = isLongitude ? 9 : 8;
-        let paddedStr = dmsStr.toString().padEnd(targetLength, '0');
-        
-        if (isLongitude) {
-            // 経度: 3桁度 + 2桁分 + 2桁秒整数 + 小数部
-            const deg = parseInt(paddedStr.slice(0, 3), 10);
-            const min = parseInt(paddedStr.slice(3, 5), 10);
-            const secInt = parseInt(paddedStr.slice(5, 7), 10);
-            const secDecimal = parseFloat('0.' + paddedStr.slice(7));
-            const sec = secInt + secDecimal;
-            const result = deg + min / 60 + sec / 3600;
-            // console.log('経度計算:', { dmsStr, paddedStr, deg, min, secInt, secDecimal, sec, result });
-            return result;
+    /**
+     * 2本指での画像の拡大縮小・回転を開始する
+     */
+    function startImagePinch() {
+        // 1本指で画像をドラッグしていた場合は、そこまでを1つの操作として区切る
+        endImageDrag();
+        beginHistory('画像の拡大縮小・回転');
+        isPinchingImage = true;
+        map.dragging.disable();
+        map.touchZoom.disable();
+    }
+
+    /**
+     * 指の動きに合わせて画像を拡大縮小・回転・移動する
+     * 2本の指を結ぶ線分の長さの比で拡大縮小、向きの変化で回転、中点の移動で平行移動する
+     * @param {number} pointerId 動いた指のポインターID
+     * @param {L.Point} containerPoint 動いた指の地図コンテナ上の位置
+     */
+    function pinchImage(pointerId, containerPoint) {
+        const toPixel = point => map.project(map.containerPointToLatLng(point));
+        const [from1, from2] = [...imageTouchPoints.values()].map(toPixel);
+        imageTouchPoints.set(pointerId, containerPoint);
+        const [to1, to2] = [...imageTouchPoints.values()].map(toPixel);
+
+        const fromVector = from2.subtract(from1);
+        const toVector = to2.subtract(to1);
+        const fromLength = Math.hypot(fromVector.x, fromVector.y);
+        const toLength = Math.hypot(toVector.x, toVector.y);
+        if (fromLength === 0 || toLength === 0) return;
+
+        const scaleFactor = toLength / fromLength;
+        const angle = Math.atan2(toVector.y, toVector.x) - Math.atan2(fromVector.y, fromVector.x);
+        const cos = Math.cos(angle) * scaleFactor;
+        const sin = Math.sin(angle) * scaleFactor;
+        const fromCenter = from1.add(from2).divideBy(2);
+        const toCenter = to1.add(to2).divideBy(2);
+        transformImageCorners(point => {
+            const offset = point.subtract(fromCenter);
+            return toCenter.add(L.point(offset.x * cos - offset.y * sin, offset.x * sin + offset.y * cos));
+        });
+
+        const center = imageOverlay.getCenter();
+        centerMarker.setLatLng(center);
+        updateCoordInputs(center);
+        updateScaleFromBounds(imageOverlay.getCorners());
+        updateRotationInput();
+        showResizeInfo(null, center, `${formatScaleInfo()} / 回転角: ${rotationInput.value}°`);
+    }
+
+    /**
+     * 2本指での画像の拡大縮小・回転を終了する
+     */
+    function endImagePinch() {
+        if (!isPinchingImage) return;
+        isPinchingImage = false;
+        map.dragging.enable();
+        map.touchZoom.enable();
+        hideResizeInfo();
+        commitHistory();
+    }
+
+    // 2本の指がどちらも選択中の画像の上にある場合は、地図のピンチズームの代わりに画像を操作する
+    // （地図の操作より先に判定するためキャプチャ段階で受け取る）
+    mapContainer.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'touch') return;
+        imageTouchPoints.set(e.pointerId, map.mouseEventToContainerPoint(e));
+        if (imageTouchPoints.size !== 2 || isPinchingImage) return;
+        if (![...imageTouchPoints.values()].every(isPointOnImage)) return;
+
+        startImagePinch();
+        e.preventDefault();
+        e.stopPropagation();
+    }, true);
+
+    document.addEventListener('pointermove', (e) => {
+        if (!imageTouchPoints.has(e.pointerId)) return;
+        const containerPoint = map.mouseEventToContainerPoint(e);
+        if (isPinchingImage && imageOverlay) {
+            pinchImage(e.pointerId, containerPoint);
         } else {
-            // 緯度: 2桁度 + 2桁分 + 2桁秒整数 + 小数部
-            const deg = parseInt(paddedStr.slice(0, 2), 10);
-            const min = parseInt(paddedStr.slice(2, 4), 10);
-            const secInt = parseInt(paddedStr.slice(4, 6), 10);
-            const secDecimal = parseFloat('0.' + paddedStr.slice(6));
-            const sec = secInt + secDecimal;
-            const result = deg + min / 60 + sec / 3600;
-            // console.log('緯度計算:', { dmsStr, paddedStr, deg, min, secInt, secDecimal, sec, result });
-            return result;
+            imageTouchPoints.set(e.pointerId, containerPoint);
         }
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+        document.addEventListener(type, (e) => {
+            if (!imageTouchPoints.delete(e.pointerId)) return;
+            endImagePinch();
+        });
+    });
+
+    // --- キーボードでの画像の操作 ---
+    const IMAGE_NUDGE_PIXELS = 10; // 矢印キー1回で画像を動かす画面上のピクセル数
+    const IMAGE_FINE_NUDGE_PIXELS = 1; // Shiftキーを押しながらの場合
+    const IMAGE_KEY_SCALE_FACTOR = 1.1; // +/-キー1回で拡大縮小する比率
+    const IMAGE_FINE_KEY_SCALE_FACTOR = 1.01; // Shiftキーを押しながらの場合
+    const IMAGE_NUDGE_DIRECTIONS = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+    // +/-キーはShiftキーの有無で文字が変わるため、キーの位置（KeyboardEvent.code）で判定する
+    const IMAGE_ENLARGE_KEY_CODES = ['NumpadAdd', 'Equal', 'Semicolon']; // 英語配列の =/+ キー、日本語配列の ;/+ キー
+    const IMAGE_SHRINK_KEY_CODES = ['NumpadSubtract', 'Minus'];
+
+    /**
+     * キー入力が選択中の画像の操作に当たるか判定する
+     * @param {KeyboardEvent} e キーボードイベント
+     * @returns {string|null} 'move'・'enlarge'・'shrink'、当たらない場合はnull
+     */
+    function getImageKeyAction(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return null;
+        if (!imageOverlay || !activeImageLayer.visible) return null;
+        // 地図（画像を含む）にフォーカスがある場合のみ操作する（ボタン・パネルでのキー操作は妨げない）
+        if (!mapContainer.contains(document.activeElement)) return null;
+        // 地図上のポップアップなどの入力欄では文字の入力・カーソル移動を優先する
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return null;
+
+        if (IMAGE_NUDGE_DIRECTIONS[e.key]) return 'move';
+        if (IMAGE_ENLARGE_KEY_CODES.includes(e.code)) return 'enlarge';
+        if (IMAGE_SHRINK_KEY_CODES.includes(e.code)) return 'shrink';
+        return null;
     }
 
-    gpsCsvInput.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const data = new Uint8Array(e.target.result);
-            const workbook = XLSX.read(data, { type: 'array' });
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-            
-            // ファイルを読み込み。1行目はヘッダーとしてスキップ
-            let markerCount = 0; // マーカー作成件数を初期化
-            for (let i = 1; i < jsonData.length; i++) {
-                const row = jsonData[i];
-                if (!row || row.length < 5) continue; // 最低5列(E列まで)必要
-                
-                // C列とG列をスペース区切りで結合してname
-                const name = (row[2] || '') + ' ' + (row[6] || '');
-                const lat = dmsStrToDeg(row[3], false); // D列（3番目、0始まりで3）
-                const lng = dmsStrToDeg(row[4], true);  // E列（4番目、0始まりで4）
-                
-                if (!name.trim() || isNaN(lat) || isNaN(lng)) continue;
-                if (lat <= 0 || lng <= 0) continue;
-                markerCount++; // マーカーのカウントアップ
-                
-                if (markerCount === 1) {
-                    console.log('Marker 1件目:', { name, latStr: row[3], lngStr: row[4], lat, lng });
-                }
-                const marker = L.marker([lat, lng]).addTo(map);
-                marker.bindPopup(name);
-            }
-            console.log(`GPS値からマーカーを作成しました: ${markerCount}件`);
-        };
-        reader.readAsArrayBuffer(file);
-        event.target.value = '';
+    // 矢印キーで画像を移動、+/-キーで拡大縮小（Shiftキーで細かく）
+    // 地図にフォーカスがある間は、地図のキーボード操作（スクロール・ズーム）より優先するためキャプチャ段階で受け取る
+    document.addEventListener('keydown', (e) => {
+        const action = getImageKeyAction(e);
+        if (!action) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (action === 'move') {
+            beginHistory('画像の移動');
+            const step = e.shiftKey ? IMAGE_FINE_NUDGE_PIXELS : IMAGE_NUDGE_PIXELS;
+            moveImageByPixels(L.point(IMAGE_NUDGE_DIRECTIONS[e.key]).multiplyBy(step));
+        } else {
+            beginHistory('画像のサイズ変更');
+            const factor = e.shiftKey ? IMAGE_FINE_KEY_SCALE_FACTOR : IMAGE_KEY_SCALE_FACTOR;
+            const scaleFactor = action === 'enlarge' ? factor : 1 / factor;
+            const center = imageOverlay.getCenter();
+            const centerPoint = map.project(center);
+            transformImageCorners(point => centerPoint.add(point.subtract(centerPoint).multiplyBy(scaleFactor)));
+            updateScaleFromBounds(imageOverlay.getCorners());
+            showResizeInfo(imageOverlay.getBounds(), center);
+        }
+    }, true);
+
+    // キーを離したところで1つの操作として履歴に残す（押し続けた間の移動・拡大縮小をまとめる）
+    document.addEventListener('keyup', (e) => {
+        if (!getImageKeyAction(e)) return;
+        hideResizeInfo();
+        commitHistory();
     });
 
-    // GeoJSONファイル読み込み処理
-    geojsonInput.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
+    // ズーム変更時は回転ハンドルの画面上の間隔を保つためハンドルを作り直す
+    map.on('zoomend', () => {
+        if (imageOverlay) {
+            createDragHandles(imageOverlay.getCorners());
+        }
+    });
+
+    // --- 画像ファイルの読み込み（JPEG・WebP・TIFF・PDF） ---
+
+    const IMAGE_TILING_THRESHOLD = 4096; // 長辺がこのピクセル数を超える画像はタイルに分割して表示する
+    const MAX_IMAGE_SIDE = 16384; // TIFF・PDFから変換する画像の長辺の上限（ブラウザのcanvasの上限）
+    const PDF_WORKER_URL = 'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.worker.min.js'; // index.html で読み込む pdf.js と同じバージョン
+    const PDF_POINTS_PER_INCH = 72; // PDFの座標の単位（1/72インチ）
+    const PDF_PREVIEW_SIZE = 240; // ページ選択ダイアログのプレビューの長辺（px）
+
+    /**
+     * ファイルの内容を読み込む
+     * @param {File} file 読み込むファイル
+     * @param {boolean} asDataUrl trueの場合はデータURL、falseの場合はArrayBufferとして読み込む
+     * @returns {Promise<string|ArrayBuffer>} ファイルの内容
+     */
+    function readFileContent(file, asDataUrl) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            if (asDataUrl) {
+                reader.readAsDataURL(file);
+            } else {
+                reader.readAsArrayBuffer(file);
+            }
+        });
+    }
+
+    /**
+     * 画像ファイルの形式を拡張子とMIMEタイプから判定する
+     * @param {File} file 画像ファイル
+     * @returns {string} 'pdf'・'tiff'・'image'（PNG・JPEG・WebPなどブラウザで表示できる画像）
+     */
+    function getImageFileFormat(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'pdf' || file.type === 'application/pdf') return 'pdf';
+        if (extension === 'tif' || extension === 'tiff' || file.type === 'image/tiff') return 'tiff';
+        return 'image';
+    }
+
+    /**
+     * TIFFファイルを画像に変換する（複数の画像を含む場合は最も大きい画像を使う）
+     * @param {ArrayBuffer} buffer TIFFファイルの内容
+     * @returns {HTMLCanvasElement} 変換した画像
+     */
+    function decodeTiff(buffer) {
+        const ifds = UTIF.decode(buffer);
+        const getArea = ifd => (ifd.t256 ? ifd.t256[0] : 0) * (ifd.t257 ? ifd.t257[0] : 0);
+        const ifd = ifds.reduce((largest, other) => getArea(other) > getArea(largest) ? other : largest);
+        if (Math.max(ifd.t256[0], ifd.t257[0]) > MAX_IMAGE_SIDE) {
+            throw new Error(`画像が大きすぎます（長辺は${MAX_IMAGE_SIDE}px以下）`);
+        }
+        UTIF.decodeImage(buffer, ifd, ifds);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = ifd.width;
+        canvas.height = ifd.height;
+        const context = canvas.getContext('2d');
+        const imageData = context.createImageData(ifd.width, ifd.height);
+        imageData.data.set(UTIF.toRGBA8(ifd));
+        context.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * PDFのページを画像にする時の拡大率を求める（長辺が MAX_IMAGE_SIDE を超える場合は解像度を下げる）
+     * @param {Object} page pdf.js のページ
+     * @param {number} dpi 解像度
+     * @returns {number} pdf.js の拡大率
+     */
+    function getPdfRenderScale(page, dpi) {
+        const viewport = page.getViewport({ scale: 1 });
+        return Math.min(dpi / PDF_POINTS_PER_INCH, MAX_IMAGE_SIDE / Math.max(viewport.width, viewport.height));
+    }
+
+    /**
+     * PDFのページを画像にする
+     * @param {Object} pdf pdf.js で開いたPDF
+     * @param {number} pageNumber ページ番号（1から）
+     * @param {number} dpi 解像度
+     * @returns {Promise<HTMLCanvasElement>} ページの画像
+     */
+    async function renderPdfPage(pdf, pageNumber, dpi) {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: getPdfRenderScale(page, dpi) });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return canvas;
+    }
+
+    /**
+     * ページ選択ダイアログで選択中のページのプレビューと、読み込む画像のサイズを表示する
+     */
+    async function updatePdfPagePreview() {
+        const choice = pendingPdfPageChoice;
+        const page = await choice.pdf.getPage(parseInt(pdfPageSelect.value, 10));
+        if (choice !== pendingPdfPageChoice) return; // ページの取得中にダイアログを閉じた場合
+        if (choice.previewTask) {
+            choice.previewTask.cancel(); // 前に選択したページの描画を中止する
+        }
+
+        const scale = getPdfRenderScale(page, parseInt(pdfDpiSelect.value, 10));
+        const viewport = page.getViewport({ scale });
+        pdfPageSize.textContent = `${Math.floor(viewport.width)} × ${Math.floor(viewport.height)} px`;
+
+        const previewViewport = page.getViewport({ scale: scale * PDF_PREVIEW_SIZE / Math.max(viewport.width, viewport.height) });
+        pdfPagePreview.width = Math.floor(previewViewport.width);
+        pdfPagePreview.height = Math.floor(previewViewport.height);
+        choice.previewTask = page.render({ canvasContext: pdfPagePreview.getContext('2d'), viewport: previewViewport });
+        try {
+            await choice.previewTask.promise;
+        } catch (error) {
+            if (error.name !== 'RenderingCancelledException') {
+                console.error('PDFのプレビューの表示に失敗しました:', error);
+            }
+        }
+    }
+
+    /**
+     * ページ選択ダイアログで読み込むページと解像度を選択させる
+     * @param {string} fileName PDFのファイル名
+     * @param {Object} pdf pdf.js で開いたPDF
+     * @returns {Promise<{page: number, dpi: number}|null>} 選択したページと解像度（キャンセルした場合はnull）
+     */
+    function choosePdfPage(fileName, pdf) {
+        return new Promise(resolve => {
+            pendingPdfPageChoice = { pdf, resolve, previewTask: null };
+            pdfPageFileName.textContent = fileName;
+            pdfPageSelect.innerHTML = Array.from({ length: pdf.numPages }, (_, index) => `<option value="${index + 1}">${index + 1} / ${pdf.numPages}</option>`).join('');
+            pdfPageDialog.hidden = false;
+            updatePdfPagePreview();
+        });
+    }
+
+    /**
+     * ページ選択ダイアログを閉じて選択結果を返す
+     * @param {{page: number, dpi: number}|null} result 選択したページと解像度（キャンセルした場合はnull）
+     */
+    function closePdfPageDialog(result) {
+        const { resolve, previewTask } = pendingPdfPageChoice;
+        if (previewTask) previewTask.cancel();
+        pdfPageDialog.hidden = true;
+        pendingPdfPageChoice = null;
+        resolve(result);
+    }
+
+    pdfPageSelect.addEventListener('change', updatePdfPagePreview);
+    pdfDpiSelect.addEventListener('change', updatePdfPagePreview);
+    pdfPageOkBtn.addEventListener('click', () => closePdfPageDialog({
+        page: parseInt(pdfPageSelect.value, 10),
+        dpi: parseInt(pdfDpiSelect.value, 10)
+    }));
+    pdfPageCancelBtn.addEventListener('click', () => closePdfPageDialog(null));
+
+    /**
+     * 画像ファイルを地図に重ねられる画像のデータURLにする
+     * PNG・JPEG・WebPはそのまま使い、TIFFとPDFのページはPNGに変換する
+     * @param {File} file 画像ファイル
+     * @param {{page: number, dpi: number}|null} pdfPage PDFのページと解像度（nullの場合はダイアログで選択する）
+     * @returns {Promise<{dataUrl: string, pdfPage: Object|null}|null>} 画像とPDFのページ（ページ選択をキャンセルした場合はnull）
+     */
+    async function readImageSource(file, pdfPage) {
+        const format = getImageFileFormat(file);
+        if (format === 'tiff') {
+            const canvas = decodeTiff(await readFileContent(file, false));
+            return { dataUrl: canvas.toDataURL('image/png'), pdfPage: null };
+        }
+        if (format === 'pdf') {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+            const pdf = await pdfjsLib.getDocument({ data: await readFileContent(file, false) }).promise;
             try {
-                const geojsonData = JSON.parse(e.target.result);
-                
-                // GeoJSONデータを地図に追加
-                L.geoJSON(geojsonData, {
-                    style: function(feature) {
-                        return {
-                            color: '#ff7800',
-                            weight: 2,
-                            opacity: 1,
-                            fillColor: 'transparent',
-                            fillOpacity: 0
-                        };
-                    },
-                    pointToLayer: function(feature, latlng) {
-                        return L.circleMarker(latlng, {
-                            radius: 6,
-                            fillColor: '#ff7800',
-                            color: '#000',
-                            weight: 1,
-                            opacity: 1,
-                            fillOpacity: 0.8
-                        });
-                    },
-                    onEachFeature: function(feature, layer) {
-                        if (feature.properties && feature.properties.name) {
-                            layer.bindPopup(feature.properties.name);
-                        }
-                    }
-                }).addTo(map);
-                
-                console.log('GeoJSONファイルを読み込みました');
-            } catch (error) {
-                console.error('GeoJSONファイルの読み込みに失敗しました:', error);
-                
-                // エラーメッセージを表示
-                const messageBox = document.createElement('div');
-                messageBox.style.cssText = `
-                    position: fixed;
-                    top: 50%;
-                    left: 50%;
-                    transform: translate(-50%, -50%);
-                    background-color: white;
-                    padding: 20px;
-                    border: 1px solid #ccc;
-                    box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                    z-index: 10000;
-                    border-radius: 8px;
-                    font-family: sans-serif;
-                    text-align: center;
-                `;
-                messageBox.innerHTML = `
-                    <p>GeoJSONファイルの読み込みに失敗しました。<br>有効なGeoJSONファイルを選択してください。</p>
-                    <button onclick="this.parentNode.remove()" style="
-                        padding: 8px 16px;
-                        margin-top: 10px;
-                        border: none;
-                        background-color: #007bff;
-                        color: white;
-                        border-radius: 4px;
-                        cursor: pointer;
-                    ">OK</button>
-                `;
-                document.body.appendChild(messageBox);
+                const choice = pdfPage || await choosePdfPage(file.name, pdf);
+                if (!choice) return null;
+                const canvas = await renderPdfPage(pdf, choice.page, choice.dpi);
+                return { dataUrl: canvas.toDataURL('image/png'), pdfPage: choice };
+            } finally {
+                pdf.destroy();
             }
-        };
-        
-        reader.readAsText(file);
-        event.target.value = '';
+        }
+        return { dataUrl: await readFileContent(file, true), pdfPage: null };
+    }
+
+    // --- 位置合わせ（基準点）機能 ---
+
+    const GEOREF_TYPES = ['affine', 'similarity']; // 位置合わせの変換方式（アフィン・相似）
+    const GEOREF_DEFAULT_TYPE = 'affine'; // 新しく読み込んだ画像の変換方式
+
+    /**
+     * 地図上の座標を画像のピクセル座標に変換する
+     * @param {L.LatLng} latlng 地図上の座標
+     * @returns {L.Point|null} 画像のピクセル座標（左上原点）
+     */
+    function latLngToImagePixel(latlng) {
+        if (!imageOverlay) return null;
+        const crs = L.CRS.EPSG3857;
+        const [topLeft, topRight, , bottomLeft] = imageOverlay.getCorners().map(corner => crs.project(corner));
+        const target = crs.project(latlng).subtract(topLeft);
+        const ux = topRight.x - topLeft.x, uy = topRight.y - topLeft.y;
+        const vx = bottomLeft.x - topLeft.x, vy = bottomLeft.y - topLeft.y;
+        const det = ux * vy - uy * vx;
+        if (det === 0) return null;
+
+        // 左上を原点、上辺・左辺を軸とする斜交座標（0〜1）を求める
+        const s = (target.x * vy - target.y * vx) / det;
+        const t = (ux * target.y - uy * target.x) / det;
+        return L.point(s * currentImage.naturalWidth, t * currentImage.naturalHeight);
+    }
+
+    /**
+     * 画像のピクセル座標を地図上の座標に変換する
+     * @param {L.Point} pixel 画像のピクセル座標（左上原点）
+     * @returns {L.LatLng} 地図上の座標
+     */
+    function imagePixelToLatLng(pixel) {
+        const crs = L.CRS.EPSG3857;
+        const [topLeft, topRight, , bottomLeft] = imageOverlay.getCorners().map(corner => crs.project(corner));
+        const s = pixel.x / currentImage.naturalWidth;
+        const t = pixel.y / currentImage.naturalHeight;
+        return crs.unproject(topLeft
+            .add(topRight.subtract(topLeft).multiplyBy(s))
+            .add(bottomLeft.subtract(topLeft).multiplyBy(t)));
+    }
+
+    /**
+     * 基準点ペアから画像ピクセル→投影座標（EPSG:3857, m）の変換を最小二乗法で求める
+     * 変換式: x = a*u + c*v + e, y = b*u + d*v + f
+     * @param {Array<{imagePoint: L.Point, mapLatLng: L.LatLng}>} points 基準点ペア
+     * @param {string} type 'affine'（アフィン）または 'similarity'（相似）
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}|null} 変換係数（求まらない場合はnull）
+     */
+    function fitImageTransform(points, type) {
+        const crs = L.CRS.EPSG3857;
+        const pairs = points.map(p => ({ u: p.imagePoint.x, v: p.imagePoint.y, map: crs.project(p.mapLatLng) }));
+        const n = pairs.length;
+
+        // 桁落ちを防ぐため重心を原点に移してから計算する
+        const mean = pairs.reduce((acc, p) => ({
+            u: acc.u + p.u / n, v: acc.v + p.v / n, x: acc.x + p.map.x / n, y: acc.y + p.map.y / n
+        }), { u: 0, v: 0, x: 0, y: 0 });
+        const centered = pairs.map(p => ({ u: p.u - mean.u, v: p.v - mean.v, x: p.map.x - mean.x, y: p.map.y - mean.y }));
+
+        let a, b, c, d;
+        if (type === 'similarity') {
+            // 画像のv軸は下向き、投影座標のy軸は上向きなので、vを反転した回転＋拡大として解く
+            const norm = centered.reduce((sum, p) => sum + p.u * p.u + p.v * p.v, 0);
+            if (norm === 0) return null;
+            const p = centered.reduce((sum, q) => sum + q.u * q.x - q.v * q.y, 0) / norm;
+            const q = centered.reduce((sum, r) => sum + r.u * r.y + r.v * r.x, 0) / norm;
+            a = p; b = q; c = q; d = -p;
+        } else {
+            const suu = centered.reduce((sum, p) => sum + p.u * p.u, 0);
+            const svv = centered.reduce((sum, p) => sum + p.v * p.v, 0);
+            const suv = centered.reduce((sum, p) => sum + p.u * p.v, 0);
+            const det = suu * svv - suv * suv;
+            // 基準点が一直線上に並んでいる場合は解けない
+            if (Math.abs(det) <= 1e-9 * suu * svv || det === 0) return null;
+            const sux = centered.reduce((sum, p) => sum + p.u * p.x, 0);
+            const svx = centered.reduce((sum, p) => sum + p.v * p.x, 0);
+            const suy = centered.reduce((sum, p) => sum + p.u * p.y, 0);
+            const svy = centered.reduce((sum, p) => sum + p.v * p.y, 0);
+            a = (sux * svv - svx * suv) / det;
+            c = (svx * suu - sux * suv) / det;
+            b = (suy * svv - svy * suv) / det;
+            d = (svy * suu - suy * suv) / det;
+        }
+        return {
+            a, b, c, d,
+            e: mean.x - a * mean.u - c * mean.v,
+            f: mean.y - b * mean.u - d * mean.v
+        };
+    }
+
+    /**
+     * 変換係数を使って画像のピクセル座標を地図上の座標に変換する
+     * @param {Object} transform fitImageTransform の戻り値
+     * @param {number} u 画像のx座標
+     * @param {number} v 画像のy座標
+     * @returns {L.LatLng} 地図上の座標
+     */
+    function applyImageTransform(transform, u, v) {
+        const { a, b, c, d, e, f } = transform;
+        return L.CRS.EPSG3857.unproject(L.point(a * u + c * v + e, b * u + d * v + f));
+    }
+
+    /**
+     * 基準点から変換を求めて画像を変形し、残差を更新する
+     */
+    function applyGeoreference() {
+        georefRms = null;
+        georefPoints.forEach(p => { p.residual = null; });
+
+        const type = georefTypeSelect.value;
+        if (activeImageLayer) activeImageLayer.georefType = type; // 変換方式は画像ごとに保持する
+        const minPoints = type === 'similarity' ? 2 : 3;
+        if (!imageOverlay || georefPoints.length < minPoints) {
+            renderGeorefPanel();
+            return;
+        }
+
+        const transform = fitImageTransform(georefPoints, type);
+        if (!transform) {
+            renderGeorefPanel('基準点が一直線上に並んでいるため変換を計算できません。');
+            return;
+        }
+
+        // 画像の左上・右上・左下を変換して配置する
+        const width = currentImage.naturalWidth;
+        const height = currentImage.naturalHeight;
+        imageOverlay.setCorners([
+            applyImageTransform(transform, 0, 0),
+            applyImageTransform(transform, width, 0),
+            applyImageTransform(transform, 0, height)
+        ]);
+        createDragHandles(imageOverlay.getCorners());
+        updateScaleFromBounds(imageOverlay.getCorners());
+        updateRotationInput();
+
+        const newCenter = imageOverlay.getCenter();
+        centerMarker.setLatLng(newCenter);
+        updateCoordInputs(newCenter);
+
+        // 各基準点の残差（変換後の画像上の点と地図上の点の距離）を計算
+        let sumSquares = 0;
+        georefPoints.forEach(p => {
+            const predicted = applyImageTransform(transform, p.imagePoint.x, p.imagePoint.y);
+            p.residual = map.distance(predicted, p.mapLatLng);
+            sumSquares += p.residual * p.residual;
+        });
+        georefRms = Math.sqrt(sumSquares / georefPoints.length);
+
+        updateGeorefMarkers();
+        renderGeorefPanel();
+    }
+
+    /**
+     * 基準点のマーカー（画像上の点・地図上の点・両者を結ぶ線）を描画し直す
+     */
+    function updateGeorefMarkers() {
+        georefLayer.clearLayers();
+        if (!imageOverlay) return;
+
+        const drawImagePoint = (pixel, label) => {
+            const latlng = imagePixelToLatLng(pixel);
+            L.circleMarker(latlng, {
+                radius: 5, color: '#ffffff', weight: 2, fillColor: '#0066ff', fillOpacity: 1,
+                interactive: false, pane: 'georefPoints'
+            }).bindTooltip(label, { permanent: true, direction: 'right', className: 'georef-label' }).addTo(georefLayer);
+            return latlng;
+        };
+
+        georefPoints.forEach((p, index) => {
+            const imageLatLng = drawImagePoint(p.imagePoint, String(index + 1));
+            L.polyline([imageLatLng, p.mapLatLng], {
+                color: '#0066ff', weight: 2, dashArray: '4 4', interactive: false, pane: 'georefPoints'
+            }).addTo(georefLayer);
+            L.circleMarker(p.mapLatLng, {
+                radius: 5, color: '#ffffff', weight: 2, fillColor: '#ff0000', fillOpacity: 1,
+                interactive: false, pane: 'georefPoints'
+            }).addTo(georefLayer);
+        });
+
+        if (pendingImagePoint) {
+            drawImagePoint(pendingImagePoint, String(georefPoints.length + 1));
+        }
+    }
+
+    /**
+     * 位置合わせパネルの表示内容を更新する
+     * @param {string} [errorMessage] 状態欄に表示するエラーメッセージ
+     */
+    function renderGeorefPanel(errorMessage) {
+        if (errorMessage) {
+            georefStatus.textContent = errorMessage;
+        } else if (!isGeorefMode) {
+            georefStatus.textContent = '「位置合わせ」ボタンで基準点の追加を再開できます。';
+        } else if (pendingImagePoint) {
+            georefStatus.textContent = `基準点${georefPoints.length + 1}: 地図上の対応する点をクリックしてください。`;
+        } else {
+            georefStatus.textContent = `基準点${georefPoints.length + 1}: 画像上の点をクリックしてください。`;
+        }
+
+        georefTableBody.innerHTML = '';
+        georefPoints.forEach((p, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${index + 1}</td>
+                <td>${p.residual === null ? '-' : p.residual.toFixed(2)}</td>
+                <td><button type="button" title="この基準点を削除">削除</button></td>
+            `;
+            row.querySelector('button').addEventListener('click', () => {
+                georefPoints.splice(index, 1);
+                applyGeoreference();
+                updateGeorefMarkers();
+            });
+            georefTableBody.appendChild(row);
+        });
+
+        georefRmsOutput.textContent = georefRms === null ? '-' : `${georefRms.toFixed(2)} m`;
+    }
+
+    /**
+     * 位置合わせモードを開始する
+     */
+    function startGeorefMode() {
+        if (!imageOverlay) {
+            showMessageBox('位置合わせを行う画像を先に読み込んでください。');
+            return;
+        }
+        // 中心座標設定モード・作図・計測・実寸の2点の指定とは排他
+        isCenteringMode = false;
+        centerCoordBtn.classList.remove('active');
+        setDrawTool(null);
+        setMeasureTool(null);
+        stopScalePointPick();
+
+        isGeorefMode = true;
+        georefBtn.classList.add('active');
+        mapContainer.style.cursor = 'crosshair';
+        georefPanel.hidden = false;
+        renderGeorefPanel();
+    }
+
+    /**
+     * 位置合わせモードを終了する（登録済みの基準点と変形結果は保持する）
+     */
+    function exitGeorefMode() {
+        if (!isGeorefMode) return;
+        isGeorefMode = false;
+        pendingImagePoint = null;
+        georefBtn.classList.remove('active');
+        mapContainer.style.cursor = '';
+        document.body.style.cursor = '';
+        updateGeorefMarkers();
+        renderGeorefPanel();
+    }
+
+    /**
+     * 基準点をすべて削除する
+     */
+    function clearGeorefPoints() {
+        georefPoints = [];
+        pendingImagePoint = null;
+        georefRms = null;
+        updateGeorefMarkers();
+        renderGeorefPanel();
+    }
+
+    // 「位置合わせ」ボタンクリックイベント
+    georefBtn.addEventListener('click', () => {
+        if (isGeorefMode) {
+            exitGeorefMode();
+        } else {
+            startGeorefMode();
+        }
+    });
+
+    // 変換方式の変更で再計算
+    georefTypeSelect.addEventListener('change', applyGeoreference);
+
+    georefClearBtn.addEventListener('click', clearGeorefPoints);
+
+    georefCloseBtn.addEventListener('click', () => {
+        exitGeorefMode();
+        georefPanel.hidden = true;
+    });
+
+    // 地図クリックイベント (位置合わせモード時)
+    map.on('click', (e) => {
+        if (!isGeorefMode || !imageOverlay) return;
+
+        if (!pendingImagePoint) {
+            // 1回目のクリック: 画像上の点
+            const pixel = latLngToImagePixel(e.latlng);
+            if (!pixel || pixel.x < 0 || pixel.y < 0 || pixel.x > currentImage.naturalWidth || pixel.y > currentImage.naturalHeight) {
+                renderGeorefPanel('画像の範囲内をクリックしてください。');
+                return;
+            }
+            pendingImagePoint = pixel;
+            updateGeorefMarkers();
+            renderGeorefPanel();
+        } else {
+            // 2回目のクリック: 地図上の対応点
+            georefPoints.push({ imagePoint: pendingImagePoint, mapLatLng: e.latlng, residual: null });
+            pendingImagePoint = null;
+            applyGeoreference();
+            updateGeorefMarkers();
+        }
+    });
+
+    // --- 実寸での配置（地上解像度） ---
+
+    const SCALE_MODE_KEY = 'gsimap2.scaleMode'; // 表示倍率の単位を保存するlocalStorageのキー
+    const DEFAULT_SCREEN_SCALE = 0.3; // 表示倍率（画面比）の既定値
+    const DEFAULT_GROUND_RESOLUTION = 1; // 地上解像度（m/px）の既定値
+    const METERS_PER_INCH = 0.0254;
+
+    /**
+     * 2点間の地上距離を求める（計測機能と同じGRS80楕円体上の距離）
+     * @param {L.LatLng} from 始点
+     * @param {L.LatLng} to 終点
+     * @returns {number} 距離（m）
+     */
+    function getGroundDistance(from, to) {
+        const result = geodesicInverse(from, to);
+        return result ? result.distance : map.distance(from, to);
+    }
+
+    /**
+     * 地図上の位置での、現在のズームレベルの画面1ピクセルあたりの地上距離を求める
+     * @param {L.LatLng} latlng 地図上の位置
+     * @returns {number} 地上距離（m/px）
+     */
+    function getMetersPerMapPixel(latlng) {
+        const point = map.project(latlng);
+        return getGroundDistance(map.unproject(point.subtract([50, 0])), map.unproject(point.add([50, 0]))) / 100;
+    }
+
+    /**
+     * 画像の四隅から地上解像度を求める
+     * @param {L.LatLng[]} corners 画像の四隅（左上・右上・右下・左下）
+     * @param {HTMLImageElement} [image=currentImage] 画像
+     * @returns {number} 画像の1ピクセルあたりの地上距離（m/px、上辺の長さから求める）
+     */
+    function getGroundResolution(corners, image = currentImage) {
+        return getGroundDistance(corners[0], corners[1]) / image.naturalWidth;
+    }
+
+    /**
+     * 地上解像度を表示用に丸める
+     * @param {number} metersPerPixel 地上解像度（m/px）
+     * @returns {number} 有効数字3桁に丸めた値
+     */
+    function formatGroundResolution(metersPerPixel) {
+        return Number(metersPerPixel.toPrecision(3));
+    }
+
+    /**
+     * 長さを表示用の文字列にする
+     * @param {number} meters 長さ（m）
+     * @returns {string} 1km以上はkm、未満はm単位の文字列
+     */
+    function formatGroundLength(meters) {
+        return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${meters.toFixed(1)} m`;
+    }
+
+    /**
+     * リサイズ中に表示する倍率の文字列を作成する
+     * @returns {string} 表示倍率（画面比）または地上解像度
+     */
+    function formatScaleInfo() {
+        const scale = parseFloat(scaleInput.value) || 0;
+        return scaleMode === 'ground' ? `地上解像度: ${scale} m/px` : `倍率: ${scale.toFixed(2)}`;
+    }
+
+    /**
+     * 選択中の画像を指定した地上解像度の大きさにする（中心・回転・変形は保持）
+     * @param {number} metersPerPixel 地上解像度（m/px）
+     */
+    function setImageGroundResolution(metersPerPixel) {
+        // メルカトル図法では緯度で縮尺が変わるため、比率での拡大縮小を2回繰り返して合わせる
+        for (let i = 0; i < 2; i++) {
+            const current = getGroundResolution(imageOverlay.getCorners());
+            if (!(current > 0)) return;
+            const scaleFactor = metersPerPixel / current;
+            const centerPoint = map.project(imageOverlay.getCenter());
+            transformImageCorners(point => centerPoint.add(point.subtract(centerPoint).multiplyBy(scaleFactor)));
+        }
+    }
+
+    /**
+     * 表示倍率の単位を切り替える
+     * @param {string} mode 'screen'（地図の表示幅に対する比率）または 'ground'（地上解像度 m/px）
+     */
+    function setScaleMode(mode) {
+        scaleMode = mode === 'ground' ? 'ground' : 'screen';
+        scaleModeSelect.value = scaleMode;
+        localStorage.setItem(SCALE_MODE_KEY, scaleMode);
+
+        scaleInputLabel.textContent = scaleMode === 'ground' ? '地上解像度' : '表示倍率';
+        scaleInput.step = scaleMode === 'ground' ? 'any' : '0.1';
+        scaleInput.min = scaleMode === 'ground' ? '0' : '0.1';
+        // 選択中の画像があればその大きさを新しい単位で表示し、なければ既定値にする
+        if (imageOverlay) {
+            updateScaleFromBounds(imageOverlay.getCorners());
+        } else {
+            scaleInput.value = scaleMode === 'ground' ? DEFAULT_GROUND_RESOLUTION : DEFAULT_SCREEN_SCALE;
+        }
+    }
+
+    /**
+     * 実寸で配置パネルの入力から地上解像度を求める
+     * @returns {number|string} 地上解像度（m/px）、求められない場合はエラーメッセージ
+     */
+    function getRealScaleInputResolution() {
+        if (realScaleMethodSelect.value === 'mapScale') {
+            // 縮尺 1:N の地図を D dpi でスキャンした画像の1ピクセルは N × 0.0254 / D m
+            const denominator = parseFloat(mapScaleDenominatorInput.value);
+            const dpi = parseFloat(scanDpiInput.value);
+            if (!(denominator > 0) || !(dpi > 0)) return '縮尺とスキャン解像度を入力してください。';
+            return denominator * METERS_PER_INCH / dpi;
+        }
+        if (realScaleMethodSelect.value === 'resolution') {
+            const metersPerPixel = parseFloat(groundResolutionInput.value);
+            if (!(metersPerPixel > 0)) return '1ピクセルの地上距離を入力してください。';
+            return metersPerPixel;
+        }
+        if (scalePoints.length < 2) return '画像上の2点を指定してください。';
+        const distance = parseFloat(knownDistanceInput.value);
+        if (!(distance > 0)) return '2点間の距離を入力してください。';
+        return distance / scalePoints[0].distanceTo(scalePoints[1]);
+    }
+
+    /**
+     * 実寸で配置パネルの表示内容を更新する
+     * @param {string} [errorMessage] 状態欄に表示するエラーメッセージ
+     */
+    function renderRealScalePanel(errorMessage) {
+        const method = realScaleMethodSelect.value;
+        realScaleMapScaleFields.hidden = method !== 'mapScale';
+        realScaleResolutionFields.hidden = method !== 'resolution';
+        realScaleDistanceFields.hidden = method !== 'distance';
+
+        if (errorMessage) {
+            realScaleStatus.textContent = errorMessage;
+        } else if (!imageOverlay) {
+            realScaleStatus.textContent = '実寸で配置する画像を読み込んで選択してください。';
+        } else {
+            // 選択中の画像の現在の大きさ（縮尺は入力中のスキャン解像度で換算）
+            const corners = imageOverlay.getCorners();
+            const metersPerPixel = getGroundResolution(corners);
+            const dpi = parseFloat(scanDpiInput.value);
+            const scaleText = dpi > 0 ? `、${dpi}dpiで縮尺 1:${Math.round(metersPerPixel * dpi / METERS_PER_INCH).toLocaleString()} 相当` : '';
+            realScaleStatus.textContent = `${activeImageLayer.name}: ${formatGroundResolution(metersPerPixel)} m/px（幅 ${formatGroundLength(getGroundDistance(corners[0], corners[1]))} × 高さ ${formatGroundLength(getGroundDistance(corners[0], corners[3]))}${scaleText}）`;
+        }
+
+        scalePointsPickBtn.classList.toggle('active', isPickingScalePoints);
+        if (isPickingScalePoints) {
+            scalePointsStatus.textContent = `点${scalePoints.length + 1}: 画像上の点をクリックしてください。`;
+        } else if (scalePoints.length === 2) {
+            scalePointsStatus.textContent = `2点の間隔: ${scalePoints[0].distanceTo(scalePoints[1]).toFixed(1)} px`;
+        } else {
+            scalePointsStatus.textContent = '距離が分かっている画像上の2点を指定してください。';
+        }
+    }
+
+    /**
+     * 実寸の指定に使う2点のマーカーを表示し直す（画像の移動・変形に追従する）
+     */
+    function updateScalePointMarkers() {
+        scalePointLayer.clearLayers();
+        if (!imageOverlay || scalePoints.length === 0) return;
+
+        const latlngs = scalePoints.map(imagePixelToLatLng);
+        latlngs.forEach(latlng => L.circleMarker(latlng, {
+            radius: 5, color: '#ffffff', weight: 2, fillColor: '#00a000', fillOpacity: 1,
+            interactive: false, pane: 'georefPoints'
+        }).addTo(scalePointLayer));
+        if (latlngs.length === 2) {
+            L.polyline(latlngs, { color: '#00a000', weight: 2, interactive: false, pane: 'georefPoints' }).addTo(scalePointLayer);
+        }
+    }
+
+    /**
+     * 画像上の2点の指定を開始する
+     */
+    function startScalePointPick() {
+        if (!imageOverlay) {
+            renderRealScalePanel('実寸で配置する画像を読み込んで選択してください。');
+            return;
+        }
+        // 中心座標設定モード・位置合わせモード・作図・計測とは排他
+        isCenteringMode = false;
+        centerCoordBtn.classList.remove('active');
+        exitGeorefMode();
+        setDrawTool(null);
+        setMeasureTool(null);
+
+        isPickingScalePoints = true;
+        scalePoints = [];
+        mapContainer.style.cursor = 'crosshair';
+        updateScalePointMarkers();
+        renderRealScalePanel();
+    }
+
+    /**
+     * 画像上の2点の指定を終了する（指定済みの点は保持する）
+     */
+    function stopScalePointPick() {
+        if (!isPickingScalePoints) return;
+        isPickingScalePoints = false;
+        mapContainer.style.cursor = '';
+        renderRealScalePanel();
+    }
+
+    /**
+     * 実寸の指定に使う2点を削除する
+     */
+    function clearScalePoints() {
+        stopScalePointPick();
+        scalePoints = [];
+        scalePointLayer.clearLayers();
+    }
+
+    // 「実寸で配置」ボタンクリックイベント
+    realScaleBtn.addEventListener('click', () => {
+        realScalePanel.hidden = !realScalePanel.hidden;
+        if (realScalePanel.hidden) {
+            clearScalePoints();
+        } else {
+            renderRealScalePanel();
+        }
+    });
+
+    realScaleCloseBtn.addEventListener('click', () => {
+        clearScalePoints();
+        realScalePanel.hidden = true;
+    });
+
+    realScaleMethodSelect.addEventListener('change', () => {
+        if (realScaleMethodSelect.value !== 'distance') clearScalePoints();
+        renderRealScalePanel();
+    });
+
+    // 換算する縮尺の表示を更新する
+    scanDpiInput.addEventListener('input', () => renderRealScalePanel());
+
+    scalePointsPickBtn.addEventListener('click', () => {
+        if (isPickingScalePoints) {
+            stopScalePointPick();
+        } else {
+            startScalePointPick();
+        }
+    });
+
+    // 地図クリックイベント (実寸の指定に使う2点の指定時)
+    map.on('click', (e) => {
+        if (!isPickingScalePoints || !imageOverlay) return;
+
+        const pixel = latLngToImagePixel(e.latlng);
+        if (!pixel || pixel.x < 0 || pixel.y < 0 || pixel.x > currentImage.naturalWidth || pixel.y > currentImage.naturalHeight) {
+            scalePointsStatus.textContent = '画像の範囲内をクリックしてください。';
+            return;
+        }
+        scalePoints.push(pixel);
+        updateScalePointMarkers();
+        if (scalePoints.length === 2) {
+            stopScalePointPick();
+            knownDistanceInput.focus();
+        } else {
+            renderRealScalePanel();
+        }
+    });
+
+    // 入力した縮尺・解像度・距離から求めた地上解像度で選択中の画像を配置し、表示倍率の単位を m/px にする
+    realScaleApplyBtn.addEventListener('click', () => {
+        if (!imageOverlay) {
+            renderRealScalePanel('実寸で配置する画像を読み込んで選択してください。');
+            return;
+        }
+        const metersPerPixel = getRealScaleInputResolution();
+        if (typeof metersPerPixel === 'string') {
+            renderRealScalePanel(metersPerPixel);
+            return;
+        }
+
+        beginHistory('画像の実寸設定');
+        setScaleMode('ground');
+        setImageGroundResolution(metersPerPixel);
+        updateScaleFromBounds(imageOverlay.getCorners());
+        commitHistory();
+    });
+
+    // 表示倍率の単位の切り替え
+    scaleModeSelect.addEventListener('change', () => setScaleMode(scaleModeSelect.value));
+
+    // 保存されている単位で表示倍率を表示する
+    setScaleMode(localStorage.getItem(SCALE_MODE_KEY));
+
+    // --- 読み込みの進行状況 ---
+
+    const LOAD_CHUNK_SIZE = 500; // 一度に処理する行・地物の数（この数ごとに画面の更新と操作の受け付けを挟む）
+
+    /**
+     * 読み込みの進行状況を画面下部に表示する
+     * @param {string} label 処理の内容
+     * @param {number|null} ratio 進み具合（0〜1、分からない場合は null）
+     */
+    function showLoadProgress(label, ratio) {
+        loadProgressLabel.textContent = label;
+        if (ratio === null) {
+            loadProgressBar.removeAttribute('value');
+        } else {
+            loadProgressBar.value = ratio;
+        }
+        loadProgress.hidden = false;
+    }
+
+    /**
+     * 読み込みの進行状況を閉じる
+     */
+    function hideLoadProgress() {
+        loadProgress.hidden = true;
+    }
+
+    /**
+     * 処理を一度中断して、ブラウザに画面の更新と操作の処理をさせる
+     * @returns {Promise<void>}
+     */
+    function yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * 配列を LOAD_CHUNK_SIZE 件ずつ処理し、合間に進行状況を表示して画面を更新する
+     * @param {Array} items 処理する要素
+     * @param {string} label 進行状況に表示する処理の内容
+     * @param {function(Array): void} processChunk 要素の一部を受け取って処理する関数
+     */
+    async function processInChunks(items, label, processChunk) {
+        for (let start = 0; start < items.length; start += LOAD_CHUNK_SIZE) {
+            processChunk(items.slice(start, start + LOAD_CHUNK_SIZE));
+            showLoadProgress(label, Math.min(1, (start + LOAD_CHUNK_SIZE) / items.length));
+            await yieldToBrowser();
+        }
+    }
+
+    /**
+     * ファイルを読み込み、読み込み中は進行状況を表示する
+     * @param {File} file 読み込むファイル
+     * @param {string} readAs FileReaderの読み込み方法（'readAsText' または 'readAsArrayBuffer'）
+     * @returns {Promise<string|ArrayBuffer>} ファイルの内容
+     */
+    function readFileWithProgress(file, readAs) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onprogress = (e) => {
+                showLoadProgress(`${file.name} を読み込み中`, e.lengthComputable ? e.loaded / e.total : null);
+            };
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader[readAs](file);
+        });
+    }
+
+    // --- データレイヤー管理 ---
+
+    const DATA_CANVAS_TOLERANCE = 4; // Canvasで描画する線・点のクリック判定の余裕（px）
+
+    /**
+     * データレイヤー専用のペイン名を決める（ペインは registerDataLayer で作成し、ペインのz-indexで重なり順を制御する）
+     * @returns {string} ペイン名
+     */
+    function createDataLayerPaneName() {
+        return `dataLayer${nextDataLayerId++}`;
+    }
+
+    /**
+     * データレイヤーを登録して地図に追加する
+     * @param {Object} dataLayer 登録するデータレイヤー
+     * @returns {Object} 登録したデータレイヤー
+     */
+    function registerDataLayer(dataLayer) {
+        if (!map.getPane(dataLayer.pane)) {
+            map.createPane(dataLayer.pane);
+        }
+        dataLayer.visible = true;
+        dataLayer.layer.addTo(map);
+        dataLayers.push(dataLayer);
+        updateDataLayerOrder();
+        renderLayerPanel();
+        return dataLayer;
+    }
+
+    /**
+     * GPS地点のマーカーを作成する
+     * @param {{name: string, lat: number, lng: number}} point 地点情報
+     * @param {string} pane ペイン名
+     * @returns {L.Marker} 名称のポップアップを付けたマーカー
+     */
+    function createGpsMarker(point, pane) {
+        return L.marker([point.lat, point.lng], { pane, shadowPane: pane }).bindPopup(escapeHtml(point.name));
+    }
+
+    /**
+     * GPS地点のマーカーのレイヤーを、画面を止めないよう分割して作成する（地図への追加は registerDataLayer で行う）
+     * @param {string} name レイヤー名（読み込んだファイル名）
+     * @param {Array<{name: string, lat: number, lng: number}>} points 地点情報の配列
+     * @returns {Promise<Object>} 登録前のデータレイヤー
+     */
+    async function buildGpsLayer(name, points) {
+        const pane = createDataLayerPaneName();
+        const layer = new ClusteredFeatureGroup(null, { pane });
+        await processInChunks(points, `${name}: マーカーを作成中`, chunk => {
+            chunk.forEach(point => layer.addLayer(createGpsMarker(point, pane)));
+        });
+        return { type: 'gps', name, points, layer, pane };
+    }
+
+    /**
+     * GeoJSONデータのレイヤーを、画面を止めないよう地物を分割して作成する（地図への追加は registerGeojsonLayer で行う）
+     * @param {string} name レイヤー名（読み込んだファイル名）
+     * @param {Object} geojsonData GeoJSONオブジェクト
+     * @param {string} [format='GeoJSON'] 読み込んだファイルの形式（GeoJSON・GPX・KML・KMZ）
+     * @param {Object} [style] スタイルの設定（省略時は初期値。DEFAULT_DATA_STYLE を参照）
+     * @returns {Promise<Object>} 登録前のデータレイヤー
+     * @throws {Error} 地物として解釈できない場合
+     */
+    async function buildGeojsonLayer(name, geojsonData, format = 'GeoJSON', style = null) {
+        const dataLayer = createGeojsonDataLayer(name, geojsonData, format, style);
+        const features = geojsonData && Array.isArray(geojsonData.features) ? geojsonData.features : [geojsonData];
+        await processInChunks(features, `${name}: 地物を作成中`, chunk => dataLayer.layer.addData(chunk));
+        return dataLayer;
+    }
+
+    /**
+     * 地物を追加する前のGeoJSONデータのレイヤーを作成する（地物は buildGeojsonLayer・作図で追加する）
+     * 線・面・点はデータレイヤーのペインのCanvasに描画し、点は件数が多くても表示できるようまとめて表示する
+     * @param {string} name レイヤー名
+     * @param {Object} geojsonData 保存・書き出し用のGeoJSONオブジェクト
+     * @param {string} format 読み込んだファイルの形式
+     * @param {Object|null} style スタイルの設定（null の場合は初期値）
+     * @returns {Object} 登録前のデータレイヤー
+     */
+    function createGeojsonDataLayer(name, geojsonData, format, style) {
+        const pane = createDataLayerPaneName();
+        const renderer = L.canvas({ pane, tolerance: DATA_CANVAS_TOLERANCE });
+        // 色・ラベル・ポップアップは applyDataLayerStyle で図形の属性とスタイルの設定から付ける
+        const layer = new ClusteredGeoJSON(null, {
+            pane,
+            renderer,
+            pointToLayer: function(feature, latlng) {
+                return L.circleMarker(latlng, { pane, renderer });
+            }
+        });
+        return { type: 'geojson', name, format, data: geojsonData, layer, pane, style: { ...DEFAULT_DATA_STYLE, ...style } };
+    }
+
+    /**
+     * GeoJSONデータのレイヤーにスタイルを反映して登録し、地図に追加する
+     * @param {Object} dataLayer createGeojsonDataLayer・buildGeojsonLayer で作成したデータレイヤー
+     * @returns {Object} 登録したデータレイヤー
+     */
+    function registerGeojsonLayer(dataLayer) {
+        applyDataLayerStyle(dataLayer);
+        registerDataLayer(dataLayer);
+        dataLayer.layer.on('click', e => handleDataFeatureClick(dataLayer, e));
+        return dataLayer;
+    }
+
+    /**
+     * 地図を移動してからレイヤーのポップアップを開く（まとめて表示している点は、移動後に地図に配置されてから開く）
+     * @param {L.Layer} layer ポップアップを開くレイヤー
+     * @param {function(): void} moveMap 地図を移動する処理
+     */
+    function moveMapAndOpenPopup(layer, moveMap) {
+        map.once('moveend', () => {
+            if (map.hasLayer(layer) && layer.getPopup()) {
+                layer.openPopup();
+            }
+        });
+        moveMap();
+    }
+
+    /**
+     * データレイヤーを地図と一覧から削除する
+     * @param {Object} dataLayer 削除するデータレイヤー
+     */
+    function removeDataLayer(dataLayer) {
+        stopFeatureEditing();
+        map.removeLayer(dataLayer.layer);
+        dataLayers.splice(dataLayers.indexOf(dataLayer), 1);
+        updateDataLayerOrder();
+        renderLayerPanel();
+    }
+
+    /**
+     * 読み込み済みのデータレイヤーを削除する
+     * @param {string} [type] 削除する種類（'gps' または 'geojson'）。省略時はすべて削除
+     */
+    function clearDataLayers(type) {
+        stopFeatureEditing();
+        dataLayers.filter(dataLayer => !type || dataLayer.type === type).forEach(dataLayer => {
+            map.removeLayer(dataLayer.layer);
+            dataLayers.splice(dataLayers.indexOf(dataLayer), 1);
+        });
+        updateDataLayerOrder();
+        renderLayerPanel();
+    }
+
+    /**
+     * データレイヤーの表示・非表示を切り替える
+     * @param {Object} dataLayer データレイヤー
+     * @param {boolean} visible trueで表示
+     */
+    function setDataLayerVisible(dataLayer, visible) {
+        dataLayer.visible = visible;
+        if (visible) {
+            dataLayer.layer.addTo(map);
+        } else {
+            map.removeLayer(dataLayer.layer);
+        }
+    }
+
+    /**
+     * 一覧の順序に合わせてデータレイヤーの重なり順を更新する（配列の後ろほど上に表示）
+     */
+    function updateDataLayerOrder() {
+        dataLayers.forEach((dataLayer, index) => {
+            map.getPane(dataLayer.pane).style.zIndex = DATA_LAYER_BASE_Z_INDEX + index;
+        });
+    }
+
+    /**
+     * データレイヤーの範囲を求める
+     * @param {Object} dataLayer データレイヤー
+     * @returns {L.LatLngBounds} 範囲（地物がない場合は無効な範囲）
+     */
+    function getDataLayerBounds(dataLayer) {
+        if (dataLayer.type === 'gps') {
+            return L.latLngBounds(dataLayer.points.map(point => [point.lat, point.lng]));
+        }
+        return dataLayer.layer.getBounds();
+    }
+
+    /**
+     * 新しいデータの読み込み方法（追加・置き換え）を確認する
+     * 同じ種類のデータが読み込まれていない場合は確認せずに追加する
+     * @param {string} type データの種類（'gps' または 'geojson'）
+     * @param {string} typeLabel メッセージに表示するデータの種類
+     * @param {function(): void} onImport 読み込みを行う関数
+     */
+    function confirmImportMode(type, typeLabel, onImport) {
+        if (!dataLayers.some(dataLayer => dataLayer.type === type)) {
+            recordHistory('データの読み込み');
+            onImport();
+            return;
+        }
+        importModeMessage.textContent = `読み込み済みの${typeLabel}データがあります。新しいデータを追加しますか、それとも置き換えますか？`;
+        pendingImport = { type, onImport };
+        importModeDialog.hidden = false;
+    }
+
+    /**
+     * 読み込み方法の確認ダイアログで選択した方法で読み込む
+     * @param {boolean} replace trueの場合は同じ種類のデータを削除してから読み込む
+     */
+    function completePendingImport(replace) {
+        const { type, onImport } = pendingImport;
+        importModeDialog.hidden = true;
+        pendingImport = null;
+        recordHistory('データの読み込み');
+        if (replace) {
+            clearDataLayers(type);
+        }
+        onImport();
+    }
+
+    importModeAddBtn.addEventListener('click', () => completePendingImport(false));
+    importModeReplaceBtn.addEventListener('click', () => completePendingImport(true));
+    importModeCancelBtn.addEventListener('click', () => {
+        importModeDialog.hidden = true;
+        pendingImport = null;
+    });
+
+    // --- データレイヤーのスタイル・ラベル・属性表示 ---
+
+    // GeoJSONレイヤーのスタイルの初期値
+    const DEFAULT_DATA_STYLE = {
+        mode: 'simple', // 色分けの方法（'simple': 単一色、'categorized': 属性の値ごと、'graduated': 属性の数値の段階）
+        property: '', // 色分けに使う属性
+        color: '#ff7800', // 単一色の色・数値の段階の最小の色
+        endColor: '#7a0000', // 数値の段階の最大の色
+        classCount: 5, // 数値の段階の数
+        labelProperty: '' // ラベルに表示する属性（空の場合はラベルなし）
+    };
+    // 属性の値ごとの色（値の種類が多い場合は繰り返す）
+    const CATEGORY_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+    const NO_VALUE_COLOR = '#999999'; // 色分けの属性がない図形の色
+    const MARKER_SIZE_RADIUS = { small: 4, medium: 6, large: 9 }; // simplestyle-spec の marker-size に対応する点の半径（px）
+    const LEGEND_MAX_ROWS = 30; // 凡例に表示する値の数
+
+    /**
+     * simplestyle-spec の色の値を色にする（# のない16進数も受け付ける）
+     * @param {*} value 属性の値
+     * @returns {string|null} 色、色として解釈できない場合は null
+     */
+    function parseSimpleStyleColor(value) {
+        const match = typeof value === 'string' && value.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        return match ? `#${match[1]}` : null;
+    }
+
+    /**
+     * 属性の値を数値にする（空の値・数値でない文字列は対象外）
+     * @param {*} value 属性の値
+     * @returns {number|null} 数値、数値でない場合は null
+     */
+    function toPropertyNumber(value) {
+        if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * 2つの色の間の色を求める
+     * @param {string} startColor 開始の色（#rrggbb）
+     * @param {string} endColor 終了の色（#rrggbb）
+     * @param {number} ratio 割合（0で開始の色、1で終了の色）
+     * @returns {string} 色（#rrggbb）
+     */
+    function interpolateColor(startColor, endColor, ratio) {
+        const toRgb = color => [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+        const start = toRgb(startColor);
+        const end = toRgb(endColor);
+        return '#' + start.map((value, index) => Math.round(value + (end[index] - value) * ratio).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * 属性の値（属性表・ラベル用）を文字列にする
+     * @param {*} value 属性の値
+     * @returns {string} 文字列（オブジェクト・配列はJSON）
+     */
+    function formatPropertyValue(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * 数値の段階の境界の値を表示用に丸める
+     * @param {number} value 値
+     * @returns {string} 有効数字4桁の文字列
+     */
+    function formatClassBreak(value) {
+        return String(Number(value.toPrecision(4)));
+    }
+
+    /**
+     * データレイヤーの図形の属性名を集める
+     * @param {Object} dataLayer データレイヤー
+     * @returns {string[]} 属性名（最初に現れた順）
+     */
+    function getDataLayerPropertyKeys(dataLayer) {
+        const keys = new Set();
+        dataLayer.layer.eachLayer(featureLayer => {
+            Object.keys((featureLayer.feature && featureLayer.feature.properties) || {}).forEach(key => keys.add(key));
+        });
+        return [...keys];
+    }
+
+    /**
+     * スタイルの設定から色分けの分類を作る
+     * @param {Object} dataLayer データレイヤー
+     * @returns {{getColor: function(Object): (string|null), legend: Array<{label: string, color: string, count: number}>}}
+     *   図形の属性から色を求める関数（色分けしない場合は null を返す）と凡例
+     */
+    function buildStyleClasses(dataLayer) {
+        const style = dataLayer.style;
+        const values = [];
+        dataLayer.layer.eachLayer(featureLayer => {
+            values.push(((featureLayer.feature && featureLayer.feature.properties) || {})[style.property]);
+        });
+
+        if (style.mode === 'categorized' && style.property) {
+            // 値の種類ごとに、現れた順に色を割り当てる
+            const categories = new Map();
+            let noValueCount = 0;
+            values.forEach(value => {
+                const key = formatPropertyValue(value);
+                if (key === '') {
+                    noValueCount++;
+                    return;
+                }
+                if (!categories.has(key)) {
+                    categories.set(key, { label: key, color: CATEGORY_COLORS[categories.size % CATEGORY_COLORS.length], count: 0 });
+                }
+                categories.get(key).count++;
+            });
+            const legend = [...categories.values()];
+            if (noValueCount > 0) legend.push({ label: '（値なし）', color: NO_VALUE_COLOR, count: noValueCount });
+            return {
+                getColor: properties => {
+                    const category = categories.get(formatPropertyValue(properties[style.property]));
+                    return category ? category.color : NO_VALUE_COLOR;
+                },
+                legend
+            };
+        }
+
+        if (style.mode === 'graduated' && style.property) {
+            // 最小値から最大値までを等間隔に分け、段階ごとに最小の色から最大の色へ変える
+            const numbers = values.map(toPropertyNumber).filter(number => number !== null);
+            if (numbers.length === 0) {
+                return { getColor: () => NO_VALUE_COLOR, legend: [{ label: '（数値なし）', color: NO_VALUE_COLOR, count: values.length }] };
+            }
+            const min = Math.min(...numbers);
+            const max = Math.max(...numbers);
+            const classCount = max > min ? style.classCount : 1;
+            const getClassIndex = number => Math.min(classCount - 1, Math.floor((number - min) / (max - min) * classCount)) || 0;
+            const getClassColor = index => classCount > 1 ? interpolateColor(style.color, style.endColor, index / (classCount - 1)) : style.color;
+
+            const legend = Array.from({ length: classCount }, (_, index) => ({
+                label: classCount > 1
+                    ? `${formatClassBreak(min + (max - min) * index / classCount)} ～ ${formatClassBreak(min + (max - min) * (index + 1) / classCount)}`
+                    : formatClassBreak(min),
+                color: getClassColor(index),
+                count: 0
+            }));
+            numbers.forEach(number => { legend[getClassIndex(number)].count++; });
+            if (numbers.length < values.length) {
+                legend.push({ label: '（数値なし）', color: NO_VALUE_COLOR, count: values.length - numbers.length });
+            }
+            return {
+                getColor: properties => {
+                    const number = toPropertyNumber(properties[style.property]);
+                    return number === null ? NO_VALUE_COLOR : getClassColor(getClassIndex(number));
+                },
+                legend
+            };
+        }
+
+        return { getColor: () => null, legend: [{ label: 'すべての図形', color: style.color, count: values.length }] };
+    }
+
+    /**
+     * 図形のスタイルを求める（色分けの色 → simplestyle-spec の属性 → レイヤーの色の順に優先する）
+     * @param {Object} dataLayer データレイヤー
+     * @param {Object} properties 図形の属性
+     * @param {string|null} classColor 色分けで求めた色
+     * @param {boolean} isPoint 点の場合はtrue
+     * @returns {Object} Leafletのパスのスタイル
+     */
+    function getDataFeatureStyle(dataLayer, properties, classColor, isPoint) {
+        const getNumber = (key, defaultValue) => {
+            const number = toPropertyNumber(properties[key]);
+            return number === null ? defaultValue : number;
+        };
+        if (isPoint) {
+            return {
+                radius: MARKER_SIZE_RADIUS[properties['marker-size']] || MARKER_SIZE_RADIUS.medium,
+                fillColor: classColor || parseSimpleStyleColor(properties['marker-color']) || dataLayer.style.color,
+                color: '#000',
+                weight: 1,
+                opacity: 1,
+                fillOpacity: 0.8
+            };
+        }
+        // 面は fill の属性がある場合と色分けする場合だけ塗りつぶす
+        const fillColor = classColor || parseSimpleStyleColor(properties.fill);
+        return {
+            color: classColor || parseSimpleStyleColor(properties.stroke) || dataLayer.style.color,
+            weight: getNumber('stroke-width', 2),
+            opacity: getNumber('stroke-opacity', 1),
+            fillColor: fillColor || 'transparent',
+            fillOpacity: fillColor ? getNumber('fill-opacity', 0.6) : 0
+        };
+    }
+
+    /**
+     * 図形のすべての属性を表にしたポップアップの内容を作る
+     * @param {Object} properties 図形の属性
+     * @returns {string|null} HTML、表示する属性がない場合は null
+     */
+    function createFeaturePopupContent(properties) {
+        const keys = Object.keys(properties).filter(key => formatPropertyValue(properties[key]) !== '');
+        if (keys.length === 0) return null;
+        const title = formatPropertyValue(properties.name || properties.title);
+        const rows = keys.map(key => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(formatPropertyValue(properties[key]))}</td></tr>`).join('');
+        return `${title ? `<div class="feature-popup-title">${escapeHtml(title)}</div>` : ''}<table class="feature-popup-table">${rows}</table>`;
+    }
+
+    /**
+     * データレイヤーのスタイル・ラベル・属性のポップアップを図形に反映する
+     * @param {Object} dataLayer GeoJSONのデータレイヤー
+     */
+    function applyDataLayerStyle(dataLayer) {
+        const { getColor } = buildStyleClasses(dataLayer);
+        const labelProperty = dataLayer.style.labelProperty;
+
+        dataLayer.layer.eachLayer(featureLayer => {
+            const properties = (featureLayer.feature && featureLayer.feature.properties) || {};
+            const classColor = getColor(properties);
+            // GeometryCollectionの場合はFeatureの中の図形ごとに設定する
+            const geometryLayers = featureLayer instanceof L.LayerGroup ? featureLayer.getLayers() : [featureLayer];
+            geometryLayers.forEach(geometryLayer => {
+                if (geometryLayer.setStyle) {
+                    geometryLayer.setStyle(getDataFeatureStyle(dataLayer, properties, classColor, geometryLayer instanceof L.CircleMarker));
+                }
+            });
+
+            featureLayer.unbindTooltip();
+            const label = labelProperty ? formatPropertyValue(properties[labelProperty]) : '';
+            if (label) {
+                featureLayer.bindTooltip(escapeHtml(label), {
+                    permanent: true,
+                    className: 'data-label',
+                    direction: featureLayer instanceof L.CircleMarker ? 'right' : 'center',
+                    offset: featureLayer instanceof L.CircleMarker ? [6, 0] : [0, 0]
+                });
+            }
+
+            featureLayer.unbindPopup();
+            const content = createFeaturePopupContent(properties);
+            if (content) {
+                featureLayer.bindPopup(content, { maxWidth: 320 });
+            }
+        });
+
+        if (dataLayer === styleTargetLayer) {
+            renderDataStylePanel();
+        }
+    }
+
+    /**
+     * スタイルパネルを編集中のレイヤーの設定で更新する（レイヤーが削除された場合は閉じる）
+     */
+    function renderDataStylePanel() {
+        if (styleTargetLayer && !dataLayers.includes(styleTargetLayer)) {
+            styleTargetLayer = null;
+            dataStylePanel.hidden = true;
+        }
+        if (!styleTargetLayer) return;
+
+        const style = styleTargetLayer.style;
+        const keys = getDataLayerPropertyKeys(styleTargetLayer);
+        const createOptions = (emptyLabel, selected) => `<option value="">${emptyLabel}</option>` + [...new Set([...keys, selected].filter(Boolean))]
+            .map(key => `<option value="${escapeHtml(key)}">${escapeHtml(key)}</option>`).join('');
+
+        dataStyleStatus.textContent = `${styleTargetLayer.name}（${styleTargetLayer.format}）`;
+        dataStyleModeSelect.value = style.mode;
+        dataStylePropertySelect.innerHTML = createOptions('（属性を選択）', style.property);
+        dataStylePropertySelect.value = style.property;
+        dataStyleColorInput.value = style.color;
+        dataStyleEndColorInput.value = style.endColor;
+        dataStyleClassCountInput.value = style.classCount;
+        dataLabelPropertySelect.innerHTML = createOptions('なし', style.labelProperty);
+        dataLabelPropertySelect.value = style.labelProperty;
+
+        // 色分けの方法に応じて入力欄を切り替える
+        dataStylePropertyField.hidden = style.mode === 'simple';
+        dataStyleColorLabel.textContent = style.mode === 'graduated' ? '最小の色' : '色';
+        dataStyleColorField.hidden = style.mode === 'categorized';
+        dataStyleEndColorField.hidden = style.mode !== 'graduated';
+        dataStyleClassCountField.hidden = style.mode !== 'graduated';
+
+        // 凡例
+        const { legend } = buildStyleClasses(styleTargetLayer);
+        const rows = legend.slice(0, LEGEND_MAX_ROWS).map(item => `
+            <tr>
+                <td><span class="data-style-swatch" style="background-color: ${item.color}"></span></td>
+                <td>${escapeHtml(item.label)}</td>
+                <td>${item.count}件</td>
+            </tr>
+        `).join('');
+        const more = legend.length > LEGEND_MAX_ROWS ? `<tr><td></td><td colspan="2">ほか ${legend.length - LEGEND_MAX_ROWS} 種類</td></tr>` : '';
+        const note = style.mode === 'simple' ? '<tr><td></td><td colspan="2">simplestyle-spec の色の属性がある図形はその色で表示します。</td></tr>' : '';
+        dataStyleLegend.innerHTML = rows + more + note;
+    }
+
+    /**
+     * スタイルパネルを開く（同じレイヤーの場合は閉じる）
+     * @param {Object} dataLayer GeoJSONのデータレイヤー
+     */
+    function toggleDataStylePanel(dataLayer) {
+        if (!dataStylePanel.hidden && styleTargetLayer === dataLayer) {
+            styleTargetLayer = null;
+            dataStylePanel.hidden = true;
+            return;
+        }
+        styleTargetLayer = dataLayer;
+        dataStylePanel.hidden = false;
+        renderDataStylePanel();
+    }
+
+    /**
+     * スタイルパネルの入力を編集中のレイヤーに反映する
+     */
+    function updateDataStyleFromPanel() {
+        if (!styleTargetLayer) return;
+        const classCount = parseInt(dataStyleClassCountInput.value, 10);
+        Object.assign(styleTargetLayer.style, {
+            mode: dataStyleModeSelect.value,
+            property: dataStylePropertySelect.value,
+            color: dataStyleColorInput.value,
+            endColor: dataStyleEndColorInput.value,
+            classCount: classCount >= 2 && classCount <= 9 ? classCount : DEFAULT_DATA_STYLE.classCount,
+            labelProperty: dataLabelPropertySelect.value
+        });
+        applyDataLayerStyle(styleTargetLayer);
+    }
+
+    [dataStyleModeSelect, dataStylePropertySelect, dataStyleColorInput, dataStyleEndColorInput, dataStyleClassCountInput, dataLabelPropertySelect]
+        .forEach(input => input.addEventListener('change', updateDataStyleFromPanel));
+
+    dataStylePanelCloseBtn.addEventListener('click', () => {
+        styleTargetLayer = null;
+        dataStylePanel.hidden = true;
+    });
+
+    // --- レイヤー一覧パネル ---
+
+    /**
+     * 画像の表示・非表示の状態を画像と中心のマーカー、選択中の画像のハンドル・基準点に反映する
+     */
+    function applyImageVisibility() {
+        imageLayers.forEach(imageLayer => {
+            if (imageLayer.overlay && imageLayer.overlay.getElement()) {
+                imageLayer.overlay.getElement().style.display = imageLayer.visible ? '' : 'none';
+            }
+        });
+        const display = activeImageLayer && !activeImageLayer.visible ? 'none' : '';
+        map.getPane('dragHandles').style.display = display;
+        map.getPane('georefPoints').style.display = display;
+        updateImageCenterMarkers();
+    }
+
+    /**
+     * レイヤー一覧の1行を作成する
+     * @param {Object} item 行の内容 { typeLabel, name, visible, selected, onToggle, onSelect, onRename, onStyle, onZoom, onExport, onMoveUp, onMoveDown, onRemove }
+     * @returns {HTMLLIElement} 作成した行
+     */
+    function createLayerListItem(item) {
+        const li = document.createElement('li');
+        li.className = 'layer-list-item';
+        li.innerHTML = `
+            <input type="checkbox" title="表示・非表示" ${item.visible ? 'checked' : ''}>
+            ${item.onSelect ? `<input type="radio" name="activeImageLayer" title="選択（表示倍率・透過度・回転角・位置合わせ・書き出しの対象）" ${item.selected ? 'checked' : ''}>` : ''}
+            <span class="layer-type">${item.typeLabel}</span>
+            <input type="text" class="layer-name" value="${escapeHtml(item.name)}" title="名前を変更" ${item.onRename ? '' : 'readonly'}>
+            <span class="layer-buttons">
+                <button type="button" data-action="moveUp" title="上へ">↑</button>
+                <button type="button" data-action="moveDown" title="下へ">↓</button>
+                <button type="button" data-action="style" title="スタイル・ラベル">◐</button>
+                <button type="button" data-action="zoom" title="範囲を表示">⤢</button>
+                <button type="button" data-action="export" title="選択した形式で書き出し">⇩</button>
+                <button type="button" data-action="remove" title="削除">×</button>
+            </span>
+        `;
+        li.querySelector('input[type="checkbox"]').addEventListener('change', (e) => item.onToggle(e.target.checked));
+        if (item.onSelect) {
+            li.classList.toggle('selected', item.selected);
+            li.querySelector('input[type="radio"]').addEventListener('change', item.onSelect);
+        }
+
+        const nameInput = li.querySelector('.layer-name');
+        if (item.onRename) {
+            nameInput.addEventListener('change', () => {
+                const name = nameInput.value.trim();
+                if (name) {
+                    item.onRename(name);
+                } else {
+                    nameInput.value = item.name;
+                }
+            });
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') nameInput.blur();
+            });
+        }
+
+        // 操作できないボタンは表示しない
+        const handlers = { moveUp: item.onMoveUp, moveDown: item.onMoveDown, style: item.onStyle, zoom: item.onZoom, export: item.onExport, remove: item.onRemove };
+        li.querySelectorAll('button[data-action]').forEach(button => {
+            const handler = handlers[button.dataset.action];
+            if (handler) {
+                button.addEventListener('click', handler);
+            } else {
+                button.hidden = true;
+            }
+        });
+        return li;
+    }
+
+    /**
+     * レイヤー一覧パネルを更新する（上に表示されるレイヤーから順に並べる）
+     */
+    function renderLayerPanel() {
+        layerList.innerHTML = '';
+
+        // データレイヤー（配列の後ろほど上に表示されるので逆順に並べる）
+        [...dataLayers].reverse().forEach(dataLayer => {
+            const index = dataLayers.indexOf(dataLayer);
+            const bounds = getDataLayerBounds(dataLayer);
+            const move = (offset) => {
+                recordHistory('重なり順の変更');
+                dataLayers.splice(index, 1);
+                dataLayers.splice(index + offset, 0, dataLayer);
+                updateDataLayerOrder();
+                renderLayerPanel();
+            };
+            layerList.appendChild(createLayerListItem({
+                typeLabel: dataLayer.type === 'gps' ? 'GPS' : dataLayer.format,
+                name: dataLayer.name,
+                visible: dataLayer.visible,
+                onToggle: visible => setDataLayerVisible(dataLayer, visible),
+                onRename: name => {
+                    dataLayer.name = name;
+                    if (dataLayer === styleTargetLayer) renderDataStylePanel();
+                },
+                onStyle: dataLayer.type === 'geojson' ? () => toggleDataStylePanel(dataLayer) : null,
+                onZoom: bounds.isValid() ? () => map.fitBounds(bounds, { maxZoom: LAYER_FIT_MAX_ZOOM }) : null,
+                onExport: () => exportDataLayer(dataLayer, layerExportFormatSelect.value),
+                onMoveUp: index < dataLayers.length - 1 ? () => move(1) : null,
+                onMoveDown: index > 0 ? () => move(-1) : null,
+                onRemove: () => {
+                    recordHistory('データの削除');
+                    removeDataLayer(dataLayer);
+                }
+            }));
+        });
+
+        // 画像（データレイヤーと同様に逆順に並べる。「中心座標」ボタンで地図から削除した画像は除く）
+        const placedImageLayers = imageLayers.filter(imageLayer => imageLayer.overlay);
+        [...placedImageLayers].reverse().forEach(imageLayer => {
+            const index = placedImageLayers.indexOf(imageLayer);
+            const move = (offset) => {
+                const target = placedImageLayers[index + offset];
+                recordHistory('重なり順の変更');
+                imageLayers.splice(imageLayers.indexOf(imageLayer), 1);
+                imageLayers.splice(imageLayers.indexOf(target) + (offset > 0 ? 1 : 0), 0, imageLayer);
+                updateImageLayerOrder();
+                renderLayerPanel();
+            };
+            layerList.appendChild(createLayerListItem({
+                typeLabel: '画像',
+                name: imageLayer.name,
+                visible: imageLayer.visible,
+                selected: imageLayer === activeImageLayer,
+                onToggle: visible => {
+                    imageLayer.visible = visible;
+                    applyImageVisibility();
+                },
+                onSelect: () => selectImageLayer(imageLayer),
+                onRename: name => {
+                    imageLayer.name = name;
+                    updateImageCenterMarkers();
+                },
+                onZoom: () => map.fitBounds(imageLayer.overlay.getBounds()),
+                onMoveUp: index < placedImageLayers.length - 1 ? () => move(1) : null,
+                onMoveDown: index > 0 ? () => move(-1) : null,
+                onRemove: () => {
+                    recordHistory('画像の削除');
+                    discardImage(imageLayer);
+                }
+            }));
+        });
+
+        renderDrawTargetSelect();
+        renderDataStylePanel();
+
+        layerList.appendChild(createLayerListItem({
+            typeLabel: '背景',
+            name: getSelectedBaseMap().name + (hillshadeLayer ? '＋陰影起伏図' : ''),
+            visible: map.hasLayer(baseTileLayer),
+            onToggle: setBaseMapVisible
+        }));
+    }
+
+    layerPanelBtn.addEventListener('click', () => {
+        layerPanel.hidden = !layerPanel.hidden;
+        layerPanelBtn.classList.toggle('active', !layerPanel.hidden);
+    });
+
+    layerPanelCloseBtn.addEventListener('click', () => {
+        layerPanel.hidden = true;
+        layerPanelBtn.classList.remove('active');
+    });
+
+    // --- 操作の履歴（元に戻す・やり直す） ---
+
+    const HISTORY_MAX_LENGTH = 50; // 元に戻せる操作の数
+
+    /**
+     * 履歴で戻す対象の状態（中心座標マーカー、画像の配置・透過度・基準点・重なり順、データレイヤーの構成）を記録する
+     * 画像とデータレイヤーは読み込んだ内容ごと保持し、削除を元に戻す時に同じものを地図に戻す
+     * @returns {Object} 状態 { centerMarker, activeImageLayer, images, dataLayers }
+     */
+    function takeHistorySnapshot() {
+        storeActiveGeoref();
+        return {
+            centerMarker: centerMarker.getLatLng().clone(),
+            activeImageLayer,
+            images: imageLayers.map(imageLayer => {
+                const overlay = imageLayer.overlay;
+                const corners = overlay ? overlay.getCorners() : null;
+                return {
+                    imageLayer,
+                    corners: corners ? [corners[0], corners[1], corners[3]] : null,
+                    opacity: overlay ? overlay.options.opacity : null,
+                    visible: imageLayer.visible,
+                    georefPoints: imageLayer.georefPoints.slice(),
+                    georefRms: imageLayer.georefRms
+                };
+            }),
+            dataLayers: dataLayers.slice()
+        };
+    }
+
+    /**
+     * 2つの状態で中心座標マーカーと画像の配置・透過度が同じかどうかを判定する（ドラッグ・入力で変化がなかったかの確認用）
+     * @param {Object} a 状態
+     * @param {Object} b 状態
+     * @returns {boolean} 同じ場合はtrue
+     */
+    function isSameHistorySnapshot(a, b) {
+        const getKey = snapshot => JSON.stringify([snapshot.centerMarker, snapshot.images.map(image => [image.corners, image.opacity])]);
+        return getKey(a) === getKey(b);
+    }
+
+    /**
+     * 記録した状態に戻す
+     * @param {Object} snapshot takeHistorySnapshot で記録した状態
+     */
+    function restoreHistorySnapshot(snapshot) {
+        exitGeorefMode();
+        stopFeatureEditing();
+        removeDragHandles();
+
+        // 状態に含まれない画像（後から読み込んだ画像）を地図から削除する
+        imageLayers.filter(imageLayer => !snapshot.images.some(image => image.imageLayer === imageLayer)).forEach(imageLayer => {
+            if (imageLayer.overlay) map.removeLayer(imageLayer.overlay);
+            if (imageLayer.centerMarker) map.removeLayer(imageLayer.centerMarker);
+            imageLayer.overlay = null;
+            imageLayer.centerMarker = null;
+        });
+
+        // 画像の配置・透過度・基準点と重なり順を戻す（削除した画像は作り直す）
+        imageLayers.length = 0;
+        snapshot.images.forEach(image => {
+            const imageLayer = image.imageLayer;
+            if (image.corners && imageLayer.overlay) {
+                imageLayer.overlay.setCorners(image.corners);
+                imageLayer.overlay.setOpacity(image.opacity);
+            } else if (image.corners) {
+                imageLayer.overlay = createImageOverlay(imageLayer.image, image.corners, { opacity: image.opacity }).addTo(map);
+                imageLayer.visible = image.visible;
+            } else if (imageLayer.overlay) {
+                map.removeLayer(imageLayer.overlay);
+                imageLayer.overlay = null;
+            }
+            imageLayer.georefPoints = image.georefPoints.slice();
+            imageLayer.georefRms = image.georefRms;
+            imageLayers.push(imageLayer);
+        });
+        updateImageLayerOrder();
+
+        // 選択中の画像を選び直して、入力欄・ハンドル・基準点をその画像のものにする
+        activeImageLayer = null;
+        imageOverlay = null;
+        currentImage = new Image();
+        georefPoints = [];
+        georefRms = null;
+        if (snapshot.activeImageLayer) {
+            selectImageLayer(snapshot.activeImageLayer);
+        } else {
+            updateGeorefMarkers();
+            renderGeorefPanel();
+            applyImageVisibility();
+        }
+
+        // データレイヤーの構成と重なり順を戻す
+        dataLayers.filter(dataLayer => !snapshot.dataLayers.includes(dataLayer)).forEach(dataLayer => map.removeLayer(dataLayer.layer));
+        snapshot.dataLayers.filter(dataLayer => !dataLayers.includes(dataLayer) && dataLayer.visible).forEach(dataLayer => dataLayer.layer.addTo(map));
+        dataLayers.splice(0, dataLayers.length, ...snapshot.dataLayers);
+        updateDataLayerOrder();
+
+        centerMarker.setLatLng(snapshot.centerMarker);
+        updateCoordInputs(snapshot.centerMarker);
+        renderLayerPanel();
+    }
+
+    /**
+     * 操作を元に戻す履歴に追加する（やり直す履歴は消える）
+     * @param {Object} entry 操作の履歴 { label, snapshot }
+     */
+    function pushHistory(entry) {
+        undoStack.push(entry);
+        if (undoStack.length > HISTORY_MAX_LENGTH) {
+            undoStack.shift();
+        }
+        redoStack.length = 0;
+        updateHistoryButtons();
+        schedulePermalinkUpdate(); // 履歴に残る操作で変わった画像・中心座標を共有リンクに反映する
+    }
+
+    /**
+     * これから行う操作の前の状態を履歴に残す
+     * @param {string} label 操作の名前（ボタンのツールチップに表示）
+     */
+    function recordHistory(label) {
+        commitHistory();
+        pushHistory({ label, snapshot: takeHistorySnapshot() });
+    }
+
+    /**
+     * ドラッグ・入力による操作の開始時の状態を記録する（commitHistory で変化があった場合だけ履歴に残す）
+     * 同じ操作の入力が続いている間は最初の状態を保つ
+     * @param {string} label 操作の名前
+     */
+    function beginHistory(label) {
+        if (pendingHistory && pendingHistory.label === label) return;
+        commitHistory();
+        pendingHistory = { label, snapshot: takeHistorySnapshot() };
+    }
+
+    /**
+     * beginHistory で開始した操作を完了し、状態が変化していれば履歴に残す
+     */
+    function commitHistory() {
+        if (!pendingHistory) return;
+        const entry = pendingHistory;
+        pendingHistory = null;
+        if (!isSameHistorySnapshot(entry.snapshot, takeHistorySnapshot())) {
+            pushHistory(entry);
+        }
+    }
+
+    /**
+     * 直前の操作を元に戻す
+     */
+    function undoHistory() {
+        commitHistory();
+        const entry = undoStack.pop();
+        if (!entry) return;
+        redoStack.push({ label: entry.label, snapshot: takeHistorySnapshot() });
+        restoreHistorySnapshot(entry.snapshot);
+        updateHistoryButtons();
+        schedulePermalinkUpdate();
+    }
+
+    /**
+     * 元に戻した操作をやり直す
+     */
+    function redoHistory() {
+        commitHistory();
+        const entry = redoStack.pop();
+        if (!entry) return;
+        undoStack.push({ label: entry.label, snapshot: takeHistorySnapshot() });
+        restoreHistorySnapshot(entry.snapshot);
+        updateHistoryButtons();
+        schedulePermalinkUpdate();
+    }
+
+    /**
+     * 操作の履歴をすべて削除する
+     */
+    function clearHistory() {
+        pendingHistory = null;
+        undoStack.length = 0;
+        redoStack.length = 0;
+        updateHistoryButtons();
+    }
+
+    /**
+     * 元に戻す・やり直すボタンの有効・無効とツールチップを更新する
+     */
+    function updateHistoryButtons() {
+        const undoEntry = undoStack[undoStack.length - 1];
+        const redoEntry = redoStack[redoStack.length - 1];
+        undoBtn.disabled = !undoEntry;
+        redoBtn.disabled = !redoEntry;
+        undoBtn.title = undoEntry ? `元に戻す: ${undoEntry.label} (Ctrl+Z)` : '元に戻す (Ctrl+Z)';
+        redoBtn.title = redoEntry ? `やり直す: ${redoEntry.label} (Ctrl+Y)` : 'やり直す (Ctrl+Y)';
+    }
+
+    undoBtn.addEventListener('click', undoHistory);
+    redoBtn.addEventListener('click', redoHistory);
+
+    // Ctrl+Z で元に戻す、Ctrl+Y・Ctrl+Shift+Z でやり直す（Macは⌘キー）
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // 入力欄では文字の入力の取り消しを優先する
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoHistory();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redoHistory();
+        }
+    });
+
+    // --- 背景地図 ---
+
+    const GSI_ATTRIBUTION = "<a href='https://maps.gsi.go.jp/development/ichiran.html' target='_blank'>地理院タイル</a>";
+    // 地理院タイルの背景地図（maxZoom はタイルが提供されている最大ズームレベル）
+    const GSI_BASE_MAPS = [
+        { id: 'std', name: '標準地図', url: 'https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png', maxZoom: 18 },
+        { id: 'pale', name: '淡色地図', url: 'https://cyberjapandata.gsi.go.jp/xyz/pale/{z}/{x}/{y}.png', maxZoom: 18 },
+        { id: 'blank', name: '白地図', url: 'https://cyberjapandata.gsi.go.jp/xyz/blank/{z}/{x}/{y}.png', maxZoom: 14 },
+        { id: 'seamlessphoto', name: '写真（全国最新写真）', url: 'https://cyberjapandata.gsi.go.jp/xyz/seamlessphoto/{z}/{x}/{y}.jpg', maxZoom: 18 },
+        { id: 'relief', name: '色別標高図', url: 'https://cyberjapandata.gsi.go.jp/xyz/relief/{z}/{x}/{y}.png', maxZoom: 15 },
+        { id: 'hillshademap', name: '陰影起伏図', url: 'https://cyberjapandata.gsi.go.jp/xyz/hillshademap/{z}/{x}/{y}.png', maxZoom: 16 },
+        { id: 'slopemap', name: '傾斜量図', url: 'https://cyberjapandata.gsi.go.jp/xyz/slopemap/{z}/{x}/{y}.png', maxZoom: 15 }
+    ].map(baseMap => ({ ...baseMap, attribution: GSI_ATTRIBUTION }));
+    const HILLSHADE_BASE_MAP_ID = 'hillshademap'; // 背景に重ねる陰影起伏図
+    const BASE_MAP_SETTINGS_KEY = 'gsimap2.baseMapSettings'; // 背景地図の設定を保存するlocalStorageのキー
+    const DEFAULT_BASE_MAP_SETTINGS = { selected: 'std', hillshade: false, hillshadeOpacity: 40, customBaseMaps: [] };
+    const MAP_MAX_ZOOM = 18; // 拡大できる最大ズームレベル（タイルの提供範囲を超える分は拡大表示）
+
+    /**
+     * 背景地図の設定を読み込む
+     * @returns {Object} 設定 { selected, hillshade, hillshadeOpacity, customBaseMaps }
+     */
+    function loadBaseMapSettings() {
+        try {
+            return { ...DEFAULT_BASE_MAP_SETTINGS, ...JSON.parse(localStorage.getItem(BASE_MAP_SETTINGS_KEY)) };
+        } catch (error) {
+            return { ...DEFAULT_BASE_MAP_SETTINGS };
+        }
+    }
+
+    /**
+     * 背景地図の設定を保存する
+     */
+    function saveBaseMapSettings() {
+        localStorage.setItem(BASE_MAP_SETTINGS_KEY, JSON.stringify(baseMapSettings));
+    }
+
+    /**
+     * 選択できる背景地図（地理院タイルとユーザー定義）を取得する
+     * @returns {Array<{id: string, name: string, url: string, attribution: string, maxZoom: number}>} 背景地図の配列
+     */
+    function getBaseMaps() {
+        return [...GSI_BASE_MAPS, ...baseMapSettings.customBaseMaps];
+    }
+
+    /**
+     * 選択中の背景地図を取得する（見つからない場合は標準地図）
+     * @returns {Object} 背景地図
+     */
+    function getSelectedBaseMap() {
+        return getBaseMaps().find(baseMap => baseMap.id === baseMapSettings.selected) || GSI_BASE_MAPS[0];
+    }
+
+    /**
+     * 背景地図のタイルレイヤーを作成する
+     * @param {Object} baseMap 背景地図
+     * @param {Object} [options] 追加のオプション（透過度など）
+     * @returns {L.TileLayer} タイルレイヤー
+     */
+    function createBaseTileLayer(baseMap, options = {}) {
+        return L.tileLayer(baseMap.url, {
+            attribution: baseMap.attribution,
+            maxNativeZoom: baseMap.maxZoom,
+            maxZoom: Math.max(MAP_MAX_ZOOM, baseMap.maxZoom),
+            ...options
+        });
+    }
+
+    /**
+     * 設定に従って背景地図と陰影起伏図を表示し直す（背景の表示・非表示の状態は保つ）
+     */
+    function applyBaseMap() {
+        const visible = !baseTileLayer || map.hasLayer(baseTileLayer);
+        if (baseTileLayer) map.removeLayer(baseTileLayer);
+        if (hillshadeLayer) map.removeLayer(hillshadeLayer);
+
+        const baseMap = getSelectedBaseMap();
+        baseTileLayer = createBaseTileLayer(baseMap, { zIndex: 1 });
+        // 陰影起伏図そのものを背景にしている場合は重ねない
+        hillshadeLayer = baseMapSettings.hillshade && baseMap.id !== HILLSHADE_BASE_MAP_ID
+            ? createBaseTileLayer(GSI_BASE_MAPS.find(item => item.id === HILLSHADE_BASE_MAP_ID), { zIndex: 2, opacity: baseMapSettings.hillshadeOpacity / 100 })
+            : null;
+        setBaseMapVisible(visible);
+        renderBaseMapPanel();
+        renderLayerPanel();
+        schedulePermalinkUpdate();
+        // ダウンロードするタイルの種類が変わるのでオフライン地図の推定を更新
+        if (!offlinePanel.hidden) renderOfflineEstimate();
+    }
+
+    /**
+     * 背景地図（重ねた陰影起伏図を含む）の表示・非表示を切り替える
+     * @param {boolean} visible 表示するかどうか
+     */
+    function setBaseMapVisible(visible) {
+        [baseTileLayer, hillshadeLayer].filter(Boolean).forEach(layer => {
+            if (visible) {
+                layer.addTo(map);
+            } else {
+                map.removeLayer(layer);
+            }
+        });
+    }
+
+    /**
+     * 背景地図パネルを更新する
+     */
+    function renderBaseMapPanel() {
+        const toOption = baseMap => `<option value="${escapeHtml(baseMap.id)}">${escapeHtml(baseMap.name)}</option>`;
+        baseMapSelect.innerHTML = `<optgroup label="地理院タイル">${GSI_BASE_MAPS.map(toOption).join('')}</optgroup>` +
+            (baseMapSettings.customBaseMaps.length > 0
+                ? `<optgroup label="ユーザー定義">${baseMapSettings.customBaseMaps.map(toOption).join('')}</optgroup>`
+                : '');
+        baseMapSelect.value = getSelectedBaseMap().id;
+        hillshadeCheckbox.checked = baseMapSettings.hillshade;
+        hillshadeOpacityInput.value = baseMapSettings.hillshadeOpacity;
+        hillshadeOpacityInput.disabled = !baseMapSettings.hillshade;
+
+        customBaseMapList.innerHTML = '';
+        baseMapSettings.customBaseMaps.forEach(baseMap => {
+            const li = document.createElement('li');
+            li.className = 'layer-list-item';
+            li.innerHTML = `
+                <span class="layer-name" title="${escapeHtml(baseMap.url)}">${escapeHtml(baseMap.name)}（〜${baseMap.maxZoom}）</span>
+                <span class="layer-buttons"><button type="button" title="削除">×</button></span>
+            `;
+            li.querySelector('button').addEventListener('click', () => {
+                baseMapSettings.customBaseMaps = baseMapSettings.customBaseMaps.filter(item => item !== baseMap);
+                if (baseMapSettings.selected === baseMap.id) {
+                    baseMapSettings.selected = DEFAULT_BASE_MAP_SETTINGS.selected;
+                }
+                saveBaseMapSettings();
+                applyBaseMap();
+            });
+            customBaseMapList.appendChild(li);
+        });
+    }
+
+    /**
+     * 入力欄の内容でユーザー定義の背景地図を追加し、選択する
+     */
+    function addCustomBaseMap() {
+        const url = customBaseMapUrlInput.value.trim();
+        if (!['{z}', '{x}', '{y}'].every(key => url.includes(key))) {
+            showMessageBox('URLには {z}・{x}・{y} を含めてください。');
+            return;
+        }
+        const maxZoom = parseInt(customBaseMapMaxZoomInput.value, 10);
+        const baseMap = {
+            id: `custom${Date.now()}`,
+            name: customBaseMapNameInput.value.trim() || url,
+            url,
+            // 帰属表示はHTMLとして表示されるのでエスケープして保存する
+            attribution: escapeHtml(customBaseMapAttributionInput.value.trim()),
+            maxZoom: Number.isInteger(maxZoom) && maxZoom >= 0 ? maxZoom : MAP_MAX_ZOOM
+        };
+        baseMapSettings.customBaseMaps.push(baseMap);
+        baseMapSettings.selected = baseMap.id;
+        saveBaseMapSettings();
+        applyBaseMap();
+        customBaseMapNameInput.value = '';
+        customBaseMapUrlInput.value = '';
+        customBaseMapAttributionInput.value = '';
+    }
+
+    baseMapBtn.addEventListener('click', () => {
+        baseMapPanel.hidden = !baseMapPanel.hidden;
+        baseMapBtn.classList.toggle('active', !baseMapPanel.hidden);
+    });
+
+    baseMapPanelCloseBtn.addEventListener('click', () => {
+        baseMapPanel.hidden = true;
+        baseMapBtn.classList.remove('active');
+    });
+
+    baseMapSelect.addEventListener('change', () => {
+        baseMapSettings.selected = baseMapSelect.value;
+        saveBaseMapSettings();
+        applyBaseMap();
+    });
+
+    hillshadeCheckbox.addEventListener('change', () => {
+        baseMapSettings.hillshade = hillshadeCheckbox.checked;
+        saveBaseMapSettings();
+        applyBaseMap();
+    });
+
+    hillshadeOpacityInput.addEventListener('input', () => {
+        const opacity = parseInt(hillshadeOpacityInput.value, 10);
+        if (isNaN(opacity) || opacity < 0 || opacity > 100) return;
+        baseMapSettings.hillshadeOpacity = opacity;
+        saveBaseMapSettings();
+        if (hillshadeLayer) hillshadeLayer.setOpacity(opacity / 100);
+    });
+
+    customBaseMapAddBtn.addEventListener('click', addCustomBaseMap);
+
+    // 保存されている背景地図を表示
+    baseMapSettings = loadBaseMapSettings();
+    applyBaseMap();
+
+    // --- オフライン地図 ---
+
+    const OFFLINE_TILE_CACHE = 'gsimap2-tiles'; // 地図タイルを保存するキャッシュ名（sw.js の TILE_CACHE と同じ）
+    const OFFLINE_AREAS_KEY = 'gsimap2.offlineAreas'; // ダウンロードした範囲の一覧を保存するlocalStorageのキー
+    const OFFLINE_MAX_TILES = 10000; // 1回にダウンロードできるタイルの最大数（タイル配信サーバーの負荷に配慮）
+    const OFFLINE_DOWNLOAD_CONCURRENCY = 4; // 同時にダウンロードするタイルの数
+    // 推定サイズの計算に使うタイル1枚あたりの平均サイズ（バイト）
+    const TILE_SIZE_ESTIMATES = { std: 20000, pale: 15000, blank: 5000, seamlessphoto: 30000, relief: 10000, hillshademap: 15000, slopemap: 20000 };
+    const DEFAULT_TILE_SIZE_ESTIMATE = 20000; // ユーザー定義の地図のタイル1枚あたりの推定サイズ（バイト）
+
+    /**
+     * バイト数を表示用の文字列にする
+     * @param {number} bytes バイト数
+     * @returns {string} 「12.3 MB」など
+     */
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.ceil(bytes / 1024)} KB`;
+    }
+
+    /**
+     * ダウンロードした範囲の一覧を読み込む
+     * @returns {Array<Object>} 範囲 { id, name, bounds, minZoom, maxZoom, sources, tileCount, size, date }
+     */
+    function loadOfflineAreas() {
+        try {
+            return JSON.parse(localStorage.getItem(OFFLINE_AREAS_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * ダウンロードした範囲の一覧を保存する
+     * @param {Array<Object>} areas 範囲の配列
+     */
+    function saveOfflineAreas(areas) {
+        localStorage.setItem(OFFLINE_AREAS_KEY, JSON.stringify(areas));
+    }
+
+    /**
+     * ダウンロードするタイルの種類（表示中の背景地図と、重ねている陰影起伏図）を取得する
+     * @returns {Array<{id: string, name: string, url: string, maxZoom: number}>} タイルの種類
+     */
+    function getOfflineTileSources() {
+        const sources = [getSelectedBaseMap()];
+        if (hillshadeLayer) {
+            sources.push(GSI_BASE_MAPS.find(baseMap => baseMap.id === HILLSHADE_BASE_MAP_ID));
+        }
+        return sources.map(({ id, name, url, maxZoom }) => ({ id, name, url, maxZoom }));
+    }
+
+    /**
+     * ダウンロードする範囲を取得する
+     * @returns {L.LatLngBounds|null} 範囲（画像の範囲を選んだが画像がない場合は null）
+     */
+    function getOfflineTargetBounds() {
+        if (offlineAreaSelect.value === 'image') {
+            // 読み込んだ画像すべてを囲む範囲
+            const placedImageLayers = imageLayers.filter(imageLayer => imageLayer.overlay);
+            if (placedImageLayers.length === 0) return null;
+            return placedImageLayers.reduce((bounds, imageLayer) => bounds.extend(imageLayer.overlay.getBounds()), L.latLngBounds([]));
+        }
+        return map.getBounds();
+    }
+
+    /**
+     * 範囲に含まれるタイルの番号の範囲を求める
+     * @param {L.LatLngBounds} bounds 範囲
+     * @param {number} zoom ズームレベル
+     * @returns {{northWest: L.Point, southEast: L.Point}} 北西端・南東端のタイルの番号
+     */
+    function getTileRange(bounds, zoom) {
+        return {
+            northWest: map.project(bounds.getNorthWest(), zoom).divideBy(256).floor(),
+            southEast: map.project(bounds.getSouthEast(), zoom).divideBy(256).floor()
+        };
+    }
+
+    /**
+     * タイルのURLのテンプレートにタイルの番号を入れる
+     * L.TileLayer と同じく {s} はサブドメイン（a・b・c）、{r} は空文字にする
+     * @param {string} url タイルのURLのテンプレート
+     * @param {number} z ズームレベル
+     * @param {number} x タイルのX番号
+     * @param {number} y タイルのY番号
+     * @returns {string} タイルのURL
+     * @throws {Error} {z}・{x}・{y}・{s}・{r} 以外の変数を含む場合
+     */
+    function getTileUrl(url, z, x, y) {
+        const subdomains = L.TileLayer.prototype.options.subdomains;
+        return L.Util.template(url, { s: subdomains[Math.abs(x + y) % subdomains.length], r: '', z, x, y });
+    }
+
+    /**
+     * タイルの種類ごとに、ダウンロードするズームレベルを列挙する
+     * （タイルの最大ズームを超えるズームレベルは最大ズームのタイルを拡大表示するので、最大ズームまでとする）
+     * @param {number} minZoom 最小ズームレベル
+     * @param {number} maxZoom 最大ズームレベル
+     * @param {Object} source タイルの種類
+     * @returns {number[]} ズームレベルの配列
+     */
+    function getSourceZooms(minZoom, maxZoom, source) {
+        const zooms = [];
+        for (let zoom = minZoom; zoom <= Math.min(maxZoom, source.maxZoom); zoom++) {
+            zooms.push(zoom);
+        }
+        return zooms;
+    }
+
+    /**
+     * 範囲とズームレベルに含まれるタイルの数と推定サイズを求める（URLを列挙せずに計算する）
+     * @param {L.LatLngBounds} bounds 範囲
+     * @param {number} minZoom 最小ズームレベル
+     * @param {number} maxZoom 最大ズームレベル
+     * @param {Array<Object>} sources タイルの種類
+     * @returns {{count: number, size: number}} タイルの数と推定サイズ（バイト）
+     */
+    function countOfflineTiles(bounds, minZoom, maxZoom, sources) {
+        let count = 0, size = 0;
+        sources.forEach(source => getSourceZooms(minZoom, maxZoom, source).forEach(zoom => {
+            const { northWest, southEast } = getTileRange(bounds, zoom);
+            const tileCount = (southEast.x - northWest.x + 1) * (southEast.y - northWest.y + 1);
+            count += tileCount;
+            size += tileCount * (TILE_SIZE_ESTIMATES[source.id] || DEFAULT_TILE_SIZE_ESTIMATE);
+        }));
+        return { count, size };
+    }
+
+    /**
+     * 範囲とズームレベルに含まれるタイルのURLを列挙する
+     * @param {L.LatLngBounds} bounds 範囲
+     * @param {number} minZoom 最小ズームレベル
+     * @param {number} maxZoom 最大ズームレベル
+     * @param {Array<Object>} sources タイルの種類
+     * @returns {string[]} タイルのURL
+     */
+    function listOfflineTileUrls(bounds, minZoom, maxZoom, sources) {
+        const urls = [];
+        sources.forEach(source => getSourceZooms(minZoom, maxZoom, source).forEach(zoom => {
+            const { northWest, southEast } = getTileRange(bounds, zoom);
+            for (let x = northWest.x; x <= southEast.x; x++) {
+                for (let y = northWest.y; y <= southEast.y; y++) {
+                    urls.push(getTileUrl(source.url, zoom, x, y));
+                }
+            }
+        }));
+        return urls;
+    }
+
+    /**
+     * ズームレベルの入力欄の値を取得する
+     * @returns {{minZoom: number, maxZoom: number}|null} ズームレベルの範囲（不正な場合は null）
+     */
+    function getOfflineZoomRange() {
+        const minZoom = parseInt(offlineMinZoomInput.value, 10);
+        const maxZoom = parseInt(offlineMaxZoomInput.value, 10);
+        if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom) || minZoom < 0 || minZoom > maxZoom) return null;
+        return { minZoom, maxZoom };
+    }
+
+    /**
+     * ダウンロードするタイルの数と推定サイズを表示する
+     */
+    function renderOfflineEstimate() {
+        if (offlineDownload) return; // ダウンロード中は進捗を表示する
+        const bounds = getOfflineTargetBounds();
+        const zoomRange = getOfflineZoomRange();
+        if (!bounds) {
+            offlineEstimate.textContent = '画像が読み込まれていません。';
+        } else if (!zoomRange) {
+            offlineEstimate.textContent = 'ズームレベルの範囲が正しくありません。';
+        } else {
+            const sources = getOfflineTileSources();
+            const { count, size } = countOfflineTiles(bounds, zoomRange.minZoom, zoomRange.maxZoom, sources);
+            offlineEstimate.textContent = `${sources.map(source => source.name).join('＋')}: ` +
+                `タイル ${count.toLocaleString()}枚、推定 ${formatBytes(size)}` +
+                (count > OFFLINE_MAX_TILES ? `（1回に${OFFLINE_MAX_TILES.toLocaleString()}枚までです）` : '');
+        }
+        offlineDownloadBtn.disabled = !offlineServiceWorkerReady;
+        offlineCancelBtn.disabled = true;
+    }
+
+    /**
+     * オフライン地図パネルの通信状態と保存済みの範囲を表示する
+     */
+    async function renderOfflinePanel() {
+        if (!offlineServiceWorkerReady) {
+            offlineStatus.textContent = 'このブラウザまたは開き方（file:// など）ではService Workerを利用できないため、オフライン地図は使えません。httpsまたはlocalhostで開いてください。';
+        } else {
+            offlineStatus.textContent = navigator.onLine
+                ? 'オンラインです。ダウンロードした範囲のタイルは、通信できない場所でも表示されます。'
+                : 'オフラインです。ダウンロード済みのタイルを表示しています。';
+        }
+
+        offlineAreaList.innerHTML = '';
+        loadOfflineAreas().forEach(area => {
+            const li = document.createElement('li');
+            li.className = 'layer-list-item';
+            li.innerHTML = `
+                <span class="layer-name">${escapeHtml(area.name)}<br>
+                    <span class="layer-type">z${area.minZoom}〜${area.maxZoom}・${area.tileCount.toLocaleString()}枚・${formatBytes(area.size)}・${escapeHtml(area.date)}</span>
+                </span>
+                <span class="layer-buttons">
+                    <button type="button" data-action="zoom" title="範囲を表示">⤢</button>
+                    <button type="button" data-action="remove" title="削除">×</button>
+                </span>
+            `;
+            li.querySelector('[data-action="zoom"]').addEventListener('click', () => map.fitBounds(area.bounds));
+            li.querySelector('[data-action="remove"]').addEventListener('click', () => deleteOfflineArea(area));
+            offlineAreaList.appendChild(li);
+        });
+        offlineClearBtn.disabled = offlineAreaList.children.length === 0;
+
+        if (navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            offlineUsage.textContent = `ブラウザの保存領域: ${formatBytes(usage)} / ${formatBytes(quota)}`;
+        }
+    }
+
+    /**
+     * 選択した範囲のタイルをダウンロードしてキャッシュに保存する
+     */
+    async function downloadOfflineArea() {
+        const bounds = getOfflineTargetBounds();
+        const zoomRange = getOfflineZoomRange();
+        if (!bounds || !zoomRange) {
+            showMessageBox('ダウンロードする範囲とズームレベルを確認してください。');
+            return;
+        }
+        const sources = getOfflineTileSources();
+        const { count } = countOfflineTiles(bounds, zoomRange.minZoom, zoomRange.maxZoom, sources);
+        if (count > OFFLINE_MAX_TILES) {
+            showMessageBox(`タイルが多すぎます（${count.toLocaleString()}枚）。範囲を狭くするか、最大ズームレベルを下げてください。`);
+            return;
+        }
+
+        const download = { cancelled: false, done: 0, failed: 0, size: 0 };
+        offlineDownload = download;
+        offlineDownloadBtn.disabled = true;
+        offlineCancelBtn.disabled = false;
+
+        try {
+            const tiles = listOfflineTileUrls(bounds, zoomRange.minZoom, zoomRange.maxZoom, sources);
+            offlineProgress.hidden = false;
+            offlineProgress.max = tiles.length;
+
+            const cache = await caches.open(OFFLINE_TILE_CACHE);
+            const queue = [...tiles];
+            const worker = async () => {
+                while (queue.length > 0 && !download.cancelled) {
+                    const url = queue.shift();
+                    try {
+                        let response = await cache.match(url);
+                        if (!response) {
+                            response = await fetch(url, { mode: 'cors' });
+                            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                            await cache.put(url, response.clone());
+                        }
+                        const blob = await response.blob();
+                        download.size += blob.size;
+                    } catch (error) {
+                        // 海域などタイルがない場所もあるので、失敗した数だけ数えて続ける
+                        download.failed++;
+                    }
+                    download.done++;
+                    offlineProgress.value = download.done;
+                    offlineEstimate.textContent = `ダウンロード中: ${download.done.toLocaleString()} / ${tiles.length.toLocaleString()}枚（${formatBytes(download.size)}）`;
+                }
+            };
+            await Promise.all(Array.from({ length: OFFLINE_DOWNLOAD_CONCURRENCY }, worker));
+
+            const saved = download.done - download.failed;
+            if (saved > 0) {
+                const areas = loadOfflineAreas();
+                areas.push({
+                    id: Date.now(),
+                    name: sources.map(source => source.name).join('＋'),
+                    bounds: [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]],
+                    minZoom: zoomRange.minZoom,
+                    maxZoom: zoomRange.maxZoom,
+                    sources,
+                    tileCount: saved,
+                    size: download.size,
+                    date: new Date().toLocaleString()
+                });
+                saveOfflineAreas(areas);
+            }
+            showMessageBox(`${download.cancelled ? 'ダウンロードを中止しました。' : 'ダウンロードが完了しました。'}` +
+                `保存: ${saved.toLocaleString()}枚（${formatBytes(download.size)}）` +
+                (download.failed > 0 ? `、取得できなかったタイル: ${download.failed.toLocaleString()}枚` : ''));
+        } catch (error) {
+            console.error('地図タイルのダウンロードに失敗しました:', error);
+            showMessageBox('地図タイルのダウンロードに失敗しました。<br>背景地図のURLとブラウザの保存領域を確認してください。');
+        } finally {
+            // 失敗した場合もダウンロード中の表示を戻す
+            offlineDownload = null;
+            offlineProgress.hidden = true;
+            renderOfflineEstimate();
+            await renderOfflinePanel();
+        }
+    }
+
+    /**
+     * ダウンロードした範囲を削除する（他の範囲と共有しているタイルは残す）
+     * @param {Object} area 削除する範囲
+     */
+    async function deleteOfflineArea(area) {
+        const areas = loadOfflineAreas().filter(item => item.id !== area.id);
+        const tileUrlsOf = item => listOfflineTileUrls(L.latLngBounds(item.bounds), item.minZoom, item.maxZoom, item.sources);
+        const shared = new Set(areas.flatMap(tileUrlsOf));
+        const cache = await caches.open(OFFLINE_TILE_CACHE);
+        await Promise.all(tileUrlsOf(area).filter(url => !shared.has(url)).map(url => cache.delete(url)));
+        saveOfflineAreas(areas);
+        await renderOfflinePanel();
+    }
+
+    offlineBtn.addEventListener('click', () => {
+        offlinePanel.hidden = !offlinePanel.hidden;
+        offlineBtn.classList.toggle('active', !offlinePanel.hidden);
+        if (!offlinePanel.hidden) {
+            // 初期値は現在のズームレベルから2段階拡大まで
+            if (!offlineMinZoomInput.value) {
+                offlineMinZoomInput.value = map.getZoom();
+                offlineMaxZoomInput.value = Math.min(map.getZoom() + 2, MAP_MAX_ZOOM);
+            }
+            renderOfflineEstimate();
+            renderOfflinePanel();
+        }
+    });
+
+    offlinePanelCloseBtn.addEventListener('click', () => {
+        offlinePanel.hidden = true;
+        offlineBtn.classList.remove('active');
+    });
+
+    [offlineAreaSelect, offlineMinZoomInput, offlineMaxZoomInput].forEach(input => input.addEventListener('input', renderOfflineEstimate));
+
+    // 表示範囲が変わったら推定を更新
+    map.on('moveend', () => {
+        if (!offlinePanel.hidden) renderOfflineEstimate();
+    });
+
+    offlineDownloadBtn.addEventListener('click', downloadOfflineArea);
+
+    offlineCancelBtn.addEventListener('click', () => {
+        if (offlineDownload) offlineDownload.cancelled = true;
+    });
+
+    offlineClearBtn.addEventListener('click', async () => {
+        await caches.delete(OFFLINE_TILE_CACHE);
+        saveOfflineAreas([]);
+        await renderOfflinePanel();
+    });
+
+    window.addEventListener('online', () => { if (!offlinePanel.hidden) renderOfflinePanel(); });
+    window.addEventListener('offline', () => { if (!offlinePanel.hidden) renderOfflinePanel(); });
+
+    // ダウンロードしたタイルを配信するService Workerを登録する（file:// で開いた場合などは利用できない）
+    if ('serviceWorker' in navigator && window.caches) {
+        navigator.serviceWorker.register('sw.js')
+            .then(() => { offlineServiceWorkerReady = true; })
+            .catch(error => console.error('Service Workerの登録に失敗しました:', error))
+            .finally(() => {
+                if (!offlinePanel.hidden) {
+                    renderOfflineEstimate();
+                    renderOfflinePanel();
+                }
+            });
+    }
+
+    // --- GPS値読込イベント ---
+    loadGpsBtn.addEventListener('click', () => gpsCsvInput.click());
+
+    // --- GeoJSON読込イベント ---
+    loadGeojsonBtn.addEventListener('click', () => geojsonInput.click());
+
+    // --- 座標文字列の解析 ---
+
+    // 座標の表記形式
+    const COORDINATE_FORMATS = {
+        decimal: '十進度',
+        dms: '度分秒（記号区切り）',
+        packed: '度分秒（数字連結）'
+    };
+
+    // 緯度・経度ごとの度の桁数（数字連結形式）と値の範囲
+    const COORDINATE_AXES = {
+        lat: { label: '緯度', degreeDigits: 2, limit: 90 },
+        lng: { label: '経度', degreeDigits: 3, limit: 180 }
+    };
+
+    // 半球を表す文字と、その軸・符号
+    const HEMISPHERES = {
+        N: { axis: 'lat', sign: 1 }, '北緯': { axis: 'lat', sign: 1 },
+        S: { axis: 'lat', sign: -1 }, '南緯': { axis: 'lat', sign: -1 },
+        E: { axis: 'lng', sign: 1 }, '東経': { axis: 'lng', sign: 1 },
+        W: { axis: 'lng', sign: -1 }, '西経': { axis: 'lng', sign: -1 }
+    };
+
+    /**
+     * 座標文字列の全角文字や記号の揺れを半角に揃える
+     * @param {*} value セルの値
+     * @returns {string} 正規化した文字列
+     */
+    function normalizeCoordinateText(value) {
+        return String(value)
+            .replace(/[º˚]/g, '°')
+            .normalize('NFKC')
+            .replace(/[−‐‑–—]/g, '-')
+            .replace(/[′‘’]/g, '\'')
+            .replace(/[″“”]|''/g, '"')
+            .trim();
+    }
+
+    /**
+     * 十進度の数値文字列を解析する
+     * @param {string} text 符号・半球を除いた数値文字列
+     * @returns {number} 度（解釈できない場合はNaN）
+     */
+    function parseDecimalDegrees(text) {
+        return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    /**
+     * 記号・空白で区切った度分秒を解析する（34°50'20.66" / 34:50:20.66 / 34 50 20.66 / 34度50分20.66秒 / 34°50.344'）
+     * @param {string} text 符号・半球を除いた文字列
+     * @returns {number} 度（解釈できない場合はNaN）
+     */
+    function parseSeparatedDms(text) {
+        if (!/^[\d.\s°度'分"秒:]+$/.test(text) || !/[\s°度'分"秒:]/.test(text)) return NaN;
+        const parts = text.split(/[\s°度'分"秒:]+/).filter(part => part !== '');
+        if (parts.length === 0 || parts.length > 3) return NaN;
+        // 小数を含められるのは最後の値のみ
+        const valid = parts.every((part, i) => (i === parts.length - 1 ? /^\d+(\.\d+)?$/ : /^\d+$/).test(part));
+        if (!valid) return NaN;
+
+        const [deg, min = 0, sec = 0] = parts.map(parseFloat);
+        if (min >= 60 || sec >= 60) return NaN;
+        return deg + min / 60 + sec / 3600;
+    }
+
+    /**
+     * 数字を連結した度分秒を解析する（緯度 DDMMSSss / 経度 DDDMMSSss、小数点付きの DDMMSS.ss・DDMM.mm にも対応）
+     * 小数点のない短い文字列は従来どおり右を0で埋めて解釈する
+     * @param {string} text 符号・半球を除いた数値文字列
+     * @param {string} axis 'lat' または 'lng'
+     * @returns {number} 度（解釈できない場合はNaN）
+     */
+    function parsePackedDms(text, axis) {
+        const match = text.match(/^(\d+)(?:\.(\d+))?$/);
+        if (!match) return NaN;
+        const [, intPart, fraction] = match;
+        const d = COORDINATE_AXES[axis].degreeDigits;
+
+        let deg, min, sec;
+        if (fraction === undefined) {
+            const padded = intPart.padEnd(d + 4, '0');
+            deg = parseInt(padded.slice(0, d), 10);
+            min = parseInt(padded.slice(d, d + 2), 10);
+            sec = parseFloat(`${padded.slice(d + 2, d + 4)}.${padded.slice(d + 4) || '0'}`);
+        } else if (intPart.length === d + 4) {
+            deg = parseInt(intPart.slice(0, d), 10);
+            min = parseInt(intPart.slice(d, d + 2), 10);
+            sec = parseFloat(`${intPart.slice(d + 2)}.${fraction}`);
+        } else if (intPart.length === d + 2) {
+            deg = parseInt(intPart.slice(0, d), 10);
+            min = parseFloat(`${intPart.slice(d)}.${fraction}`);
+            sec = 0;
+        } else {
+            return NaN;
+        }
+        if (min >= 60 || sec >= 60) return NaN;
+        return deg + min / 60 + sec / 3600;
+    }
+
+    /**
+     * 座標の値を度（実数）に変換する
+     * 自動判定では表記から形式を判断し、複数の解釈が成り立つ値は推測せずエラーとする
+     * @param {*} value セルの値
+     * @param {string} axis 'lat' または 'lng'
+     * @param {string} [format='auto'] 'auto'、'decimal'、'dms'、'packed' のいずれか
+     * @param {string|null} [columnFormat=null] 自動判定で解釈が分かれた時に採用する形式（列全体から判定したもの）
+     * @returns {{value: number, format: string|null, error: string|null}} 変換結果（失敗時は value が NaN で error に理由）
+     */
+    function parseCoordinate(value, axis, format = 'auto', columnFormat = null) {
+        const { label, limit } = COORDINATE_AXES[axis];
+        const failure = error => ({ value: NaN, format: null, error });
+
+        let text = value === null || value === undefined ? '' : normalizeCoordinateText(value);
+        if (text === '') return failure(`${label}の値がありません`);
+
+        // 先頭または末尾の半球記号（N/S/E/W、北緯/南緯/東経/西経）
+        let hemisphere = null;
+        const hemisphereMatch = text.match(/^(北緯|南緯|東経|西経|[NSEW])\s*(.*)$/i) || text.match(/^(.*?)\s*(北緯|南緯|東経|西経|[NSEW])$/i);
+        if (hemisphereMatch) {
+            const symbol = /^(北緯|南緯|東経|西経|[NSEW])$/i.test(hemisphereMatch[1]) ? hemisphereMatch[1] : hemisphereMatch[2];
+            text = hemisphereMatch[1] === symbol ? hemisphereMatch[2] : hemisphereMatch[1];
+            hemisphere = HEMISPHERES[symbol.toUpperCase()];
+            if (/[NSEW]|北緯|南緯|東経|西経/i.test(text)) return failure(`${label}に半球の記号が複数あります`);
+            if (hemisphere.axis !== axis) return failure(`${label}の列に${axis === 'lat' ? '経度' : '緯度'}の半球記号（${symbol}）があります`);
+        }
+
+        // 符号
+        let sign = 1;
+        const signMatch = text.match(/^([+-])\s*(.*)$/);
+        if (signMatch) {
+            if (hemisphere) return failure(`${label}に符号と半球の記号が両方あります`);
+            sign = signMatch[1] === '-' ? -1 : 1;
+            text = signMatch[2];
+        }
+        if (hemisphere) sign = hemisphere.sign;
+
+        // 形式ごとに解釈を試み、範囲内のものを候補とする
+        const parsers = {
+            decimal: () => parseDecimalDegrees(text),
+            dms: () => parseSeparatedDms(text),
+            packed: () => parsePackedDms(text, axis)
+        };
+        const candidates = (format === 'auto' ? Object.keys(parsers) : [format])
+            .map(name => ({ format: name, value: parsers[name]() }))
+            .filter(candidate => !isNaN(candidate.value) && candidate.value <= limit);
+
+        if (candidates.length === 0) {
+            const expected = format === 'auto' ? '座標' : COORDINATE_FORMATS[format];
+            return failure(`${label}を${expected}として解釈できません（${String(value)}）`);
+        }
+
+        let chosen = candidates[0];
+        const distinct = candidates.filter(candidate => Math.abs(candidate.value - chosen.value) > 1e-9);
+        if (distinct.length > 0) {
+            chosen = candidates.find(candidate => candidate.format === columnFormat);
+            if (!chosen) {
+                const readings = candidates.map(candidate => `${COORDINATE_FORMATS[candidate.format]}なら${candidate.value.toFixed(6)}`).join('、');
+                return failure(`${label}の形式を判別できません（${String(value)}: ${readings}）`);
+            }
+        }
+        return { value: sign * chosen.value, format: chosen.format, error: null };
+    }
+
+    /**
+     * 列の値から、解釈が分かれる値に採用する座標の形式を判定する
+     * 十進度・数字連結の一方でしか解釈できない値が、すべて同じ形式を示す場合にその形式を返す
+     * @param {Array} values 列の値
+     * @param {string} axis 'lat' または 'lng'
+     * @returns {string|null} 'decimal'、'packed'、または判定できない場合はnull
+     */
+    function detectColumnCoordinateFormat(values, axis) {
+        const found = new Set();
+        values.forEach(value => {
+            const asDecimal = !parseCoordinate(value, axis, 'decimal').error;
+            const asPacked = !parseCoordinate(value, axis, 'packed').error;
+            if (asDecimal !== asPacked) {
+                found.add(asDecimal ? 'decimal' : 'packed');
+            }
+        });
+        return found.size === 1 ? [...found][0] : null;
+    }
+
+    /**
+     * 度（実数）をGPSデータの読込形式と同じ数字連結の度分秒に変換する（緯度 DDMMSSss / 経度 DDDMMSSss、南緯・西経は先頭に-）
+     * @param {number} degrees 度
+     * @param {string} axis 'lat' または 'lng'
+     * @returns {string} 数字連結の度分秒（例: "34502066"）
+     */
+    function formatPackedDms(degrees, axis) {
+        // 秒の小数2桁（1/100秒）単位に丸めてから度・分・秒に分ける
+        const totalCentiseconds = Math.round(Math.abs(degrees) * 360000);
+        const deg = Math.floor(totalCentiseconds / 360000);
+        const min = Math.floor(totalCentiseconds % 360000 / 6000);
+        const centiseconds = totalCentiseconds % 6000;
+        const text = String(deg).padStart(COORDINATE_AXES[axis].degreeDigits, '0') +
+            String(min).padStart(2, '0') + String(centiseconds).padStart(4, '0');
+        return (degrees < 0 && totalCentiseconds > 0 ? '-' : '') + text;
+    }
+
+    // GPSデータの列の割り当ての既定値（C列+G列が名称、D列が緯度、E列が経度、1行目がヘッダー、座標の形式は自動判定、世界測地系の緯度・経度）
+    const DEFAULT_GPS_COLUMN_MAPPING = { headerRows: 1, nameColumns: [2, 6], latColumn: 3, lngColumn: 4, coordFormat: 'auto', planeZone: 0, datum: 'jgd2011' };
+    const GPS_COLUMN_MAPPINGS_KEY = 'gsimap2.gpsColumnMappings'; // 列の割り当てを保存するlocalStorageのキー
+    const GPS_PREVIEW_ROWS = 10; // 読込ダイアログでプレビューする行数
+    const GPS_OUTLIER_MIN_POINTS = 3; // 外れ値の検出に必要な地点数
+    const GPS_OUTLIER_FACTOR = 10; // 中心からの距離の中央値の何倍を超えたら外れ値とするか
+    const GPS_OUTLIER_MIN_DISTANCE = 1000; // 外れ値とする最小の距離（m）
+    const GPS_FOCUS_ZOOM = 16; // 読込結果から地点へ移動する時のズームレベル
+
+    /**
+     * GPSデータのファイルを読み込んでワークブックに変換する
+     * CSV/TSVは文字列のまま扱い、UTF-8として解釈できない場合はShift_JISとして読み込む
+     * @param {File} file 読み込むファイル
+     * @param {ArrayBuffer} buffer ファイルの内容
+     * @returns {Object} SheetJSのワークブック
+     */
+    function readGpsWorkbook(file, buffer) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension !== 'csv' && extension !== 'tsv') {
+            return XLSX.read(new Uint8Array(buffer), { type: 'array' });
+        }
+
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            text = new TextDecoder('shift_jis').decode(buffer);
+        }
+        const options = { type: 'string', raw: true };
+        if (extension === 'tsv') {
+            options.FS = '\t';
+        }
+        return XLSX.read(text.replace(/^\uFEFF/, ''), options);
+    }
+
+    /**
+     * シートを行の配列に変換する
+     * @param {Object} workbook SheetJSのワークブック
+     * @param {string} sheetName シート名
+     * @returns {Array<Array>} 行の配列
+     */
+    function getSheetRows(workbook, sheetName) {
+        return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+    }
+
+    /**
+     * 列の割り当てを記憶するためのファイルレイアウトの識別子を求める（シート名と先頭シートの先頭行の内容）
+     * @param {Object} workbook SheetJSのワークブック
+     * @returns {string} レイアウトの識別子
+     */
+    function getGpsLayoutKey(workbook) {
+        const rows = getSheetRows(workbook, workbook.SheetNames[0]);
+        const firstRow = rows.find(row => row && row.some(cell => cell !== '')) || [];
+        return `${workbook.SheetNames.join('/')}|${firstRow.length}:${firstRow.map(cell => String(cell).trim()).join('\t')}`;
+    }
+
+    /**
+     * 保存済みの列の割り当てを取得する
+     * @returns {Object} レイアウトの識別子をキーとする列の割り当て
+     */
+    function loadGpsColumnMappings() {
+        try {
+            return JSON.parse(localStorage.getItem(GPS_COLUMN_MAPPINGS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * 列の割り当てをファイルレイアウトごとに保存する
+     * @param {string} layoutKey レイアウトの識別子
+     * @param {Object} mapping 列の割り当て
+     */
+    function saveGpsColumnMapping(layoutKey, mapping) {
+        const mappings = loadGpsColumnMappings();
+        mappings[layoutKey] = mapping;
+        localStorage.setItem(GPS_COLUMN_MAPPINGS_KEY, JSON.stringify(mappings));
+    }
+
+    /**
+     * 列の割り当てに従って行から地点情報を取り出す
+     * 平面直角座標・日本測地系の座標は世界測地系の緯度・経度に変換する
+     * @param {Array<Array>} rows シートの行の配列
+     * @param {Object} mapping 列の割り当て { headerRows, nameColumns, latColumn, lngColumn, coordFormat, planeZone, datum }
+     * @param {string} fileName 進行状況に表示するファイル名
+     * @returns {Promise<{rowCount: number, points: Array<Object>, skipped: Array<Object>}>} 読み込んだ行数、地点情報、スキップした行
+     */
+    async function extractGpsPoints(rows, mapping, fileName) {
+        const { headerRows, nameColumns, latColumn, lngColumn } = mapping;
+        const coordFormat = mapping.coordFormat || 'auto';
+        const planeZone = mapping.planeZone || 0;
+        const datum = mapping.datum || 'jgd2011';
+        const requiredLength = Math.max(latColumn, lngColumn) + 1; // 緯度・経度の列まで必要
+
+        // 自動判定の場合、解釈が分かれる値は列全体から判定した形式で読む
+        const dataRows = rows.slice(headerRows).filter(row => row);
+        const isAutoFormat = coordFormat === 'auto' && !planeZone;
+        const latColumnFormat = isAutoFormat ? detectColumnCoordinateFormat(dataRows.map(row => row[latColumn]), 'lat') : null;
+        const lngColumnFormat = isAutoFormat ? detectColumnCoordinateFormat(dataRows.map(row => row[lngColumn]), 'lng') : null;
+
+        // ヘッダー行と空行はスキップ
+        const points = [];
+        const skipped = [];
+        let rowCount = 0;
+        for (let i = headerRows; i < rows.length; i++) {
+            // 行数が多いファイルで画面が止まらないよう、一定の行数ごとに中断する
+            if (i > headerRows && (i - headerRows) % LOAD_CHUNK_SIZE === 0) {
+                showLoadProgress(`${fileName}: 座標を変換中`, (i - headerRows) / (rows.length - headerRows));
+                await yieldToBrowser();
+            }
+            const row = rows[i];
+            if (!row || !row.some(cell => String(cell).trim() !== '')) continue;
+            rowCount++;
+
+            const rowNumber = i + 1;
+            // 名称の列・緯度・経度の元の値（レポート表示用）
+            const values = [...nameColumns, latColumn, lngColumn].map(column => (row[column] === undefined ? '' : row[column]));
+            if (row.length < requiredLength) {
+                skipped.push({ rowNumber, reason: planeZone ? 'X・Yの列がありません' : '緯度・経度の列がありません', values });
+                continue;
+            }
+            
+            // 名称の列をスペース区切りで結合してname
+            const name = nameColumns.map(column => row[column] || '').join(' ');
+            const latResult = planeZone ? parsePlaneCoordinate(row[latColumn], 'X') : parseCoordinate(row[latColumn], 'lat', coordFormat, latColumnFormat);
+            const lngResult = planeZone ? parsePlaneCoordinate(row[lngColumn], 'Y') : parseCoordinate(row[lngColumn], 'lng', coordFormat, lngColumnFormat);
+            let lat = NaN;
+            let lng = NaN;
+            if (!latResult.error && !lngResult.error) {
+                ({ lat, lng } = convertToJgd2011(latResult.value, lngResult.value, planeZone, datum));
+            }
+
+            const errors = [latResult.error, lngResult.error].filter(Boolean);
+            if (errors.length === 0 && !(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+                errors.push(`${getPlaneZoneName(planeZone)}の範囲外の座標です`);
+            }
+            if (!name.trim()) {
+                errors.unshift('名称が空です');
+            }
+            if (errors.length > 0) {
+                // 座標を解釈できた行は、レポートから位置を確認できるようにする
+                const entry = { rowNumber, reason: errors.join(' / '), values };
+                if (!isNaN(lat) && !isNaN(lng)) {
+                    Object.assign(entry, { lat, lng });
+                }
+                skipped.push(entry);
+                continue;
+            }
+
+            if (points.length === 0) {
+                console.log('Marker 1件目:', { name, latStr: row[latColumn], lngStr: row[lngColumn], lat, lng });
+            }
+            points.push({ name, lat, lng, latStr: row[latColumn], lngStr: row[lngColumn], rowNumber });
+        }
+        return { rowCount, points, skipped };
+    }
+
+    /**
+     * 他の地点から大きく離れた地点と、名称・座標が重複する地点を検出する
+     * @param {Array<Object>} points 地点情報の配列
+     * @returns {Array<{pointIndex: number, message: string}>} 注意が必要な地点
+     */
+    function findGpsWarnings(points) {
+        const warnings = [];
+
+        // 中央値の位置からの距離が、距離の中央値の一定倍を超える地点を外れ値とする
+        if (points.length >= GPS_OUTLIER_MIN_POINTS) {
+            const median = values => {
+                const sorted = [...values].sort((a, b) => a - b);
+                const mid = Math.floor(sorted.length / 2);
+                return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+            };
+            const center = L.latLng(median(points.map(p => p.lat)), median(points.map(p => p.lng)));
+            const distances = points.map(p => center.distanceTo([p.lat, p.lng]));
+            const threshold = Math.max(median(distances) * GPS_OUTLIER_FACTOR, GPS_OUTLIER_MIN_DISTANCE);
+            distances.forEach((distance, pointIndex) => {
+                if (distance > threshold) {
+                    warnings.push({ pointIndex, message: `他の地点から離れています（中心から${(distance / 1000).toFixed(1)} km）` });
+                }
+            });
+        }
+
+        // 名称・座標の重複は、最初に出現した行を示す
+        const firstByName = new Map();
+        const firstByCoord = new Map();
+        points.forEach((p, pointIndex) => {
+            const nameKey = p.name.trim();
+            const coordKey = `${p.lat.toFixed(6)},${p.lng.toFixed(6)}`;
+            if (firstByName.has(nameKey)) {
+                warnings.push({ pointIndex, message: `名称が${firstByName.get(nameKey).rowNumber}行目と重複しています` });
+            } else {
+                firstByName.set(nameKey, p);
+            }
+            if (firstByCoord.has(coordKey)) {
+                warnings.push({ pointIndex, message: `座標が${firstByCoord.get(coordKey).rowNumber}行目と重複しています` });
+            } else {
+                firstByCoord.set(coordKey, p);
+            }
+        });
+
+        return warnings.sort((a, b) => points[a.pointIndex].rowNumber - points[b.pointIndex].rowNumber);
+    }
+
+    /**
+     * 指定した位置へ地図を移動する
+     * @param {number} lat 緯度
+     * @param {number} lng 経度
+     * @param {L.Marker} [marker] 移動後にポップアップを開くマーカー
+     */
+    function focusGpsLocation(lat, lng, marker) {
+        const moveMap = () => map.setView([lat, lng], Math.max(map.getZoom(), GPS_FOCUS_ZOOM));
+        if (marker) {
+            moveMapAndOpenPopup(marker, moveMap);
+        } else {
+            moveMap();
+        }
+    }
+
+    /**
+     * GPSデータの読込結果パネルを表示する
+     * @param {Object} dataLayer 読み込んだGPSデータのレイヤー
+     * @param {Object} result extractGpsPoints の結果
+     */
+    function showGpsImportReport(dataLayer, result) {
+        const { rowCount, points, skipped } = result;
+        const warnings = findGpsWarnings(points);
+        const markers = dataLayer.layer.getLayers();
+
+        gpsReportSummary.textContent = `${dataLayer.name}: ${rowCount}行を読み込み、${points.length}件を設置、${skipped.length}行をスキップしました。`;
+
+        gpsReportSkippedBody.innerHTML = '';
+        skipped.forEach(entry => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${entry.rowNumber}</td>
+                <td>${escapeHtml(entry.reason)}</td>
+                <td>${entry.values.map(value => escapeHtml(value)).join(' | ')}</td>
+            `;
+            if (entry.lat !== undefined) {
+                row.classList.add('side-panel-row-link');
+                row.title = 'クリックで地図を移動';
+                row.addEventListener('click', () => focusGpsLocation(entry.lat, entry.lng));
+            }
+            gpsReportSkippedBody.appendChild(row);
+        });
+        gpsReportSkipped.hidden = skipped.length === 0;
+
+        gpsReportWarningsBody.innerHTML = '';
+        warnings.forEach(warning => {
+            const point = points[warning.pointIndex];
+            const row = document.createElement('tr');
+            row.className = 'side-panel-row-link';
+            row.title = 'クリックで地図を移動';
+            row.innerHTML = `
+                <td>${point.rowNumber}</td>
+                <td>${escapeHtml(point.name)}</td>
+                <td>${escapeHtml(warning.message)}</td>
+            `;
+            row.addEventListener('click', () => focusGpsLocation(point.lat, point.lng, markers[warning.pointIndex]));
+            gpsReportWarningsBody.appendChild(row);
+        });
+        gpsReportWarnings.hidden = warnings.length === 0;
+
+        gpsReportPanel.hidden = false;
+    }
+
+    /**
+     * 読込ダイアログの列選択欄を作り直す
+     * @param {number} columnCount 列数
+     * @param {Object} mapping 選択状態にする列の割り当て
+     */
+    function renderGpsColumnSelectors(columnCount, mapping) {
+        const options = Array.from({ length: columnCount }, (_, i) =>
+            `<option value="${i}">${XLSX.utils.encode_col(i)}列</option>`).join('');
+        gpsLatColumnSelect.innerHTML = options;
+        gpsLngColumnSelect.innerHTML = options;
+        gpsLatColumnSelect.value = Math.min(mapping.latColumn, columnCount - 1);
+        gpsLngColumnSelect.value = Math.min(mapping.lngColumn, columnCount - 1);
+
+        gpsNameColumns.innerHTML = Array.from({ length: columnCount }, (_, i) => `
+            <label><input type="checkbox" value="${i}" ${mapping.nameColumns.includes(i) ? 'checked' : ''}>${XLSX.utils.encode_col(i)}</label>
+        `).join('');
+    }
+
+    /**
+     * 読込ダイアログで選択中の列の割り当てを取得する
+     * @returns {Object} 列の割り当て
+     */
+    function getDialogGpsColumnMapping() {
+        const headerRows = parseInt(gpsHeaderRowsInput.value, 10);
+        return {
+            headerRows: !isNaN(headerRows) && headerRows >= 0 ? headerRows : 0,
+            nameColumns: Array.from(gpsNameColumns.querySelectorAll('input:checked')).map(input => parseInt(input.value, 10)),
+            latColumn: parseInt(gpsLatColumnSelect.value, 10),
+            lngColumn: parseInt(gpsLngColumnSelect.value, 10),
+            coordFormat: gpsCoordFormatSelect.value,
+            planeZone: parseInt(gpsCoordSystemSelect.value, 10),
+            datum: gpsDatumSelect.value
+        };
+    }
+
+    /**
+     * 読込ダイアログの座標の列の名前と形式の選択欄を、選択中の座標系に合わせる
+     */
+    function updateGpsCoordSystemFields() {
+        const isPlane = gpsCoordSystemSelect.value !== '0';
+        gpsLatColumnLabel.textContent = isPlane ? 'X（北）' : '緯度';
+        gpsLngColumnLabel.textContent = isPlane ? 'Y（東）' : '経度';
+        gpsCoordFormatSelect.disabled = isPlane; // 平面直角座標はm単位の数値のみ
+    }
+
+    /**
+     * 読込ダイアログのプレビュー表を更新する
+     */
+    function renderGpsPreview() {
+        const rows = pendingGpsImport.rows;
+        const mapping = getDialogGpsColumnMapping();
+        const columnCount = pendingGpsImport.columnCount;
+
+        const header = Array.from({ length: columnCount }, (_, i) => {
+            let role = '';
+            if (mapping.nameColumns.includes(i)) role = '名称';
+            if (i === mapping.latColumn) role = mapping.planeZone ? 'X' : '緯度';
+            if (i === mapping.lngColumn) role = mapping.planeZone ? 'Y' : '経度';
+            return `<th class="${role ? 'gps-preview-selected' : ''}">${XLSX.utils.encode_col(i)}<br><small>${role}</small></th>`;
+        }).join('');
+
+        // 緯度・経度（平面直角座標の場合はX・Y）として解釈できないセルは理由をツールチップにして強調する
+        const dataRows = rows.slice(mapping.headerRows).filter(row => row);
+        const coordColumns = {
+            [mapping.latColumn]: { axis: 'lat', planeLabel: 'X', columnFormat: detectColumnCoordinateFormat(dataRows.map(row => row[mapping.latColumn]), 'lat') },
+            [mapping.lngColumn]: { axis: 'lng', planeLabel: 'Y', columnFormat: detectColumnCoordinateFormat(dataRows.map(row => row[mapping.lngColumn]), 'lng') }
+        };
+
+        const body = rows.slice(0, GPS_PREVIEW_ROWS).map((row, rowIndex) => {
+            const cells = Array.from({ length: columnCount }, (_, i) => {
+                const value = row[i] === undefined ? '' : row[i];
+                const coordColumn = coordColumns[i];
+                if (rowIndex >= mapping.headerRows && coordColumn) {
+                    const columnFormat = mapping.coordFormat === 'auto' ? coordColumn.columnFormat : null;
+                    const result = mapping.planeZone
+                        ? parsePlaneCoordinate(value, coordColumn.planeLabel)
+                        : parseCoordinate(value, coordColumn.axis, mapping.coordFormat, columnFormat);
+                    if (result.error) {
+                        return `<td class="gps-preview-invalid" title="${escapeHtml(result.error)}">${escapeHtml(value)}</td>`;
+                    }
+                }
+                return `<td>${escapeHtml(value)}</td>`;
+            }).join('');
+            const rowClass = rowIndex < mapping.headerRows ? 'gps-preview-header' : '';
+            return `<tr class="${rowClass}"><th>${rowIndex + 1}</th>${cells}</tr>`;
+        }).join('');
+
+        gpsPreviewTable.innerHTML = `<thead><tr><th></th>${header}</tr></thead><tbody>${body}</tbody>`;
+    }
+
+    /**
+     * 読込ダイアログで選択したシートを表示する
+     * @param {string} sheetName シート名
+     * @param {Object} mapping 選択状態にする列の割り当て
+     */
+    function selectGpsSheet(sheetName, mapping) {
+        const rows = getSheetRows(pendingGpsImport.workbook, sheetName);
+        const columnCount = Math.max(1, ...rows.slice(0, 100).map(row => (row ? row.length : 0)));
+
+        pendingGpsImport.sheetName = sheetName;
+        pendingGpsImport.rows = rows;
+        pendingGpsImport.columnCount = columnCount;
+
+        gpsSheetSelect.value = sheetName;
+        gpsHeaderRowsInput.value = mapping.headerRows;
+        gpsCoordFormatSelect.value = mapping.coordFormat || 'auto';
+        gpsCoordSystemSelect.value = mapping.planeZone || 0;
+        gpsDatumSelect.value = mapping.datum || 'jgd2011';
+        updateGpsCoordSystemFields();
+        renderGpsColumnSelectors(columnCount, mapping);
+        renderGpsPreview();
+    }
+
+    /**
+     * GPSデータの読込ダイアログを開く
+     * @param {string} fileName ファイル名
+     * @param {Object} workbook SheetJSのワークブック
+     */
+    function openGpsImportDialog(fileName, workbook) {
+        const layoutKey = getGpsLayoutKey(workbook);
+        pendingGpsImport = { fileName, workbook, layoutKey };
+        gpsImportFileName.textContent = fileName;
+        gpsSheetSelect.innerHTML = workbook.SheetNames
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+
+        // 同じレイアウトのファイルで前回使った割り当てがあれば、そのシートと列を選択する
+        const savedMapping = loadGpsColumnMappings()[layoutKey];
+        if (savedMapping && workbook.SheetNames.includes(savedMapping.sheetName)) {
+            selectGpsSheet(savedMapping.sheetName, savedMapping);
+        } else {
+            selectGpsSheet(workbook.SheetNames[0], DEFAULT_GPS_COLUMN_MAPPING);
+        }
+
+        gpsImportDialog.hidden = false;
+    }
+
+    /**
+     * GPSデータの読込ダイアログを閉じる
+     */
+    function closeGpsImportDialog() {
+        gpsImportDialog.hidden = true;
+        pendingGpsImport = null;
+    }
+
+    gpsCsvInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+        try {
+            const buffer = await readFileWithProgress(file, 'readAsArrayBuffer');
+            showLoadProgress(`${file.name} を解析中`, null);
+            await yieldToBrowser();
+            openGpsImportDialog(file.name, readGpsWorkbook(file, buffer));
+        } catch (error) {
+            console.error('GPSデータの読み込みに失敗しました:', error);
+            showMessageBox('GPSデータの読み込みに失敗しました。<br>Excel・CSV・TSVファイルを選択してください。');
+        } finally {
+            hideLoadProgress();
+        }
+    });
+
+    // 読込ダイアログの入力変更でプレビューを更新
+    gpsSheetSelect.addEventListener('change', () => selectGpsSheet(gpsSheetSelect.value, getDialogGpsColumnMapping()));
+    gpsHeaderRowsInput.addEventListener('input', renderGpsPreview);
+    gpsNameColumns.addEventListener('change', renderGpsPreview);
+    gpsLatColumnSelect.addEventListener('change', renderGpsPreview);
+    gpsLngColumnSelect.addEventListener('change', renderGpsPreview);
+    gpsCoordFormatSelect.addEventListener('change', renderGpsPreview);
+    gpsCoordSystemSelect.addEventListener('change', () => {
+        updateGpsCoordSystemFields();
+        renderGpsPreview();
+    });
+
+    gpsImportCancelBtn.addEventListener('click', closeGpsImportDialog);
+
+    // 「読込」ボタンで選択した割り当てに従ってマーカーを作成
+    gpsImportOkBtn.addEventListener('click', async () => {
+        const mapping = getDialogGpsColumnMapping();
+        if (mapping.nameColumns.length === 0) {
+            showMessageBox('名称の列を1つ以上選択してください。');
+            return;
+        }
+
+        const { fileName, sheetName, rows, layoutKey } = pendingGpsImport;
+        saveGpsColumnMapping(layoutKey, { ...mapping, sheetName });
+        closeGpsImportDialog();
+
+        let result;
+        let builtLayer;
+        try {
+            result = await extractGpsPoints(rows, mapping, fileName);
+            builtLayer = await buildGpsLayer(fileName, result.points);
+        } catch (error) {
+            console.error('GPSデータの読み込みに失敗しました:', error);
+            showMessageBox('GPSデータの読み込みに失敗しました。<br>列の割り当てを確認してください。');
+            return;
+        } finally {
+            hideLoadProgress();
+        }
+        confirmImportMode('gps', 'GPS', () => {
+            const dataLayer = registerDataLayer(builtLayer);
+            showGpsImportReport(dataLayer, result);
+            console.log(`GPS値からマーカーを作成しました: ${result.points.length}件`);
+        });
+    });
+
+    gpsReportCloseBtn.addEventListener('click', () => {
+        gpsReportPanel.hidden = true;
+    });
+
+    // GeoJSONファイル読み込み処理
+    geojsonInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+
+        let dataLayer;
+        try {
+            const text = await readFileWithProgress(file, 'readAsText');
+            showLoadProgress(`${file.name} を解析中`, null);
+            await yieldToBrowser();
+            const geojsonData = JSON.parse(text);
+            // 地物のレイヤーを先に作成し、地物として解釈できるかを確認する
+            dataLayer = await buildGeojsonLayer(file.name, geojsonData);
+        } catch (error) {
+            console.error('GeoJSONファイルの読み込みに失敗しました:', error);
+
+            // エラーメッセージを表示
+            showMessageBox('GeoJSONファイルの読み込みに失敗しました。<br>有効なGeoJSONファイルを選択してください。');
+            return;
+        } finally {
+            hideLoadProgress();
+        }
+
+        // GeoJSONデータを地図に追加（読み込み済みのデータがあれば追加・置き換えを確認）
+        confirmImportMode('geojson', 'GeoJSON・GPX・KML', () => {
+            registerGeojsonLayer(dataLayer);
+            console.log('GeoJSONファイルを読み込みました');
+        });
+    });
+
+    // --- GPX・KML読込 ---
+
+    /**
+     * XML文字列を解析する
+     * @param {string} text XML文字列
+     * @returns {Document} XML文書
+     */
+    function parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XMLとして解析できません');
+        }
+        return doc;
+    }
+
+    /**
+     * 名前空間を問わず、指定した名前の子要素を取得する
+     * @param {Element} parent 親要素
+     * @param {string} localName 要素名（接頭辞なし）
+     * @returns {Element[]} 子要素の配列
+     */
+    function getChildElements(parent, localName) {
+        return Array.from(parent.children).filter(element => element.localName === localName);
+    }
+
+    /**
+     * 名前空間を問わず、指定した名前の子要素のテキストを取得する
+     * @param {Element} parent 親要素
+     * @param {string} localName 要素名（接頭辞なし）
+     * @returns {string|null} テキスト（要素がない場合はnull）
+     */
+    function getChildText(parent, localName) {
+        const element = getChildElements(parent, localName)[0];
+        return element ? element.textContent.trim() : null;
+    }
+
+    /**
+     * 空でない値だけを持つプロパティを作成する
+     * @param {Object} values プロパティの候補
+     * @returns {Object} null・空文字を除いたプロパティ
+     */
+    function compactProperties(values) {
+        const properties = {};
+        Object.keys(values).forEach(key => {
+            if (values[key] !== null && values[key] !== undefined && values[key] !== '') {
+                properties[key] = values[key];
+            }
+        });
+        return properties;
+    }
+
+    /**
+     * GPXの地点要素（wpt・rtept・trkpt）を座標と時刻に変換する
+     * @param {Element} element 地点要素
+     * @returns {{coordinate: number[], time: string|null}} [経度, 緯度, 標高] と時刻
+     */
+    function parseGpxPoint(element) {
+        const coordinate = [parseFloat(element.getAttribute('lon')), parseFloat(element.getAttribute('lat'))];
+        const ele = parseFloat(getChildText(element, 'ele'));
+        if (!isNaN(ele)) {
+            coordinate.push(ele);
+        }
+        return { coordinate, time: getChildText(element, 'time') };
+    }
+
+    /**
+     * GPX文書をGeoJSONに変換する（ウェイポイント・ルート・トラック）
+     * 標高は座標の3番目の値、各点の時刻は properties.coordTimes に格納する
+     * @param {Document} doc GPXのXML文書
+     * @returns {Object} GeoJSONのFeatureCollection
+     */
+    function gpxToGeojson(doc) {
+        const root = doc.documentElement;
+        if (root.localName !== 'gpx') {
+            throw new Error('GPXファイルではありません');
+        }
+        const features = [];
+
+        getChildElements(root, 'wpt').forEach(wpt => {
+            const { coordinate, time } = parseGpxPoint(wpt);
+            features.push({
+                type: 'Feature',
+                properties: compactProperties({
+                    name: getChildText(wpt, 'name'), desc: getChildText(wpt, 'desc'),
+                    ele: coordinate[2], time, gpxType: 'wpt'
+                }),
+                geometry: { type: 'Point', coordinates: coordinate }
+            });
+        });
+
+        getChildElements(root, 'rte').forEach(rte => {
+            const points = getChildElements(rte, 'rtept').map(parseGpxPoint);
+            if (points.length < 2) return;
+            features.push({
+                type: 'Feature',
+                properties: compactProperties({
+                    name: getChildText(rte, 'name'), desc: getChildText(rte, 'desc'),
+                    coordTimes: points.some(p => p.time) ? points.map(p => p.time) : null, gpxType: 'rte'
+                }),
+                geometry: { type: 'LineString', coordinates: points.map(p => p.coordinate) }
+            });
+        });
+
+        getChildElements(root, 'trk').forEach(trk => {
+            const segments = getChildElements(trk, 'trkseg')
+                .map(trkseg => getChildElements(trkseg, 'trkpt').map(parseGpxPoint))
+                .filter(points => points.length >= 2);
+            if (segments.length === 0) return;
+
+            const hasTime = segments.some(points => points.some(p => p.time));
+            const single = segments.length === 1;
+            const coordinates = segments.map(points => points.map(p => p.coordinate));
+            const coordTimes = segments.map(points => points.map(p => p.time));
+            features.push({
+                type: 'Feature',
+                properties: compactProperties({
+                    name: getChildText(trk, 'name'), desc: getChildText(trk, 'desc'),
+                    coordTimes: hasTime ? (single ? coordTimes[0] : coordTimes) : null, gpxType: 'trk'
+                }),
+                geometry: single
+                    ? { type: 'LineString', coordinates: coordinates[0] }
+                    : { type: 'MultiLineString', coordinates }
+            });
+        });
+
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * KMLの座標文字列（"経度,緯度[,高度]" の空白区切り）を座標の配列に変換する
+     * @param {string} text 座標文字列
+     * @returns {number[][]} [経度, 緯度, 高度] の配列
+     */
+    function parseKmlCoordinates(text) {
+        return text.trim().split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').map(parseFloat))
+            .filter(coordinate => coordinate.length >= 2 && !isNaN(coordinate[0]) && !isNaN(coordinate[1]));
+    }
+
+    /**
+     * KMLのジオメトリ要素をGeoJSONのジオメトリに変換する
+     * @param {Element} element ジオメトリ要素（Point・LineString・LinearRing・Polygon・MultiGeometry・gx:Track・gx:MultiTrack）
+     * @returns {{geometry: Object, coordTimes: Array|null}|null} ジオメトリと各点の時刻（対応しない要素はnull）
+     */
+    function parseKmlGeometry(element) {
+        const coordinatesOf = el => parseKmlCoordinates(getChildText(el, 'coordinates') || '');
+
+        switch (element.localName) {
+            case 'Point': {
+                const [coordinate] = coordinatesOf(element);
+                return coordinate ? { geometry: { type: 'Point', coordinates: coordinate }, coordTimes: null } : null;
+            }
+            case 'LineString':
+            case 'LinearRing': {
+                const coordinates = coordinatesOf(element);
+                return coordinates.length >= 2 ? { geometry: { type: 'LineString', coordinates }, coordTimes: null } : null;
+            }
+            case 'Polygon': {
+                const ringOf = boundary => getChildElements(boundary, 'LinearRing').map(coordinatesOf)[0];
+                const outer = getChildElements(element, 'outerBoundaryIs').map(ringOf)[0];
+                if (!outer || outer.length < 4) return null;
+                const inner = getChildElements(element, 'innerBoundaryIs').map(ringOf).filter(ring => ring && ring.length >= 4);
+                return { geometry: { type: 'Polygon', coordinates: [outer, ...inner] }, coordTimes: null };
+            }
+            case 'Track': {
+                const coordinates = getChildElements(element, 'coord')
+                    .map(coord => coord.textContent.trim().split(/\s+/).map(parseFloat));
+                if (coordinates.length < 2) return null;
+                const times = getChildElements(element, 'when').map(when => when.textContent.trim());
+                return {
+                    geometry: { type: 'LineString', coordinates },
+                    coordTimes: times.length === coordinates.length ? times : null
+                };
+            }
+            case 'MultiTrack':
+            case 'MultiGeometry': {
+                const parts = Array.from(element.children).map(parseKmlGeometry).filter(Boolean);
+                if (parts.length === 0) return null;
+                const types = new Set(parts.map(part => part.geometry.type));
+                if (parts.length === 1) return parts[0];
+                if (types.size === 1 && ['Point', 'LineString', 'Polygon'].includes(parts[0].geometry.type)) {
+                    // 同じ種類のジオメトリはMulti*にまとめる
+                    const type = `Multi${parts[0].geometry.type}`;
+                    const coordTimes = parts.every(part => part.coordTimes) ? parts.map(part => part.coordTimes) : null;
+                    return { geometry: { type, coordinates: parts.map(part => part.geometry.coordinates) }, coordTimes };
+                }
+                return { geometry: { type: 'GeometryCollection', geometries: parts.map(part => part.geometry) }, coordTimes: null };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * KMLのPlacemarkをGeoJSONのFeatureに変換する
+     * @param {Element} placemark Placemark要素
+     * @param {string[]} folders Placemarkを含むフォルダ名の階層
+     * @returns {Object|null} Feature（ジオメトリがない場合はnull）
+     */
+    function placemarkToFeature(placemark, folders) {
+        const parsed = Array.from(placemark.children).map(parseKmlGeometry).find(Boolean);
+        if (!parsed) return null;
+
+        // ExtendedData の Data・SimpleData はそのままプロパティにする
+        const extended = {};
+        getChildElements(placemark, 'ExtendedData').forEach(extendedData => {
+            Array.from(extendedData.getElementsByTagNameNS('*', 'Data')).forEach(data => {
+                extended[data.getAttribute('name')] = getChildText(data, 'value');
+            });
+            Array.from(extendedData.getElementsByTagNameNS('*', 'SimpleData')).forEach(data => {
+                extended[data.getAttribute('name')] = data.textContent.trim();
+            });
+        });
+
+        return {
+            type: 'Feature',
+            properties: compactProperties({
+                ...extended,
+                name: getChildText(placemark, 'name'),
+                description: getChildText(placemark, 'description'),
+                folder: folders.join('/'),
+                coordTimes: parsed.coordTimes
+            }),
+            geometry: parsed.geometry
+        };
+    }
+
+    /**
+     * KML文書をGeoJSONに変換する（フォルダの階層は properties.folder に格納する）
+     * @param {Document} doc KMLのXML文書
+     * @returns {Object} GeoJSONのFeatureCollection
+     */
+    function kmlToGeojson(doc) {
+        const root = doc.documentElement;
+        if (root.localName !== 'kml') {
+            throw new Error('KMLファイルではありません');
+        }
+        const features = [];
+        const walk = (container, folders) => {
+            Array.from(container.children).forEach(child => {
+                if (child.localName === 'Placemark') {
+                    const feature = placemarkToFeature(child, folders);
+                    if (feature) features.push(feature);
+                } else if (child.localName === 'Folder') {
+                    walk(child, [...folders, getChildText(child, 'name') || '']);
+                } else if (child.localName === 'Document') {
+                    walk(child, folders);
+                }
+            });
+        };
+        walk(root, []);
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * KMZ（ZIP）からKMLの文字列を取り出す（doc.kml、なければ最初の.kmlファイル）
+     * @param {ArrayBuffer} buffer KMZファイルの内容
+     * @returns {Promise<string>} KMLの文字列
+     */
+    async function readKmzText(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+        const kmlFiles = Object.values(zip.files).filter(entry => !entry.dir && /\.kml$/i.test(entry.name));
+        const entry = kmlFiles.find(file => file.name.toLowerCase() === 'doc.kml') || kmlFiles[0];
+        if (!entry) {
+            throw new Error('KMZにKMLファイルが含まれていません');
+        }
+        return entry.async('string');
+    }
+
+    /**
+     * GPX・KML・KMZファイルをGeoJSONに変換する
+     * @param {File} file 読み込むファイル
+     * @param {ArrayBuffer} buffer ファイルの内容
+     * @returns {Promise<{format: string, data: Object}>} 形式名とGeoJSON
+     */
+    async function readTrackFile(file, buffer) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'gpx') {
+            return { format: 'GPX', data: gpxToGeojson(parseXml(new TextDecoder('utf-8').decode(buffer))) };
+        }
+        const text = extension === 'kmz' ? await readKmzText(buffer) : new TextDecoder('utf-8').decode(buffer);
+        return { format: extension.toUpperCase(), data: kmlToGeojson(parseXml(text)) };
+    }
+
+    // --- GPX・KML読込イベント ---
+    loadTrackBtn.addEventListener('click', () => trackInput.click());
+
+    trackInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+
+        let dataLayer;
+        try {
+            const buffer = await readFileWithProgress(file, 'readAsArrayBuffer');
+            showLoadProgress(`${file.name} を解析中`, null);
+            await yieldToBrowser();
+            const { format, data } = await readTrackFile(file, buffer);
+            if (data.features.length === 0) {
+                showMessageBox(`${escapeHtml(file.name)} には表示できる地点・線・面がありません。`);
+                return;
+            }
+            dataLayer = await buildGeojsonLayer(file.name, data, format);
+        } catch (error) {
+            console.error('GPX・KMLファイルの読み込みに失敗しました:', error);
+            showMessageBox('GPX・KMLファイルの読み込みに失敗しました。<br>有効なGPX・KML・KMZファイルを選択してください。');
+            return;
+        } finally {
+            hideLoadProgress();
+        }
+
+        confirmImportMode('geojson', 'GeoJSON・GPX・KML', () => {
+            registerGeojsonLayer(dataLayer);
+            console.log(`${dataLayer.format}ファイルを読み込みました: ${dataLayer.data.features.length}件`);
+        });
+    });
+
+    // --- データ書き出し ---
+
+    // データの書き出し形式 { 拡張子, MIMEタイプ }
+    const DATA_EXPORT_FORMATS = {
+        geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+        gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+        kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+        csv: { extension: 'csv', mimeType: 'text/csv' }
+    };
+
+    /**
+     * データレイヤーをGeoJSONのFeatureCollectionに変換する
+     * GPSデータの地点は、名称と読み込み時の元の値を properties に持つPointとする
+     * @param {Object} dataLayer データレイヤー
+     * @returns {Object} GeoJSONのFeatureCollection
+     */
+    function dataLayerToGeojson(dataLayer) {
+        if (dataLayer.type !== 'gps') {
+            return dataLayer.layer.toGeoJSON(false);
+        }
+        return {
+            type: 'FeatureCollection',
+            features: dataLayer.points.map(point => ({
+                type: 'Feature',
+                properties: compactProperties({ name: point.name, latStr: point.latStr, lngStr: point.lngStr }),
+                geometry: { type: 'Point', coordinates: [point.lng, point.lat] }
+            }))
+        };
+    }
+
+    /**
+     * ジオメトリを単純なジオメトリ（Point・LineString・Polygon）の配列に分解する
+     * @param {Object} geometry GeoJSONのジオメトリ
+     * @returns {Array<{type: string, coordinates: Array}>} 単純なジオメトリの配列
+     */
+    function flattenGeometry(geometry) {
+        if (!geometry) return [];
+        switch (geometry.type) {
+            case 'MultiPoint':
+            case 'MultiLineString':
+            case 'MultiPolygon':
+                return geometry.coordinates.map(coordinates => ({ type: geometry.type.slice(5), coordinates }));
+            case 'GeometryCollection':
+                return geometry.geometries.flatMap(flattenGeometry);
+            default:
+                return [geometry];
+        }
+    }
+
+    /**
+     * ライン上の各点の時刻を取り出す（読み込んだGPX・KMLの coordTimes）
+     * @param {Object} properties Featureのプロパティ
+     * @param {number} partIndex マルチジオメトリ内の番号
+     * @param {boolean} isMulti マルチジオメトリかどうか
+     * @returns {Array<string>|null} 時刻の配列
+     */
+    function getCoordTimes(properties, partIndex, isMulti) {
+        const coordTimes = properties && properties.coordTimes;
+        if (!Array.isArray(coordTimes)) return null;
+        return isMulti ? coordTimes[partIndex] || null : coordTimes;
+    }
+
+    /**
+     * GPXの地点要素を作成する
+     * @param {string} tagName 要素名（wpt・rtept・trkpt）
+     * @param {number[]} coordinate [経度, 緯度, 標高]
+     * @param {Object} [extra] name・desc・time の値
+     * @returns {string} XML文字列
+     */
+    function buildGpxPoint(tagName, coordinate, extra = {}) {
+        const children = [];
+        if (coordinate[2] !== undefined) children.push(`<ele>${coordinate[2]}</ele>`);
+        if (extra.time) children.push(`<time>${escapeHtml(extra.time)}</time>`);
+        if (extra.name) children.push(`<name>${escapeHtml(extra.name)}</name>`);
+        if (extra.desc) children.push(`<desc>${escapeHtml(extra.desc)}</desc>`);
+        return `<${tagName} lat="${coordinate[1]}" lon="${coordinate[0]}">${children.join('')}</${tagName}>`;
+    }
+
+    /**
+     * GeoJSONをGPXに変換する（地点はwpt、線はtrk、面は外周・内周をtrkの区間として出力）
+     * @param {Object} geojson GeoJSONのFeatureCollection
+     * @param {string} name 文書名
+     * @returns {string} GPXの文字列
+     */
+    function geojsonToGpx(geojson, name) {
+        const waypoints = [];
+        const tracks = [];
+        geojson.features.forEach(feature => {
+            const properties = feature.properties || {};
+            const desc = properties.desc || properties.description;
+            const isMulti = /^Multi/.test(feature.geometry && feature.geometry.type);
+            const segments = [];
+            flattenGeometry(feature.geometry).forEach((geometry, partIndex) => {
+                if (geometry.type === 'Point') {
+                    waypoints.push(buildGpxPoint('wpt', geometry.coordinates, { name: properties.name, desc, time: properties.time }));
+                } else if (geometry.type === 'LineString') {
+                    const times = getCoordTimes(properties, partIndex, isMulti) || [];
+                    segments.push(geometry.coordinates.map((coordinate, i) => buildGpxPoint('trkpt', coordinate, { time: times[i] })));
+                } else if (geometry.type === 'Polygon') {
+                    geometry.coordinates.forEach(ring => segments.push(ring.map(coordinate => buildGpxPoint('trkpt', coordinate))));
+                }
+            });
+            if (segments.length > 0) {
+                const header = [properties.name && `<name>${escapeHtml(properties.name)}</name>`, desc && `<desc>${escapeHtml(desc)}</desc>`]
+                    .filter(Boolean).join('');
+                tracks.push(`  <trk>${header}\n${segments.map(points => `    <trkseg>\n      ${points.join('\n      ')}\n    </trkseg>`).join('\n')}\n  </trk>`);
+            }
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GSImap2" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escapeHtml(name)}</name></metadata>
+${waypoints.map(wpt => `  ${wpt}`).concat(tracks).join('\n')}
+</gpx>
+`;
+    }
+
+    /**
+     * GeoJSONのジオメトリをKMLのジオメトリ要素に変換する
+     * @param {Object} geometry GeoJSONのジオメトリ
+     * @returns {string} XML文字列（対応しないジオメトリは空文字）
+     */
+    function buildKmlGeometry(geometry) {
+        const coordinatesOf = coordinates => coordinates.map(coordinate => coordinate.join(',')).join(' ');
+        const parts = flattenGeometry(geometry).map(part => {
+            switch (part.type) {
+                case 'Point':
+                    return `<Point><coordinates>${part.coordinates.join(',')}</coordinates></Point>`;
+                case 'LineString':
+                    return `<LineString><coordinates>${coordinatesOf(part.coordinates)}</coordinates></LineString>`;
+                case 'Polygon': {
+                    const [outer, ...inner] = part.coordinates;
+                    const ring = coordinates => `<LinearRing><coordinates>${coordinatesOf(coordinates)}</coordinates></LinearRing>`;
+                    return `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>` +
+                        inner.map(coordinates => `<innerBoundaryIs>${ring(coordinates)}</innerBoundaryIs>`).join('') + '</Polygon>';
+                }
+                default:
+                    return '';
+            }
+        }).filter(Boolean);
+        return parts.length === 1 ? parts[0] : parts.length > 1 ? `<MultiGeometry>${parts.join('')}</MultiGeometry>` : '';
+    }
+
+    /**
+     * GeoJSONをKMLに変換する（name・description 以外の文字列・数値のプロパティは ExtendedData に出力）
+     * @param {Object} geojson GeoJSONのFeatureCollection
+     * @param {string} name 文書名
+     * @returns {string} KMLの文字列
+     */
+    function geojsonToKml(geojson, name) {
+        const placemarks = geojson.features.map(feature => {
+            const geometry = buildKmlGeometry(feature.geometry);
+            if (!geometry) return '';
+            const properties = feature.properties || {};
+            const description = properties.description || properties.desc;
+            const data = Object.keys(properties)
+                .filter(key => !['name', 'description', 'desc'].includes(key) && ['string', 'number'].includes(typeof properties[key]))
+                .map(key => `<Data name="${escapeHtml(key)}"><value>${escapeHtml(properties[key])}</value></Data>`);
+            return `    <Placemark>` +
+                (properties.name ? `<name>${escapeHtml(properties.name)}</name>` : '') +
+                (description ? `<description>${escapeHtml(description)}</description>` : '') +
+                (data.length > 0 ? `<ExtendedData>${data.join('')}</ExtendedData>` : '') +
+                `${geometry}</Placemark>`;
+        }).filter(Boolean);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeHtml(name)}</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+    }
+
+    /**
+     * CSVのセルの値をエスケープする
+     * @param {*} value セルの値
+     * @returns {string} CSVのセル
+     */
+    function escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * GeoJSONをCSVに変換する（地点は1行、線・面は頂点ごとに1行）
+     * 座標は十進度と、GPSデータの読込形式と同じ数字連結の度分秒の両方を出力する
+     * @param {Object} geojson GeoJSONのFeatureCollection
+     * @returns {string} CSVの文字列（Excelで開けるようBOM付き）
+     */
+    function geojsonToCsv(geojson) {
+        const rows = [['名称', '図形', '頂点', '緯度', '経度', '緯度(度分秒)', '経度(度分秒)', '標高']];
+        geojson.features.forEach(feature => {
+            const name = (feature.properties && feature.properties.name) || '';
+            flattenGeometry(feature.geometry).forEach(geometry => {
+                const vertices = geometry.type === 'Point' ? [geometry.coordinates]
+                    : geometry.type === 'LineString' ? geometry.coordinates
+                    : geometry.coordinates.flat();
+                vertices.forEach((coordinate, i) => {
+                    const [lng, lat, ele] = coordinate;
+                    rows.push([
+                        name, geometry.type, geometry.type === 'Point' ? '' : i + 1,
+                        lat.toFixed(8), lng.toFixed(8),
+                        formatPackedDms(lat, 'lat'), formatPackedDms(lng, 'lng'),
+                        ele === undefined ? '' : ele
+                    ]);
+                });
+            });
+        });
+        return '\uFEFF' + rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * データレイヤーを指定した形式で書き出す
+     * @param {Object} dataLayer データレイヤー
+     * @param {string} format 'geojson'、'gpx'、'kml'、'csv' のいずれか
+     */
+    function exportDataLayer(dataLayer, format) {
+        const geojson = dataLayerToGeojson(dataLayer);
+        if (geojson.features.length === 0) {
+            showMessageBox('書き出す地点・線・面がありません。');
+            return;
+        }
+        const baseName = dataLayer.name.replace(/\.[^.]+$/, '') || 'data';
+        const { extension, mimeType } = DATA_EXPORT_FORMATS[format];
+        let content;
+        if (format === 'geojson') {
+            content = JSON.stringify(geojson, null, 2);
+        } else if (format === 'gpx') {
+            content = geojsonToGpx(geojson, baseName);
+        } else if (format === 'kml') {
+            content = geojsonToKml(geojson, baseName);
+        } else {
+            content = geojsonToCsv(geojson);
+        }
+        downloadFile(new Blob([content], { type: mimeType }), `${baseName}.${extension}`);
+    }
+
+    // --- 作図・編集 ---
+
+    const DRAW_LAYER_NAME = '作図データ'; // 描画先に新しく作るレイヤーの名前
+    const DRAW_LAYER_FORMAT = '作図'; // 新しく作るレイヤーの種類（レイヤー一覧の表示）
+
+    // 作図中の線・面のプレビューのスタイル
+    const drawPreviewStyle = { color: '#0066ff', weight: 2, dashArray: '6 4', fill: false, interactive: false, pane: 'editHandles' };
+
+    /**
+     * 頂点ハンドルのアイコンを作成する
+     * @param {string} className 追加のクラス名
+     * @returns {L.DivIcon} アイコン
+     */
+    function createVertexIcon(className) {
+        return L.divIcon({ className: `vertex-handle ${className}`, iconSize: [12, 12], iconAnchor: [6, 6] });
+    }
+
+    /**
+     * 作図パネルの状態表示とツールボタンを更新する
+     */
+    function renderDrawPanel() {
+        const messages = {
+            point: '地図をクリックして地点を追加します。',
+            line: `地図をクリックして頂点を追加し、ダブルクリックまたは［完了］で確定します。（${drawingLatLngs.length}点）`,
+            polygon: `地図をクリックして頂点を追加し、最初の頂点のクリック・ダブルクリック・［完了］で確定します。（${drawingLatLngs.length}点）`,
+            edit: editingFeature
+                ? '頂点はドラッグで移動、右クリックで削除、辺の中点のクリックで追加します。地図の空いている所をクリックすると編集を終了します。'
+                : '編集する図形をクリックしてください。'
+        };
+        drawStatus.textContent = messages[drawTool] || 'ツールを選択してください。';
+        drawToolButtons.forEach(button => button.classList.toggle('active', button.dataset.tool === drawTool));
+        drawFinishBtn.disabled = !(drawTool === 'line' || drawTool === 'polygon');
+        drawCancelBtn.disabled = drawingLatLngs.length === 0;
+    }
+
+    /**
+     * 描画先の選択欄を更新する（GeoJSON・GPX・KML・作図のレイヤー）
+     */
+    function renderDrawTargetSelect() {
+        const selected = drawTargetSelect.value;
+        const editableLayers = dataLayers.filter(dataLayer => dataLayer.type === 'geojson');
+        drawTargetSelect.innerHTML = '<option value="">新しい作図レイヤー</option>' + editableLayers
+            .map(dataLayer => `<option value="${dataLayer.pane}">${escapeHtml(dataLayer.name)}（${escapeHtml(dataLayer.format)}）</option>`).join('');
+        drawTargetSelect.value = editableLayers.some(dataLayer => dataLayer.pane === selected) ? selected : '';
+    }
+
+    /**
+     * 描画先のデータレイヤーを取得する（未選択の場合は新しい作図レイヤーを作る）
+     * @returns {Object} データレイヤー
+     */
+    function getDrawTargetLayer() {
+        const target = dataLayers.find(dataLayer => dataLayer.pane === drawTargetSelect.value);
+        if (target) return target;
+        const dataLayer = registerGeojsonLayer(createGeojsonDataLayer(DRAW_LAYER_NAME, { type: 'FeatureCollection', features: [] }, DRAW_LAYER_FORMAT, null));
+        drawTargetSelect.value = dataLayer.pane;
+        return dataLayer;
+    }
+
+    /**
+     * 編集後のレイヤーの内容をデータ（保存・書き出し用のGeoJSON）に反映する
+     * @param {Object} dataLayer データレイヤー
+     */
+    function syncDataLayer(dataLayer) {
+        dataLayer.data = dataLayer.layer.toGeoJSON(false);
+        applyDataLayerStyle(dataLayer); // 追加・変更した図形の色分け・ラベル・属性の表示を更新する
+        renderLayerPanel();
+    }
+
+    /**
+     * 作図ツールを切り替える（同じツールを選ぶと終了）
+     * @param {string|null} tool 'point'、'line'、'polygon'、'edit'、または null
+     */
+    function setDrawTool(tool) {
+        cancelDrawing();
+        stopFeatureEditing();
+        drawTool = tool === drawTool ? null : tool;
+
+        if (drawTool) {
+            // 中心座標設定モード・位置合わせモード・計測・実寸の2点の指定とは排他
+            isCenteringMode = false;
+            centerCoordBtn.classList.remove('active');
+            exitGeorefMode();
+            setMeasureTool(null);
+            stopProfilePick();
+            stopScalePointPick();
+            map.doubleClickZoom.disable();
+        } else {
+            map.doubleClickZoom.enable();
+        }
+        mapContainer.style.cursor = drawTool && drawTool !== 'edit' ? 'crosshair' : '';
+        renderDrawPanel();
+    }
+
+    /**
+     * 作図中の線・面のプレビューを更新する
+     */
+    function updateDrawPreview() {
+        drawPreviewLayer.clearLayers();
+        if (drawingLatLngs.length === 0) return;
+
+        const latlngs = drawTool === 'polygon' && drawingLatLngs.length >= 3 ? [...drawingLatLngs, drawingLatLngs[0]] : drawingLatLngs;
+        L.polyline(latlngs, drawPreviewStyle).addTo(drawPreviewLayer);
+        drawingLatLngs.forEach((latlng, index) => {
+            const marker = L.marker(latlng, { icon: createVertexIcon(index === 0 ? 'vertex-handle-first' : ''), pane: 'editHandles' })
+                .addTo(drawPreviewLayer);
+            // 面は最初の頂点のクリックで確定
+            if (index === 0 && drawTool === 'polygon') {
+                marker.on('click', finishDrawing);
+            }
+        });
+    }
+
+    /**
+     * 作図中の線・面を破棄する
+     */
+    function cancelDrawing() {
+        drawingLatLngs = [];
+        drawPreviewLayer.clearLayers();
+        renderDrawPanel();
+    }
+
+    /**
+     * 図形を描画先のレイヤーに追加し、属性の編集を開く
+     * @param {Object} geometry GeoJSONのジオメトリ
+     * @param {L.LatLng} popupLatLng 属性の編集を開く位置
+     */
+    function addDrawnFeature(geometry, popupLatLng) {
+        const dataLayer = getDrawTargetLayer();
+        const existing = new Set(dataLayer.layer.getLayers());
+        dataLayer.layer.addData({ type: 'Feature', properties: {}, geometry });
+        const featureLayer = dataLayer.layer.getLayers().find(layer => !existing.has(layer));
+        if (!dataLayer.visible) {
+            setDataLayerVisible(dataLayer, true);
+        }
+        syncDataLayer(dataLayer);
+        openFeatureEditor(dataLayer, featureLayer, popupLatLng);
+    }
+
+    /**
+     * 作図中の線・面を確定する
+     */
+    function finishDrawing() {
+        const minimum = drawTool === 'polygon' ? 3 : 2;
+        if (drawingLatLngs.length < minimum) {
+            showMessageBox(`${drawTool === 'polygon' ? '面' : '線'}には${minimum}点以上の頂点が必要です。`);
+            return;
+        }
+        const coordinates = drawingLatLngs.map(latlng => [latlng.lng, latlng.lat]);
+        const geometry = drawTool === 'polygon'
+            ? { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] }
+            : { type: 'LineString', coordinates };
+        const popupLatLng = drawingLatLngs[drawingLatLngs.length - 1];
+        cancelDrawing();
+        addDrawnFeature(geometry, popupLatLng);
+    }
+
+    /**
+     * 図形レイヤーから頂点の配列（リング）を取り出す
+     * @param {L.Polyline} layer 線・面のレイヤー
+     * @returns {L.LatLng[][]} 頂点の配列の配列（マルチ・穴あきの場合は複数）
+     */
+    function getVertexRings(layer) {
+        const rings = [];
+        const collect = latlngs => {
+            if (latlngs.length > 0 && Array.isArray(latlngs[0])) {
+                latlngs.forEach(collect);
+            } else {
+                rings.push(latlngs);
+            }
+        };
+        collect(layer.getLatLngs());
+        return rings;
+    }
+
+    /**
+     * 編集中の図形の頂点ハンドルを作り直す
+     */
+    function updateEditHandles() {
+        editHandlesLayer.clearLayers();
+        if (!editingFeature) return;
+
+        const { dataLayer, layer } = editingFeature;
+        const geometries = layer instanceof L.LayerGroup ? layer.getLayers() : [layer];
+        geometries.forEach(geometryLayer => {
+            if (geometryLayer instanceof L.Polyline) {
+                addPolylineHandles(dataLayer, geometryLayer);
+            } else if (geometryLayer.getLatLng) {
+                // 地点はハンドルのドラッグで移動
+                const handle = L.marker(geometryLayer.getLatLng(), { icon: createVertexIcon(''), draggable: true, pane: 'editHandles', title: 'ドラッグで移動' })
+                    .addTo(editHandlesLayer);
+                handle.on('drag', () => geometryLayer.setLatLng(handle.getLatLng()));
+                handle.on('dragend', () => syncDataLayer(dataLayer));
+            }
+        });
+    }
+
+    /**
+     * 線・面の頂点ハンドルと、辺の中点の頂点追加ハンドルを作成する
+     * @param {Object} dataLayer データレイヤー
+     * @param {L.Polyline} geometryLayer 線・面のレイヤー
+     */
+    function addPolylineHandles(dataLayer, geometryLayer) {
+        const isPolygon = geometryLayer instanceof L.Polygon;
+        const minimum = isPolygon ? 3 : 2;
+
+        getVertexRings(geometryLayer).forEach(ring => {
+            ring.forEach((latlng, index) => {
+                const handle = L.marker(latlng, {
+                    icon: createVertexIcon(''), draggable: true, pane: 'editHandles', title: 'ドラッグで移動、右クリックで削除'
+                }).addTo(editHandlesLayer);
+                handle.on('drag', () => {
+                    const moved = handle.getLatLng();
+                    ring[index] = L.latLng(moved.lat, moved.lng, ring[index].alt);
+                    geometryLayer.redraw();
+                });
+                handle.on('dragend', () => {
+                    syncDataLayer(dataLayer);
+                    updateEditHandles();
+                });
+                handle.on('contextmenu', () => {
+                    if (ring.length <= minimum) {
+                        showMessageBox(`${isPolygon ? '面' : '線'}には${minimum}点以上の頂点が必要です。`);
+                        return;
+                    }
+                    ring.splice(index, 1);
+                    geometryLayer.redraw();
+                    syncDataLayer(dataLayer);
+                    updateEditHandles();
+                });
+            });
+
+            // 辺の中点（面は最後の頂点と最初の頂点の間も含む）
+            const edgeCount = isPolygon ? ring.length : ring.length - 1;
+            for (let index = 0; index < edgeCount; index++) {
+                const start = ring[index];
+                const end = ring[(index + 1) % ring.length];
+                const midpoint = map.unproject(map.project(start).add(map.project(end)).divideBy(2));
+                const handle = L.marker(midpoint, { icon: createVertexIcon('vertex-handle-midpoint'), pane: 'editHandles', title: 'クリックで頂点を追加' })
+                    .addTo(editHandlesLayer);
+                handle.on('click', () => {
+                    ring.splice(index + 1, 0, midpoint);
+                    geometryLayer.redraw();
+                    syncDataLayer(dataLayer);
+                    updateEditHandles();
+                });
+            }
+        });
+    }
+
+    /**
+     * 図形の編集を開始し、属性の編集ポップアップを開く
+     * @param {Object} dataLayer データレイヤー
+     * @param {L.Layer} featureLayer 図形のレイヤー（GeoJSONの1つのFeature）
+     * @param {L.LatLng} latlng ポップアップを開く位置
+     */
+    function openFeatureEditor(dataLayer, featureLayer, latlng) {
+        stopFeatureEditing();
+        editingFeature = { dataLayer, layer: featureLayer };
+        updateEditHandles();
+        renderDrawPanel();
+
+        const properties = featureLayer.feature.properties || {};
+        // 文字列・数値の属性を「名前=値」の行で編集する（配列などの属性はそのまま残す）
+        const editableKeys = Object.keys(properties)
+            .filter(key => key !== 'name' && ['string', 'number'].includes(typeof properties[key]));
+
+        const form = document.createElement('div');
+        form.className = 'feature-editor';
+        form.innerHTML = `
+            <label>名称<input type="text" name="name"></label>
+            <label>属性（1行に「名前=値」）<textarea name="attributes" rows="4"></textarea></label>
+            <div class="feature-editor-buttons">
+                <button type="button" data-action="save">保存</button>
+                <button type="button" data-action="delete">図形を削除</button>
+            </div>
+        `;
+        form.querySelector('[name="name"]').value = properties.name || '';
+        form.querySelector('[name="attributes"]').value = editableKeys.map(key => `${key}=${properties[key]}`).join('\n');
+
+        form.querySelector('[data-action="save"]').addEventListener('click', () => {
+            const updated = {};
+            Object.keys(properties).filter(key => key !== 'name' && !editableKeys.includes(key))
+                .forEach(key => { updated[key] = properties[key]; });
+            const name = form.querySelector('[name="name"]').value.trim();
+            if (name) {
+                updated.name = name;
+            }
+            form.querySelector('[name="attributes"]').value.split('\n').forEach(line => {
+                const separator = line.indexOf('=');
+                const key = (separator >= 0 ? line.slice(0, separator) : line).trim();
+                if (!key || key === 'name') return;
+                const value = separator >= 0 ? line.slice(separator + 1).trim() : '';
+                // 数値だった属性は、値が変わらなければ数値のまま保存する
+                updated[key] = typeof properties[key] === 'number' && String(properties[key]) === value ? properties[key] : value;
+            });
+            featureLayer.feature.properties = updated;
+            map.closePopup();
+            syncDataLayer(dataLayer);
+        });
+
+        form.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            map.closePopup();
+            stopFeatureEditing();
+            dataLayer.layer.removeLayer(featureLayer);
+            syncDataLayer(dataLayer);
+        });
+
+        L.popup({ minWidth: 220 }).setLatLng(latlng).setContent(form).openOn(map);
+    }
+
+    /**
+     * 図形の編集を終了する
+     */
+    function stopFeatureEditing() {
+        if (!editingFeature) return;
+        editingFeature = null;
+        editHandlesLayer.clearLayers();
+        renderDrawPanel();
+    }
+
+    /**
+     * データレイヤーの図形がクリックされた時の処理（編集ツールの場合は編集を開始、図形の計測の場合は計測、
+     * 断面図の線の選択中は断面図を表示）
+     * @param {Object} dataLayer データレイヤー
+     * @param {Object} e Leafletのクリックイベント
+     */
+    function handleDataFeatureClick(dataLayer, e) {
+        if (isProfilePickMode) {
+            if (e.propagatedFrom instanceof L.Polyline && !(e.propagatedFrom instanceof L.Polygon)) {
+                showElevationProfile(e.propagatedFrom);
+            }
+            return;
+        }
+        if (measureTool === 'feature') {
+            if (e.propagatedFrom instanceof L.Polyline) {
+                measureFeature(e.propagatedFrom);
+            }
+            return;
+        }
+        if (drawTool !== 'edit') return;
+        // GeometryCollectionの場合はFeature全体（親のレイヤー）を編集する
+        const featureLayer = dataLayer.layer.getLayers().find(layer =>
+            layer === e.propagatedFrom || (layer instanceof L.LayerGroup && layer.hasLayer(e.propagatedFrom)));
+        if (!featureLayer) return;
+        L.DomEvent.stopPropagation(e.originalEvent); // 地図のクリック（編集の終了）にしない
+        openFeatureEditor(dataLayer, featureLayer, e.latlng);
+    }
+
+    // 作図のクリック処理
+    map.on('click', (e) => {
+        if (drawTool === 'point') {
+            addDrawnFeature({ type: 'Point', coordinates: [e.latlng.lng, e.latlng.lat] }, e.latlng);
+        } else if (drawTool === 'line' || drawTool === 'polygon') {
+            drawingLatLngs.push(e.latlng);
+            updateDrawPreview();
+            renderDrawPanel();
+        } else if (drawTool === 'edit') {
+            stopFeatureEditing();
+        }
+    });
+
+    // ダブルクリックで線・面を確定（直前の2回のクリックで同じ位置に頂点が重複するので1つ除く）
+    map.on('dblclick', () => {
+        if (drawTool !== 'line' && drawTool !== 'polygon') return;
+        drawingLatLngs.pop();
+        finishDrawing();
+    });
+
+    drawBtn.addEventListener('click', () => {
+        drawPanel.hidden = !drawPanel.hidden;
+        drawBtn.classList.toggle('active', !drawPanel.hidden);
+        if (drawPanel.hidden) {
+            setDrawTool(null);
+        }
+        renderDrawTargetSelect();
+        renderDrawPanel();
+    });
+
+    drawPanelCloseBtn.addEventListener('click', () => {
+        drawPanel.hidden = true;
+        drawBtn.classList.remove('active');
+        setDrawTool(null);
+    });
+
+    drawToolButtons.forEach(button => button.addEventListener('click', () => setDrawTool(button.dataset.tool)));
+    drawFinishBtn.addEventListener('click', finishDrawing);
+    drawCancelBtn.addEventListener('click', cancelDrawing);
+
+    // 描画先のレイヤーをGeoJSONとして保存
+    drawSaveBtn.addEventListener('click', () => {
+        const target = dataLayers.find(dataLayer => dataLayer.pane === drawTargetSelect.value);
+        if (!target) {
+            showMessageBox('保存する作図レイヤーがありません。');
+            return;
+        }
+        exportDataLayer(target, 'geojson');
+    });
+
+    // --- 測地計算（GRS80楕円体） ---
+
+    const GRS80 = { a: 6378137, f: 1 / 298.257222101 }; // GRS80楕円体の長半径（m）と扁平率
+    const GRS80_B = GRS80.a * (1 - GRS80.f); // 短半径（m）
+    const GRS80_E = Math.sqrt(GRS80.f * (2 - GRS80.f)); // 離心率
+    const VINCENTY_MAX_ITERATIONS = 200; // Vincentyの反復計算の最大回数
+
+    /**
+     * 緯度の正弦から、面積計算用の関数 q を求める
+     * @param {number} sinLat 緯度の正弦
+     * @returns {number} q
+     */
+    function authalicQ(sinLat) {
+        const e = GRS80_E;
+        const esin = e * sinLat;
+        return (1 - e * e) * (sinLat / (1 - esin * esin) - Math.log((1 - esin) / (1 + esin)) / (2 * e));
+    }
+
+    const GRS80_QP = authalicQ(1); // 極での q
+    const GRS80_AUTHALIC_RADIUS = GRS80.a * Math.sqrt(GRS80_QP / 2); // 楕円体と表面積が等しい球の半径（m）
+
+    /**
+     * 角度を 0〜360° の範囲にする
+     * @param {number} degrees 角度（度）
+     * @returns {number} 0以上360未満の角度
+     */
+    function normalizeAzimuth(degrees) {
+        return ((degrees % 360) + 360) % 360;
+    }
+
+    /**
+     * 2点間の測地線の距離と方位角を求める（Vincentyの逆解法）
+     * @param {L.LatLng} from 始点
+     * @param {L.LatLng} to 終点
+     * @returns {{distance: number, azimuth: number|null, backAzimuth: number|null}|null}
+     *   距離（m）、始点での方位角、終点から始点への方位角（北から時計回りの度）。収束しない場合（ほぼ対蹠点）は null
+     */
+    function geodesicInverse(from, to) {
+        const { a, f } = GRS80;
+        const b = GRS80_B;
+        const lngDiff = (((to.lng - from.lng) % 360 + 540) % 360 - 180) * Math.PI / 180;
+        const u1 = Math.atan((1 - f) * Math.tan(from.lat * Math.PI / 180));
+        const u2 = Math.atan((1 - f) * Math.tan(to.lat * Math.PI / 180));
+        const sinU1 = Math.sin(u1), cosU1 = Math.cos(u1);
+        const sinU2 = Math.sin(u2), cosU2 = Math.cos(u2);
+
+        let lambda = lngDiff;
+        let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+        let converged = false;
+        for (let i = 0; i < VINCENTY_MAX_ITERATIONS; i++) {
+            sinLambda = Math.sin(lambda);
+            cosLambda = Math.cos(lambda);
+            sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+            if (sinSigma === 0) {
+                // 同じ地点
+                return { distance: 0, azimuth: null, backAzimuth: null };
+            }
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cosSqAlpha = 1 - sinAlpha * sinAlpha;
+            cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0; // 赤道上の線
+            const c = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+            const previous = lambda;
+            lambda = lngDiff + (1 - c) * f * sinAlpha *
+                (sigma + c * sinSigma * (cos2SigmaM + c * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+            if (Math.abs(lambda - previous) < 1e-12) {
+                converged = true;
+                break;
+            }
+        }
+        if (!converged) return null;
+
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const bigA = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const bigB = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma = bigB * sinSigma * (cos2SigmaM + bigB / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            bigB / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+        const azimuth = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+        const arrivalAzimuth = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+
+        return {
+            distance: b * bigA * (sigma - deltaSigma),
+            azimuth: normalizeAzimuth(azimuth * 180 / Math.PI),
+            backAzimuth: normalizeAzimuth(arrivalAzimuth * 180 / Math.PI + 180)
+        };
+    }
+
+    /**
+     * 頂点を結ぶ測地線の区間ごとの長さと合計を求める
+     * @param {L.LatLng[]} latlngs 頂点の配列
+     * @param {boolean} [closed=false] 最後の頂点と最初の頂点を結ぶか（面の周長）
+     * @returns {{segments: number[], total: number}} 区間ごとの長さ（m、計算できない区間は NaN）と合計
+     */
+    function geodesicLength(latlngs, closed = false) {
+        const points = closed && latlngs.length > 2 ? [...latlngs, latlngs[0]] : latlngs;
+        const segments = [];
+        for (let i = 1; i < points.length; i++) {
+            const result = geodesicInverse(points[i - 1], points[i]);
+            segments.push(result ? result.distance : NaN);
+        }
+        return { segments, total: segments.reduce((sum, distance) => sum + distance, 0) };
+    }
+
+    /**
+     * 頂点を結ぶ多角形の楕円体面上の面積を求める
+     * （等積球の緯度に変換し、球面多角形の球過剰から計算する）
+     * @param {L.LatLng[]} latlngs 多角形の頂点（閉じていなくてもよい）
+     * @returns {number} 面積（m²）
+     */
+    function geodesicArea(latlngs) {
+        const halfTangent = latlng => {
+            const authalicLat = Math.asin(authalicQ(Math.sin(latlng.lat * Math.PI / 180)) / GRS80_QP);
+            return Math.tan(authalicLat / 2);
+        };
+        let excess = 0;
+        latlngs.forEach((start, index) => {
+            const end = latlngs[(index + 1) % latlngs.length];
+            const lngDiff = (((end.lng - start.lng) % 360 + 540) % 360 - 180) * Math.PI / 180;
+            const t1 = halfTangent(start), t2 = halfTangent(end);
+            excess += 2 * Math.atan2(Math.tan(lngDiff / 2) * (t1 + t2), 1 + t1 * t2);
+        });
+        return Math.abs(excess) * GRS80_AUTHALIC_RADIUS * GRS80_AUTHALIC_RADIUS;
+    }
+
+    /**
+     * 距離を表示用の文字列にする
+     * @param {number} meters 距離（m）
+     * @returns {string} 「123.45 m」または「1.234 km」
+     */
+    function formatDistance(meters) {
+        if (!Number.isFinite(meters)) return '計算できません';
+        return meters >= 1000 ? `${(meters / 1000).toFixed(3)} km` : `${meters.toFixed(2)} m`;
+    }
+
+    /**
+     * 面積を表示用の文字列にする
+     * @param {number} squareMeters 面積（m²）
+     * @returns {string} 「m²」または「km²」とヘクタールの併記
+     */
+    function formatArea(squareMeters) {
+        const main = squareMeters >= 1e6 ? `${(squareMeters / 1e6).toFixed(4)} km²` : `${squareMeters.toFixed(1)} m²`;
+        return `${main}（${(squareMeters / 1e4).toFixed(4)} ha）`;
+    }
+
+    /**
+     * 方位角を表示用の文字列にする
+     * @param {number|null} degrees 方位角（北から時計回りの度）
+     * @returns {string} 「123.4567°（123°27′24.1″）」
+     */
+    function formatAzimuth(degrees) {
+        if (degrees === null || !Number.isFinite(degrees)) return '-';
+        const tenthSeconds = Math.round(degrees * 36000) % (360 * 36000);
+        const d = Math.floor(tenthSeconds / 36000);
+        const m = Math.floor(tenthSeconds % 36000 / 600);
+        const s = (tenthSeconds % 600) / 10;
+        return `${degrees.toFixed(4)}°（${d}°${m}′${s.toFixed(1)}″）`;
+    }
+
+    // --- 平面直角座標系・日本測地系 ---
+
+    const BESSEL = { a: 6377397.155, f: 1 / 299.152813 }; // 日本測地系（旧測地系）のベッセル楕円体
+    const TOKYO_TO_JGD_SHIFT = { x: -146.414, y: 507.337, z: 680.507 }; // 日本測地系から世界測地系への地心直交座標の平行移動量（m）
+    const PLANE_SCALE_FACTOR = 0.9999; // 平面直角座標系の原点での縮尺係数
+    const PLANE_ZONE_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII', 'XIII', 'XIV', 'XV', 'XVI', 'XVII', 'XVIII', 'XIX'];
+    // 平面直角座標系の各系の原点（緯度・経度の度、分）
+    const PLANE_ZONE_ORIGINS = [
+        [33, 0, 129, 30], [33, 0, 131, 0], [36, 0, 132, 10], [33, 0, 133, 30], [36, 0, 134, 20],
+        [36, 0, 136, 0], [36, 0, 137, 10], [36, 0, 138, 30], [36, 0, 139, 50], [40, 0, 140, 50],
+        [44, 0, 140, 15], [44, 0, 142, 15], [44, 0, 144, 15], [26, 0, 142, 0], [26, 0, 127, 30],
+        [26, 0, 124, 0], [26, 0, 131, 0], [20, 0, 136, 0], [26, 0, 154, 0]
+    ];
+    const COORD_DISPLAY_SYSTEM_KEY = 'gsimap2.coordDisplaySystem'; // 座標の表示形式を保存するlocalStorageのキー
+
+    /**
+     * 平面直角座標系の系の名前を取得する
+     * @param {number} zone 系の番号（1〜19）
+     * @returns {string} 「第VI系」など
+     */
+    function getPlaneZoneName(zone) {
+        return `第${PLANE_ZONE_NUMERALS[zone - 1]}系`;
+    }
+
+    /**
+     * 平面直角座標系の系の原点を取得する
+     * @param {number} zone 系の番号（1〜19）
+     * @returns {{lat: number, lng: number}} 原点の緯度・経度（度）
+     */
+    function getPlaneZoneOrigin(zone) {
+        const [latDeg, latMin, lngDeg, lngMin] = PLANE_ZONE_ORIGINS[zone - 1];
+        return { lat: latDeg + latMin / 60, lng: lngDeg + lngMin / 60 };
+    }
+
+    /**
+     * 横メルカトル図法の級数の係数を求める（Krügerの級数、第3扁平率の5次まで）
+     * @param {{a: number, f: number}} ellipsoid 楕円体
+     * @returns {Object} 係数 { n, radius, alpha, beta, delta }
+     */
+    function getTransverseMercatorCoefficients(ellipsoid) {
+        const n = ellipsoid.f / (2 - ellipsoid.f);
+        const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n;
+        return {
+            n,
+            radius: ellipsoid.a / (1 + n) * (1 + n2 / 4 + n4 / 64), // 子午線弧長の係数
+            alpha: [
+                n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288,
+                13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630,
+                61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880,
+                49561 * n4 / 161280 - 179 * n5 / 168,
+                34729 * n5 / 80640
+            ],
+            beta: [
+                n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512,
+                n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105,
+                17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480,
+                4397 * n4 / 161280 - 11 * n5 / 504,
+                4583 * n5 / 161280
+            ],
+            delta: [
+                2 * n - 2 * n2 / 3 - 2 * n3 + 116 * n4 / 45 + 26 * n5 / 45,
+                7 * n2 / 3 - 8 * n3 / 5 - 227 * n4 / 45 + 2704 * n5 / 315,
+                56 * n3 / 15 - 136 * n4 / 35 - 1262 * n5 / 105,
+                4279 * n4 / 630 - 332 * n5 / 35,
+                4174 * n5 / 315
+            ]
+        };
+    }
+
+    /**
+     * 緯度・経度を中央子午線を基準とした横メルカトル図法の座標に変換する（原点の緯度を補正する前の値）
+     * @param {number} lat 緯度（度）
+     * @param {number} lngDiff 中央子午線からの経度差（度）
+     * @param {Object} coefficients getTransverseMercatorCoefficients の戻り値
+     * @returns {{x: number, y: number}} 赤道からの北方向の距離・中央子午線からの東方向の距離（m）
+     */
+    function projectTransverseMercator(lat, lngDiff, coefficients) {
+        const { n, radius, alpha } = coefficients;
+        const sinLat = Math.sin(lat * Math.PI / 180);
+        const k = 2 * Math.sqrt(n) / (1 + n);
+        const t = Math.sinh(Math.atanh(sinLat) - k * Math.atanh(k * sinLat));
+        const lambda = lngDiff * Math.PI / 180;
+        const xiPrime = Math.atan2(t, Math.cos(lambda));
+        const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+        let xi = xiPrime, eta = etaPrime;
+        alpha.forEach((coefficient, index) => {
+            const j2 = 2 * (index + 1);
+            xi += coefficient * Math.sin(j2 * xiPrime) * Math.cosh(j2 * etaPrime);
+            eta += coefficient * Math.cos(j2 * xiPrime) * Math.sinh(j2 * etaPrime);
+        });
+        return { x: PLANE_SCALE_FACTOR * radius * xi, y: PLANE_SCALE_FACTOR * radius * eta };
+    }
+
+    /**
+     * 緯度・経度を平面直角座標に変換する
+     * @param {number} lat 緯度（度）
+     * @param {number} lng 経度（度）
+     * @param {number} zone 系の番号（1〜19）
+     * @param {{a: number, f: number}} [ellipsoid=GRS80] 楕円体（日本測地系の場合は BESSEL）
+     * @returns {{x: number, y: number}} X（北方向）・Y（東方向）の座標（m）
+     */
+    function latLngToPlane(lat, lng, zone, ellipsoid = GRS80) {
+        const origin = getPlaneZoneOrigin(zone);
+        const coefficients = getTransverseMercatorCoefficients(ellipsoid);
+        const point = projectTransverseMercator(lat, lng - origin.lng, coefficients);
+        const originPoint = projectTransverseMercator(origin.lat, 0, coefficients);
+        return { x: point.x - originPoint.x, y: point.y };
+    }
+
+    /**
+     * 平面直角座標を緯度・経度に変換する
+     * @param {number} x X（北方向）の座標（m）
+     * @param {number} y Y（東方向）の座標（m）
+     * @param {number} zone 系の番号（1〜19）
+     * @param {{a: number, f: number}} [ellipsoid=GRS80] 楕円体（日本測地系の場合は BESSEL）
+     * @returns {{lat: number, lng: number}} 緯度・経度（度）
+     */
+    function planeToLatLng(x, y, zone, ellipsoid = GRS80) {
+        const origin = getPlaneZoneOrigin(zone);
+        const coefficients = getTransverseMercatorCoefficients(ellipsoid);
+        const { radius, beta, delta } = coefficients;
+        const originPoint = projectTransverseMercator(origin.lat, 0, coefficients);
+        const xi = (x + originPoint.x) / (PLANE_SCALE_FACTOR * radius);
+        const eta = y / (PLANE_SCALE_FACTOR * radius);
+        if (Math.abs(xi) > Math.PI / 2) return { lat: NaN, lng: NaN }; // 極を越える値は変換できない
+
+        let xiPrime = xi, etaPrime = eta;
+        beta.forEach((coefficient, index) => {
+            const j2 = 2 * (index + 1);
+            xiPrime -= coefficient * Math.sin(j2 * xi) * Math.cosh(j2 * eta);
+            etaPrime -= coefficient * Math.cos(j2 * xi) * Math.sinh(j2 * eta);
+        });
+        const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+        let lat = chi;
+        delta.forEach((coefficient, index) => {
+            lat += coefficient * Math.sin(2 * (index + 1) * chi);
+        });
+        return {
+            lat: lat * 180 / Math.PI,
+            lng: origin.lng + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) * 180 / Math.PI
+        };
+    }
+
+    /**
+     * 日本測地系（旧測地系）の緯度・経度を世界測地系（JGD2011）に変換する
+     * 地心直交座標の平行移動（3パラメータ）による近似変換で、誤差は数m程度
+     * @param {number} lat 日本測地系の緯度（度）
+     * @param {number} lng 日本測地系の経度（度）
+     * @returns {{lat: number, lng: number}} 世界測地系の緯度・経度（度）
+     */
+    function tokyoToJgd2011(lat, lng) {
+        // ベッセル楕円体上の点（楕円体高0）を地心直交座標にする
+        const toCartesian = (latDeg, lngDeg, { a, f }) => {
+            const e2 = f * (2 - f);
+            const phi = latDeg * Math.PI / 180, lambda = lngDeg * Math.PI / 180;
+            const radius = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+            return {
+                x: radius * Math.cos(phi) * Math.cos(lambda),
+                y: radius * Math.cos(phi) * Math.sin(lambda),
+                z: radius * (1 - e2) * Math.sin(phi)
+            };
+        };
+        const source = toCartesian(lat, lng, BESSEL);
+        const x = source.x + TOKYO_TO_JGD_SHIFT.x;
+        const y = source.y + TOKYO_TO_JGD_SHIFT.y;
+        const z = source.z + TOKYO_TO_JGD_SHIFT.z;
+
+        // GRS80楕円体の緯度・経度に戻す（反復計算）
+        const e2 = GRS80.f * (2 - GRS80.f);
+        const p = Math.hypot(x, y);
+        let phi = Math.atan2(z, p * (1 - e2));
+        for (let i = 0; i < 5; i++) {
+            const radius = GRS80.a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+            const height = p / Math.cos(phi) - radius;
+            phi = Math.atan2(z, p * (1 - e2 * radius / (radius + height)));
+        }
+        return { lat: phi * 180 / Math.PI, lng: Math.atan2(y, x) * 180 / Math.PI };
+    }
+
+    /**
+     * 読み込んだ座標を世界測地系（JGD2011）の緯度・経度にする
+     * @param {number} first 緯度（平面直角座標の場合はX）
+     * @param {number} second 経度（平面直角座標の場合はY）
+     * @param {number} planeZone 平面直角座標系の系の番号（緯度・経度の場合は0）
+     * @param {string} datum 'jgd2011' または 'tokyo'
+     * @returns {{lat: number, lng: number}} 世界測地系の緯度・経度（度）
+     */
+    function convertToJgd2011(first, second, planeZone, datum) {
+        const ellipsoid = datum === 'tokyo' ? BESSEL : GRS80;
+        const latlng = planeZone ? planeToLatLng(first, second, planeZone, ellipsoid) : { lat: first, lng: second };
+        return datum === 'tokyo' ? tokyoToJgd2011(latlng.lat, latlng.lng) : latlng;
+    }
+
+    /**
+     * 平面直角座標の値（m）を解析する（全角数字・桁区切りのカンマ・末尾の m に対応）
+     * @param {*} value セルの値
+     * @param {string} label 'X' または 'Y'
+     * @returns {{value: number, error: string|null}} 変換結果（失敗時は value が NaN で error に理由）
+     */
+    function parsePlaneCoordinate(value, label) {
+        const text = value === null || value === undefined ? '' : normalizeCoordinateText(value).replace(/,/g, '').replace(/\s*m$/i, '');
+        if (text === '') return { value: NaN, error: `${label}の値がありません` };
+        if (!/^[+-]?\d+(\.\d+)?$/.test(text)) {
+            return { value: NaN, error: `${label}を平面直角座標（m）として解釈できません（${String(value)}）` };
+        }
+        return { value: parseFloat(text), error: null };
+    }
+
+    /**
+     * 度を記号区切りの度分秒の文字列にする
+     * @param {number} degrees 度
+     * @returns {string} 「34°51′13.20″」など（秒は小数2桁）
+     */
+    function formatDmsText(degrees) {
+        const totalCentiseconds = Math.round(Math.abs(degrees) * 360000);
+        const deg = Math.floor(totalCentiseconds / 360000);
+        const min = Math.floor(totalCentiseconds % 360000 / 6000);
+        const sec = (totalCentiseconds % 6000) / 100;
+        return `${degrees < 0 && totalCentiseconds > 0 ? '-' : ''}${deg}°${min}′${sec.toFixed(2)}″`;
+    }
+
+    /**
+     * 座標を選択中の表示形式の文字列にする
+     * @param {L.LatLng} latlng 座標（世界測地系）
+     * @returns {{latLabel: string, lngLabel: string, latText: string, lngText: string}} 表示欄のラベルと値
+     */
+    function formatCoordinateDisplay(latlng) {
+        if (coordDisplaySystem === 'dms') {
+            return { latLabel: '北緯', lngLabel: '東経', latText: formatDmsText(latlng.lat), lngText: formatDmsText(latlng.lng) };
+        }
+        const zone = parseInt(coordDisplaySystem, 10);
+        if (zone >= 1 && zone <= PLANE_ZONE_NUMERALS.length) {
+            const { x, y } = latLngToPlane(latlng.lat, latlng.lng, zone);
+            return { latLabel: 'X(m)', lngLabel: 'Y(m)', latText: x.toFixed(3), lngText: y.toFixed(3) };
+        }
+        return { latLabel: '北緯', lngLabel: '東経', latText: latlng.lat.toFixed(6), lngText: latlng.lng.toFixed(6) };
+    }
+
+    /**
+     * 平面直角座標系の系の選択肢を作成する
+     * @returns {string} option要素のHTML
+     */
+    function buildPlaneZoneOptions() {
+        return PLANE_ZONE_NUMERALS.map((numeral, index) =>
+            `<option value="${index + 1}">平面直角座標系 ${getPlaneZoneName(index + 1)}</option>`).join('');
+    }
+
+    // 座標の表示形式の選択欄と、GPSデータ読込ダイアログの座標系の選択欄に系を追加する
+    coordSystemSelect.insertAdjacentHTML('beforeend', buildPlaneZoneOptions());
+    gpsCoordSystemSelect.insertAdjacentHTML('beforeend', buildPlaneZoneOptions());
+
+    coordSystemSelect.addEventListener('change', () => {
+        coordDisplaySystem = coordSystemSelect.value;
+        localStorage.setItem(COORD_DISPLAY_SYSTEM_KEY, coordDisplaySystem);
+        updateCoordInputs(centerMarker.getLatLng());
+    });
+
+    // 保存されている表示形式で座標を表示し直す（保存値が選択肢にない場合は十進度）
+    coordSystemSelect.value = localStorage.getItem(COORD_DISPLAY_SYSTEM_KEY) || 'latlng';
+    coordDisplaySystem = coordSystemSelect.value || 'latlng';
+    coordSystemSelect.value = coordDisplaySystem;
+    updateCoordInputs(centerMarker.getLatLng());
+
+    // --- 座標入力・地点検索 ---
+
+    const PLACE_SEARCH_MAX_RESULTS = 10; // 地点検索で表示する候補の最大件数
+
+    /**
+     * 座標の入力欄に貼り付けた「緯度, 経度」を2つの値に分ける
+     * カンマ・読点・セミコロン・タブで区切った値と、半球記号で区切りが分かる値（34°50'N 135°27'E）に対応する
+     * @param {string} text 入力欄の値
+     * @param {boolean} isPlane 平面直角座標（X Y）として読むかどうか（空白区切りも許可）
+     * @returns {Array<string>|null} [緯度（X）, 経度（Y）]、2つの値でない場合はnull
+     */
+    function splitCoordinatePair(text, isPlane) {
+        const normalized = normalizeCoordinateText(text);
+        const separators = [/\s*[,、;\t]\s*/, isPlane ? /\s+/ : /\s+(?=[EW]|東経|西経)|(?<=[NS])\s+/i];
+        for (const separator of separators) {
+            const parts = normalized.split(separator).filter(part => part !== '');
+            if (parts.length === 2) return parts;
+        }
+        return null;
+    }
+
+    /**
+     * 座標の入力欄の値を世界測地系の緯度・経度に変換する（選択中の表示形式で読む）
+     * @param {string} latText 北緯（X）欄の値
+     * @param {string} lngText 東経（Y）欄の値
+     * @returns {{latlng: L.LatLng|null, errors: Array<string>}} 変換結果（失敗時は latlng が null で errors に理由）
+     */
+    function parseCoordInputs(latText, lngText) {
+        const zone = parseInt(coordDisplaySystem, 10);
+        if (zone >= 1) {
+            const xResult = parsePlaneCoordinate(latText, 'X');
+            const yResult = parsePlaneCoordinate(lngText, 'Y');
+            const errors = [xResult.error, yResult.error].filter(Boolean);
+            if (errors.length > 0) return { latlng: null, errors };
+            const { lat, lng } = planeToLatLng(xResult.value, yResult.value, zone);
+            if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+                return { latlng: null, errors: [`${getPlaneZoneName(zone)}の範囲外の座標です`] };
+            }
+            return { latlng: L.latLng(lat, lng), errors: [] };
+        }
+
+        // 緯度・経度は十進度・度分秒のどちらの表示形式でも、すべての表記を自動判定で読む
+        const latResult = parseCoordinate(latText, 'lat');
+        const lngResult = parseCoordinate(lngText, 'lng');
+        const errors = [latResult.error, lngResult.error].filter(Boolean);
+        return { latlng: errors.length > 0 ? null : L.latLng(latResult.value, lngResult.value), errors };
+    }
+
+    /**
+     * 中心座標マーカーを指定した位置へ移動する（画像がある場合は画像も同じだけ平行移動する）
+     * @param {L.LatLng} latlng 移動先の座標
+     */
+    function moveCenterTo(latlng) {
+        if (imageOverlay) {
+            const delta = map.project(latlng).subtract(map.project(centerMarker.getLatLng()));
+            transformImageCorners(point => point.add(delta));
+        }
+        centerMarker.setLatLng(latlng);
+        updateCoordInputs(latlng);
+        map.panTo(latlng);
+    }
+
+    /**
+     * 座標の入力欄の値で中心座標を移動する
+     * @param {HTMLInputElement} input 値を変更した入力欄
+     */
+    function applyCoordInput(input) {
+        const pair = splitCoordinatePair(input.value, parseInt(coordDisplaySystem, 10) >= 1);
+        const [latText, lngText] = pair || [latInput.value, lngInput.value];
+        const { latlng, errors } = parseCoordInputs(latText, lngText);
+        if (!latlng) {
+            updateCoordInputs(centerMarker.getLatLng()); // 入力前の表示に戻す
+            showMessageBox(`座標を解釈できません。<br>${errors.map(escapeHtml).join('<br>')}`);
+            return;
+        }
+        recordHistory('中心座標の移動');
+        moveCenterTo(latlng);
+    }
+
+    [latInput, lngInput].forEach(input => {
+        // Enterキーまたはフォーカスを外した時に移動する
+        input.addEventListener('change', () => applyCoordInput(input));
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                updateCoordInputs(centerMarker.getLatLng());
+                input.blur();
+            }
+        });
+    });
+
+    /**
+     * 検索用に文字列の表記の揺れを揃える（全角・半角、大文字・小文字、カタカナ・ひらがな、空白・記号）
+     * @param {*} value 文字列
+     * @returns {string} 正規化した文字列
+     */
+    function normalizeSearchText(value) {
+        return String(value)
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+            .replace(/[\s・\-_.,、。()（）]/g, '');
+    }
+
+    /**
+     * 文字列中の最も近い部分文字列との編集距離を求める（部分文字列の始点・終点は任意）
+     * @param {Array<string>} text 検索対象の文字の配列
+     * @param {Array<string>} pattern 検索語の文字の配列
+     * @returns {number} 編集距離
+     */
+    function approximateSubstringDistance(text, pattern) {
+        let previous = new Array(text.length + 1).fill(0);
+        pattern.forEach((patternChar, i) => {
+            const current = [i + 1];
+            text.forEach((textChar, j) => {
+                current.push(Math.min(previous[j + 1] + 1, current[j] + 1, previous[j] + (patternChar === textChar ? 0 : 1)));
+            });
+            previous = current;
+        });
+        return Math.min(...previous);
+    }
+
+    /**
+     * 名称が検索語にどれだけ一致するかを評価する（値が小さいほどよく一致）
+     * 完全一致・前方一致・部分一致・文字の順序の一致（間の文字数が少ないほど上位）・数文字の誤りを含む一致の順に評価する
+     * @param {string} name 名称
+     * @param {string} query 正規化した検索語
+     * @returns {number|null} 評価値、一致しない場合はnull
+     */
+    function scorePlaceMatch(name, query) {
+        const text = normalizeSearchText(name);
+        if (!text) return null;
+
+        const index = text.indexOf(query);
+        if (index >= 0) {
+            if (index > 0) return 2;
+            return text.length === query.length ? 0 : 1;
+        }
+
+        // 検索語の文字が順に含まれている（間の文字数を評価に加える）
+        const textChars = Array.from(text);
+        const queryChars = Array.from(query);
+        let position = -1;
+        let gaps = 0;
+        const isSubsequence = queryChars.every(char => {
+            const next = textChars.indexOf(char, position + 1);
+            if (next < 0) return false;
+            if (position >= 0) gaps += next - position - 1;
+            position = next;
+            return true;
+        });
+        if (isSubsequence) return 10 + gaps;
+
+        // 4文字につき1文字までの誤りを許す
+        const maxErrors = Math.floor(queryChars.length / 4);
+        if (maxErrors > 0) {
+            const distance = approximateSubstringDistance(textChars, queryChars);
+            if (distance <= maxErrors) return 1000 + distance;
+        }
+        return null;
+    }
+
+    /**
+     * 検索対象の地点・図形を集める（表示中のGPS・GeoJSONデータの名称）
+     * @returns {Array<{name: string, dataLayer: Object, layer: L.Layer}>} 検索対象
+     */
+    function collectSearchablePlaces() {
+        const places = [];
+        dataLayers.filter(dataLayer => dataLayer.visible).forEach(dataLayer => {
+            if (dataLayer.type === 'gps') {
+                const markers = dataLayer.layer.getLayers();
+                dataLayer.points.forEach((point, index) => places.push({ name: point.name, dataLayer, layer: markers[index] }));
+                return;
+            }
+            dataLayer.layer.getLayers().forEach(layer => {
+                const properties = layer.feature && layer.feature.properties;
+                if (properties && properties.name) {
+                    places.push({ name: String(properties.name), dataLayer, layer });
+                }
+            });
+        });
+        return places;
+    }
+
+    /**
+     * 名称を検索して一致する候補を評価の高い順に返す
+     * @param {string} query 検索語
+     * @returns {Array<Object>} 候補 { name, dataLayer, layer, score }
+     */
+    function searchPlaces(query) {
+        const normalizedQuery = normalizeSearchText(query);
+        if (!normalizedQuery) return [];
+        return collectSearchablePlaces()
+            .map(place => ({ ...place, score: scorePlaceMatch(place.name, normalizedQuery) }))
+            .filter(place => place.score !== null)
+            .sort((a, b) => a.score - b.score || a.name.length - b.name.length)
+            .slice(0, PLACE_SEARCH_MAX_RESULTS);
+    }
+
+    /**
+     * 地点検索の候補一覧を表示する
+     */
+    function renderPlaceSearchResults() {
+        placeSearchResults.innerHTML = '';
+        if (!placeSearchInput.value.trim()) {
+            placeSearchResults.hidden = true;
+            return;
+        }
+        if (placeSearchMatches.length === 0) {
+            placeSearchResults.innerHTML = '<li class="place-search-empty">該当する地点がありません</li>';
+        }
+        placeSearchMatches.forEach((place, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('active', index === placeSearchActiveIndex);
+            item.innerHTML = `${escapeHtml(place.name)}<span class="place-search-layer">${escapeHtml(place.dataLayer.name)}</span>`;
+            // フォーカスが外れて一覧が閉じる前に選択する
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                selectPlaceSearchResult(place);
+            });
+            placeSearchResults.appendChild(item);
+        });
+        placeSearchResults.hidden = false;
+    }
+
+    /**
+     * 検索結果の地点・図形へ地図を移動してポップアップを開く
+     * @param {Object} place 検索結果の候補
+     */
+    function selectPlaceSearchResult(place) {
+        const { layer } = place;
+        moveMapAndOpenPopup(layer, () => {
+            if (layer.getLatLng) {
+                map.setView(layer.getLatLng(), Math.max(map.getZoom(), GPS_FOCUS_ZOOM));
+            } else {
+                map.fitBounds(layer.getBounds(), { maxZoom: LAYER_FIT_MAX_ZOOM });
+            }
+        });
+        placeSearchInput.value = place.name;
+        placeSearchResults.hidden = true;
+    }
+
+    placeSearchInput.addEventListener('input', () => {
+        placeSearchMatches = searchPlaces(placeSearchInput.value);
+        placeSearchActiveIndex = 0;
+        renderPlaceSearchResults();
+    });
+
+    placeSearchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (placeSearchMatches.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            placeSearchActiveIndex = (placeSearchActiveIndex + step + placeSearchMatches.length) % placeSearchMatches.length;
+            renderPlaceSearchResults();
+        } else if (event.key === 'Enter') {
+            // 入力後にデータを読み込んだ場合も最新の内容で検索する
+            placeSearchMatches = searchPlaces(placeSearchInput.value);
+            const place = placeSearchMatches[Math.min(placeSearchActiveIndex, placeSearchMatches.length - 1)];
+            if (place) {
+                selectPlaceSearchResult(place);
+            } else {
+                renderPlaceSearchResults();
+            }
+        } else if (event.key === 'Escape') {
+            placeSearchResults.hidden = true;
+        }
+    });
+
+    placeSearchInput.addEventListener('focus', () => {
+        if (placeSearchInput.value.trim()) {
+            placeSearchMatches = searchPlaces(placeSearchInput.value);
+            placeSearchActiveIndex = 0;
+            renderPlaceSearchResults();
+        }
+    });
+
+    placeSearchInput.addEventListener('blur', () => {
+        placeSearchResults.hidden = true;
+    });
+
+    // --- 計測 ---
+
+    // 計測の線・面のスタイル
+    const measureStyle = { color: '#d6008f', weight: 3, dashArray: '4 6', fillColor: '#d6008f', fillOpacity: 0.1, interactive: false, pane: 'editHandles' };
+
+    /**
+     * 計測パネルの表示を更新する
+     */
+    function renderMeasurePanel() {
+        const messages = {
+            distance: '地図をクリックして頂点を追加し、ダブルクリックまたは［完了］で確定します。',
+            area: '地図をクリックして面の頂点を追加し、ダブルクリックまたは［完了］で確定します。',
+            bearing: '始点と終点をクリックしてください。',
+            feature: '計測するGeoJSON・GPX・KML・作図の線または面をクリックしてください。'
+        };
+        measureStatus.textContent = messages[measureTool] || 'ツールを選択してください。';
+        measureToolButtons.forEach(button => button.classList.toggle('active', button.dataset.measure === measureTool));
+        measureFinishBtn.disabled = !(measureTool === 'distance' || measureTool === 'area') || isMeasureFinished;
+
+        measureSummary.innerHTML = measureResult
+            ? measureResult.summary.map(([label, value]) => `<div>${label}: <strong>${escapeHtml(value)}</strong></div>`).join('')
+            : '';
+        const segments = measureResult ? measureResult.segments : [];
+        measureTable.hidden = segments.length === 0;
+        let cumulative = 0;
+        measureTableBody.innerHTML = segments.map((distance, index) => {
+            cumulative += distance;
+            return `<tr><td>${index + 1}</td><td>${formatDistance(distance)}</td><td>${formatDistance(cumulative)}</td></tr>`;
+        }).join('');
+    }
+
+    /**
+     * 計測ツールを切り替える（同じツールを選ぶと終了）
+     * @param {string|null} tool 'distance'、'area'、'bearing'、'feature'、または null
+     */
+    function setMeasureTool(tool) {
+        clearMeasurement();
+        measureTool = tool === measureTool ? null : tool;
+
+        if (measureTool) {
+            // 中心座標設定モード・位置合わせモード・作図・実寸の2点の指定とは排他
+            isCenteringMode = false;
+            centerCoordBtn.classList.remove('active');
+            exitGeorefMode();
+            setDrawTool(null);
+            stopProfilePick();
+            stopScalePointPick();
+            map.doubleClickZoom.disable();
+        } else {
+            map.doubleClickZoom.enable();
+        }
+        mapContainer.style.cursor = measureTool && measureTool !== 'feature' ? 'crosshair' : '';
+        renderMeasurePanel();
+    }
+
+    /**
+     * 計測結果を消去する
+     */
+    function clearMeasurement() {
+        measureLatLngs = [];
+        measureResult = null;
+        isMeasureFinished = false;
+        measureLayer.clearLayers();
+        renderMeasurePanel();
+    }
+
+    /**
+     * クリックした頂点から計測結果を計算し、地図とパネルに表示する
+     */
+    function updateMeasurement() {
+        measureLayer.clearLayers();
+        const latlngs = measureLatLngs;
+
+        if (measureTool === 'area' && latlngs.length >= 3) {
+            L.polygon(latlngs, measureStyle).addTo(measureLayer);
+        } else if (latlngs.length >= 2) {
+            L.polyline(latlngs, measureStyle).addTo(measureLayer);
+        }
+        latlngs.forEach(latlng => {
+            L.circleMarker(latlng, { radius: 4, color: '#d6008f', fillColor: '#fff', fillOpacity: 1, weight: 2, interactive: false, pane: 'editHandles' })
+                .addTo(measureLayer);
+        });
+
+        if (measureTool === 'distance') {
+            const length = geodesicLength(latlngs);
+            measureResult = { summary: [['距離', formatDistance(length.total)]], segments: length.segments };
+        } else if (measureTool === 'area') {
+            const perimeter = geodesicLength(latlngs, true);
+            measureResult = {
+                summary: [['面積', latlngs.length >= 3 ? formatArea(geodesicArea(latlngs)) : '-'], ['周長', formatDistance(perimeter.total)]],
+                segments: perimeter.segments
+            };
+        } else if (measureTool === 'bearing') {
+            const result = latlngs.length === 2 ? geodesicInverse(latlngs[0], latlngs[1]) : null;
+            measureResult = latlngs.length === 2 ? {
+                summary: [
+                    ['方位角', result ? formatAzimuth(result.azimuth) : '-'],
+                    ['逆方位角', result ? formatAzimuth(result.backAzimuth) : '-'],
+                    ['距離', formatDistance(result ? result.distance : NaN)]
+                ],
+                segments: []
+            } : null;
+        }
+
+        // 最後の頂点に合計を表示
+        if (measureResult && latlngs.length >= 2) {
+            L.tooltip({ permanent: true, direction: 'right', className: 'measure-label', pane: 'editHandles' })
+                .setLatLng(latlngs[latlngs.length - 1])
+                .setContent(escapeHtml(measureResult.summary[0][1]))
+                .addTo(measureLayer);
+        }
+        renderMeasurePanel();
+    }
+
+    /**
+     * 読み込んだ線・面の図形を計測する
+     * @param {L.Polyline} geometryLayer クリックされた線・面のレイヤー
+     */
+    function measureFeature(geometryLayer) {
+        clearMeasurement();
+        const geometry = geometryLayer.toGeoJSON(false).geometry;
+        const toLatLngs = coordinates => coordinates.map(coordinate => L.latLng(coordinate[1], coordinate[0]));
+
+        if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+            const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+            const segments = [];
+            lines.forEach(line => segments.push(...geodesicLength(toLatLngs(line)).segments));
+            const total = segments.reduce((sum, distance) => sum + distance, 0);
+            measureResult = { summary: [['線の長さ', formatDistance(total)], ['頂点数', String(segments.length + lines.length)]], segments };
+        } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            let area = 0, perimeter = 0;
+            polygons.forEach(rings => rings.forEach((ring, ringIndex) => {
+                // GeoJSONのリングは閉じているので最後の頂点を除く
+                const latlngs = toLatLngs(ring.slice(0, -1));
+                const ringArea = geodesicArea(latlngs);
+                area += ringIndex === 0 ? ringArea : -ringArea; // 2つめ以降のリングは穴
+                perimeter += geodesicLength(latlngs, true).total;
+            }));
+            measureResult = { summary: [['面積', formatArea(area)], ['周長', formatDistance(perimeter)]], segments: [] };
+        } else {
+            return;
+        }
+
+        L.geoJSON(geometry, { style: measureStyle, interactive: false, pane: 'editHandles' }).addTo(measureLayer);
+        isMeasureFinished = true;
+        renderMeasurePanel();
+    }
+
+    /**
+     * 計測中の距離・面積を確定する
+     */
+    function finishMeasurement() {
+        if (measureLatLngs.length < (measureTool === 'area' ? 3 : 2)) {
+            showMessageBox(`${measureTool === 'area' ? '面積' : '距離'}の計測には${measureTool === 'area' ? 3 : 2}点以上が必要です。`);
+            return;
+        }
+        isMeasureFinished = true;
+        renderMeasurePanel();
+    }
+
+    // 計測のクリック処理（確定後のクリックで次の計測を始める）
+    map.on('click', (e) => {
+        if (!measureTool || measureTool === 'feature') return;
+        if (isMeasureFinished || (measureTool === 'bearing' && measureLatLngs.length >= 2)) {
+            clearMeasurement();
+        }
+        measureLatLngs.push(e.latlng);
+        updateMeasurement();
+    });
+
+    // ダブルクリックで距離・面積を確定（直前の2回のクリックで同じ位置に頂点が重複するので1つ除く）
+    map.on('dblclick', () => {
+        if ((measureTool !== 'distance' && measureTool !== 'area') || isMeasureFinished) return;
+        measureLatLngs.pop();
+        updateMeasurement();
+        finishMeasurement();
+    });
+
+    measureBtn.addEventListener('click', () => {
+        measurePanel.hidden = !measurePanel.hidden;
+        measureBtn.classList.toggle('active', !measurePanel.hidden);
+        if (measurePanel.hidden) {
+            setMeasureTool(null);
+        }
+        renderMeasurePanel();
+    });
+
+    measurePanelCloseBtn.addEventListener('click', () => {
+        measurePanel.hidden = true;
+        measureBtn.classList.remove('active');
+        setMeasureTool(null);
+    });
+
+    measureToolButtons.forEach(button => button.addEventListener('click', () => setMeasureTool(button.dataset.measure)));
+    measureFinishBtn.addEventListener('click', finishMeasurement);
+    measureClearBtn.addEventListener('click', clearMeasurement);
+
+    // --- 標高断面図 ---
+
+    const DEFAULT_DEM_SETTINGS = { url: 'https://cyberjapandata.gsi.go.jp/xyz/dem_png/{z}/{x}/{y}.png', zoom: 14 }; // 地理院タイル（標高タイル DEM10B）
+    const DEM_SETTINGS_KEY = 'gsimap2.demTileSettings'; // DEMタイルの設定を保存するlocalStorageのキー
+    const DEM_TILE_SIZE = 256; // DEMタイルの大きさ（ピクセル）
+    const DEM_NO_DATA = 2 ** 23; // 標高PNGの無効値（R=128, G=0, B=0）
+    const DEM_UNIT = 0.01; // 標高PNGの値の単位（m）
+    const PROFILE_MAX_SAMPLES = 500; // 断面図の標高を取得する点の最大数
+    const PROFILE_MIN_INTERVAL = 5; // 標高を取得する点の最小間隔（m）
+    const PROFILE_CHART = { width: 240, height: 140, left: 40, right: 8, top: 8, bottom: 20 }; // 断面図の大きさと余白（px）
+    const demTileCache = new Map(); // DEMタイルのURL → ImageData（タイルがない場合は null）のPromise
+
+    // 断面図を表示している線のスタイル
+    const profileLineStyle = { color: '#00a0a0', weight: 5, opacity: 0.6, interactive: false, pane: 'editHandles' };
+
+    /**
+     * DEMタイルの設定を読み込む
+     * @returns {{url: string, zoom: number}} URLのテンプレートとズームレベル
+     */
+    function loadDemSettings() {
+        try {
+            return { ...DEFAULT_DEM_SETTINGS, ...JSON.parse(localStorage.getItem(DEM_SETTINGS_KEY)) };
+        } catch (error) {
+            return { ...DEFAULT_DEM_SETTINGS };
+        }
+    }
+
+    /**
+     * 設定欄のDEMタイルの設定を保存する
+     */
+    function saveDemSettings() {
+        const zoom = parseInt(demTileZoomInput.value, 10);
+        const settings = {
+            url: demTileUrlInput.value.trim() || DEFAULT_DEM_SETTINGS.url,
+            zoom: Number.isInteger(zoom) && zoom >= 0 ? zoom : DEFAULT_DEM_SETTINGS.zoom
+        };
+        localStorage.setItem(DEM_SETTINGS_KEY, JSON.stringify(settings));
+        demTileCache.clear();
+        renderDemSettings(settings);
+    }
+
+    /**
+     * DEMタイルの設定を設定欄に表示する
+     * @param {{url: string, zoom: number}} settings DEMタイルの設定
+     */
+    function renderDemSettings(settings) {
+        demTileUrlInput.value = settings.url;
+        demTileZoomInput.value = settings.zoom;
+    }
+
+    /**
+     * DEMタイルを読み込んでピクセルデータを取得する（同じURLは1回だけ読み込む）
+     * @param {string} url タイルのURL
+     * @returns {Promise<ImageData|null>} ピクセルデータ（タイルがない・読み込めない場合は null）
+     */
+    function loadDemTile(url) {
+        if (!demTileCache.has(url)) {
+            demTileCache.set(url, new Promise(resolve => {
+                const image = new Image();
+                image.crossOrigin = 'anonymous';
+                image.onload = () => {
+                    try {
+                        const canvas = document.createElement('canvas');
+                        canvas.width = image.naturalWidth;
+                        canvas.height = image.naturalHeight;
+                        const context = canvas.getContext('2d');
+                        context.drawImage(image, 0, 0);
+                        resolve(context.getImageData(0, 0, canvas.width, canvas.height));
+                    } catch (error) {
+                        // CORSが許可されていないタイルはピクセルを読めない
+                        console.error('DEMタイルの読み取りに失敗しました:', url, error);
+                        resolve(null);
+                    }
+                };
+                // 海域などタイルがない場所は標高なしとする
+                image.onerror = () => resolve(null);
+                image.src = url;
+            }));
+        }
+        return demTileCache.get(url);
+    }
+
+    /**
+     * 標高PNGのピクセルを標高に変換する
+     * @param {ImageData} imageData タイルのピクセルデータ
+     * @param {number} x タイル内のx座標（ピクセル）
+     * @param {number} y タイル内のy座標（ピクセル）
+     * @returns {number|null} 標高（m）。無効値の場合は null
+     */
+    function decodeDemPixel(imageData, x, y) {
+        const index = (y * imageData.width + x) * 4;
+        const [r, g, b, alpha] = imageData.data.slice(index, index + 4);
+        const value = r * 65536 + g * 256 + b;
+        if (alpha === 0 || value === DEM_NO_DATA) return null;
+        return (value > DEM_NO_DATA ? value - 2 ** 24 : value) * DEM_UNIT;
+    }
+
+    /**
+     * 線に沿って標高を取得する点を作る（頂点と、一定間隔で補間した点）
+     * @param {L.LatLng[]} latlngs 線の頂点
+     * @returns {Array<{distance: number, latlng: L.LatLng, elevation: number|null}>} 始点からの距離（m）と位置
+     */
+    function buildProfileSamples(latlngs) {
+        const { segments, total } = geodesicLength(latlngs);
+        const interval = Math.max(total / PROFILE_MAX_SAMPLES, PROFILE_MIN_INTERVAL);
+        const samples = [];
+        let cumulative = 0;
+        segments.forEach((length, index) => {
+            const start = latlngs[index], end = latlngs[index + 1];
+            const distance = Number.isFinite(length) ? length : 0;
+            const steps = Math.max(1, Math.ceil(distance / interval));
+            for (let step = 0; step < steps; step++) {
+                const ratio = step / steps;
+                samples.push({
+                    distance: cumulative + distance * ratio,
+                    latlng: L.latLng(start.lat + (end.lat - start.lat) * ratio, start.lng + (end.lng - start.lng) * ratio),
+                    elevation: null
+                });
+            }
+            cumulative += distance;
+        });
+        samples.push({ distance: cumulative, latlng: latlngs[latlngs.length - 1], elevation: null });
+        return samples;
+    }
+
+    /**
+     * DEMタイルから各点の標高を取得する
+     * @param {Array<Object>} samples buildProfileSamples で作った点（elevation を設定する）
+     * @param {{url: string, zoom: number}} settings DEMタイルの設定
+     */
+    async function fillProfileElevations(samples, settings) {
+        const lookups = samples.map(sample => {
+            const point = map.project(sample.latlng, settings.zoom);
+            const x = Math.floor(point.x / DEM_TILE_SIZE), y = Math.floor(point.y / DEM_TILE_SIZE);
+            return {
+                url: getTileUrl(settings.url, settings.zoom, x, y),
+                px: Math.min(Math.floor(point.x - x * DEM_TILE_SIZE), DEM_TILE_SIZE - 1),
+                py: Math.min(Math.floor(point.y - y * DEM_TILE_SIZE), DEM_TILE_SIZE - 1)
+            };
+        });
+        const tiles = new Map();
+        await Promise.all([...new Set(lookups.map(lookup => lookup.url))]
+            .map(async url => tiles.set(url, await loadDemTile(url))));
+        lookups.forEach((lookup, index) => {
+            const imageData = tiles.get(lookup.url);
+            samples[index].elevation = imageData ? decodeDemPixel(imageData, lookup.px, lookup.py) : null;
+        });
+    }
+
+    /**
+     * 断面図の累積標高・最高点・最低点を求める
+     * @param {Array<Object>} samples 標高を取得した点
+     * @returns {{ascent: number, descent: number, max: Object|null, min: Object|null}} 累積標高（m）と最高・最低の点
+     */
+    function computeProfileStats(samples) {
+        const valid = samples.filter(sample => sample.elevation !== null);
+        let ascent = 0, descent = 0;
+        valid.forEach((sample, index) => {
+            if (index === 0) return;
+            const diff = sample.elevation - valid[index - 1].elevation;
+            if (diff > 0) {
+                ascent += diff;
+            } else {
+                descent -= diff;
+            }
+        });
+        const max = valid.reduce((best, sample) => (!best || sample.elevation > best.elevation ? sample : best), null);
+        const min = valid.reduce((best, sample) => (!best || sample.elevation < best.elevation ? sample : best), null);
+        return { ascent, descent, max, min };
+    }
+
+    /**
+     * 断面図の描画範囲を求める
+     * @returns {{totalDistance: number, minElevation: number, maxElevation: number}} 横軸・縦軸の範囲
+     */
+    function getProfileRange() {
+        const elevations = profileSamples.map(sample => sample.elevation).filter(elevation => elevation !== null);
+        const minElevation = Math.floor(Math.min(...elevations) / 10) * 10;
+        const maxElevation = Math.max(Math.ceil(Math.max(...elevations) / 10) * 10, minElevation + 10);
+        return { totalDistance: profileSamples[profileSamples.length - 1].distance || 1, minElevation, maxElevation };
+    }
+
+    /**
+     * 距離・標高を断面図の座標（px）に変換する
+     * @param {number} distance 始点からの距離（m）
+     * @param {number} elevation 標高（m）
+     * @param {Object} range getProfileRange の戻り値
+     * @returns {{x: number, y: number}} 断面図の座標
+     */
+    function toProfileChartPoint(distance, elevation, range) {
+        const { width, height, left, right, top, bottom } = PROFILE_CHART;
+        return {
+            x: left + distance / range.totalDistance * (width - left - right),
+            y: top + (range.maxElevation - elevation) / (range.maxElevation - range.minElevation) * (height - top - bottom)
+        };
+    }
+
+    /**
+     * 断面図（距離と標高のグラフ）と集計を表示する
+     */
+    function renderElevationProfile() {
+        const stats = computeProfileStats(profileSamples);
+        if (!stats.max) {
+            profileChart.innerHTML = '';
+            profileStatsBody.innerHTML = '';
+            profileStatus.textContent = '標高を取得できませんでした。DEMタイルのURLとズームレベルを確認してください。';
+            return;
+        }
+
+        const range = getProfileRange();
+        const { width, height, left, top, bottom } = PROFILE_CHART;
+        // 標高のない点で線を途切れさせる
+        let path = '';
+        let isDrawing = false;
+        profileSamples.forEach(sample => {
+            if (sample.elevation === null) {
+                isDrawing = false;
+                return;
+            }
+            const point = toProfileChartPoint(sample.distance, sample.elevation, range);
+            path += `${isDrawing ? 'L' : 'M'}${point.x.toFixed(1)},${point.y.toFixed(1)}`;
+            isDrawing = true;
+        });
+        const bottomY = height - bottom;
+        profileChart.innerHTML = `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <line class="profile-axis" x1="${left}" y1="${top}" x2="${left}" y2="${bottomY}"/>
+                <line class="profile-axis" x1="${left}" y1="${bottomY}" x2="${width - PROFILE_CHART.right}" y2="${bottomY}"/>
+                <text x="${left - 4}" y="${top + 8}" text-anchor="end">${range.maxElevation}m</text>
+                <text x="${left - 4}" y="${bottomY}" text-anchor="end">${range.minElevation}m</text>
+                <text x="${left}" y="${height - 4}">0</text>
+                <text x="${width - PROFILE_CHART.right}" y="${height - 4}" text-anchor="end">${formatDistance(range.totalDistance)}</text>
+                <path class="profile-line" d="${path}"/>
+                <line class="profile-cursor" x1="0" y1="${top}" x2="0" y2="${bottomY}" visibility="hidden"/>
+            </svg>
+        `;
+
+        const missing = profileSamples.filter(sample => sample.elevation === null).length;
+        const rows = [
+            ['距離', formatDistance(range.totalDistance)],
+            ['累積標高（上り）', `${stats.ascent.toFixed(1)} m`],
+            ['累積標高（下り）', `${stats.descent.toFixed(1)} m`],
+            ['最高点', `${stats.max.elevation.toFixed(1)} m（${formatDistance(stats.max.distance)}地点）`],
+            ['最低点', `${stats.min.elevation.toFixed(1)} m（${formatDistance(stats.min.distance)}地点）`]
+        ];
+        if (missing > 0) {
+            rows.push(['標高なし', `${missing}点`]);
+        }
+        profileStatsBody.innerHTML = rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+    }
+
+    /**
+     * 断面図上の位置に対応する点を地図と断面図に表示する
+     * @param {Object|null} sample 表示する点（null の場合は非表示）
+     */
+    function highlightProfileSample(sample) {
+        const cursor = profileChart.querySelector('.profile-cursor');
+        if (!sample) {
+            profileLayer.removeLayer(profileHoverMarker);
+            profileHoverInfo.textContent = '';
+            if (cursor) cursor.setAttribute('visibility', 'hidden');
+            return;
+        }
+        profileHoverMarker.setLatLng(sample.latlng).addTo(profileLayer);
+        const elevation = sample.elevation === null ? '標高なし' : `${sample.elevation.toFixed(1)} m`;
+        profileHoverInfo.textContent = `${formatDistance(sample.distance)}地点: ${elevation}`;
+        if (cursor) {
+            const { x } = toProfileChartPoint(sample.distance, 0, getProfileRange());
+            cursor.setAttribute('x1', x);
+            cursor.setAttribute('x2', x);
+            cursor.setAttribute('visibility', 'visible');
+        }
+    }
+
+    /**
+     * 線の標高断面図を作成する
+     * @param {L.Polyline} geometryLayer 線のレイヤー
+     */
+    async function showElevationProfile(geometryLayer) {
+        stopProfilePick();
+        const geometry = geometryLayer.toGeoJSON(false).geometry;
+        // MultiLineString（GPXのトラックセグメントなど）は順につないで1本の線とする
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+        const latlngs = lines.flat().map(coordinate => L.latLng(coordinate[1], coordinate[0]));
+        if (latlngs.length < 2) return;
+
+        const requestId = ++profileRequestId;
+        profileSourceLayer = geometryLayer;
+        profileSamples = [];
+        highlightProfileSample(null);
+        profileLayer.clearLayers();
+        L.polyline(latlngs, profileLineStyle).addTo(profileLayer);
+        profileChart.innerHTML = '';
+        profileStatsBody.innerHTML = '';
+        profileStatus.textContent = '標高を取得しています…';
+
+        const samples = buildProfileSamples(latlngs);
+        try {
+            await fillProfileElevations(samples, loadDemSettings());
+        } catch (error) {
+            if (requestId !== profileRequestId) return;
+            console.error('標高の取得に失敗しました:', error);
+            profileStatus.textContent = '標高の取得に失敗しました。DEMタイルのURLを確認してください。';
+            return;
+        }
+        if (requestId !== profileRequestId) return; // 取得中に別の線が選ばれた
+
+        profileSamples = samples;
+        const name = geometryLayer.feature && geometryLayer.feature.properties && geometryLayer.feature.properties.name;
+        profileStatus.textContent = `対象: ${name || '名称なし'}（${samples.length}点）`;
+        renderElevationProfile();
+    }
+
+    /**
+     * 断面図を表示する線の選択を開始する
+     */
+    function startProfilePick() {
+        // 図形のクリックを使う作図・計測とは排他
+        setDrawTool(null);
+        setMeasureTool(null);
+        isProfilePickMode = true;
+        profilePickBtn.classList.add('active');
+        profileStatus.textContent = '断面図を表示するGeoJSON・GPX・KML・作図の線をクリックしてください。';
+    }
+
+    /**
+     * 断面図を表示する線の選択を終了する
+     */
+    function stopProfilePick() {
+        isProfilePickMode = false;
+        profilePickBtn.classList.remove('active');
+    }
+
+    /**
+     * 断面図を消去する
+     */
+    function clearElevationProfile() {
+        stopProfilePick();
+        profileRequestId++;
+        profileSourceLayer = null;
+        profileSamples = [];
+        highlightProfileSample(null);
+        profileLayer.clearLayers();
+        profileChart.innerHTML = '';
+        profileStatsBody.innerHTML = '';
+        profileStatus.textContent = '［線を選択］を押して、断面図を表示する線をクリックしてください。';
+    }
+
+    // 断面図上のマウス位置に対応する点を表示
+    profileChart.addEventListener('mousemove', (e) => {
+        const svg = profileChart.querySelector('svg');
+        if (!svg || profileSamples.length === 0) return;
+        const rect = svg.getBoundingClientRect();
+        const { width, left, right } = PROFILE_CHART;
+        const ratio = Math.min(Math.max((e.clientX - rect.left - left) / (width - left - right), 0), 1);
+        const distance = ratio * getProfileRange().totalDistance;
+        const nearest = profileSamples.reduce((best, sample) =>
+            Math.abs(sample.distance - distance) < Math.abs(best.distance - distance) ? sample : best);
+        highlightProfileSample(nearest);
+    });
+
+    profileChart.addEventListener('mouseleave', () => highlightProfileSample(null));
+
+    profileBtn.addEventListener('click', () => {
+        profilePanel.hidden = !profilePanel.hidden;
+        profileBtn.classList.toggle('active', !profilePanel.hidden);
+        if (profilePanel.hidden) {
+            clearElevationProfile();
+        } else {
+            renderDemSettings(loadDemSettings());
+            if (!profileSourceLayer) clearElevationProfile();
+        }
+    });
+
+    profilePanelCloseBtn.addEventListener('click', () => {
+        profilePanel.hidden = true;
+        profileBtn.classList.remove('active');
+        clearElevationProfile();
+    });
+
+    profilePickBtn.addEventListener('click', () => {
+        if (isProfilePickMode) {
+            stopProfilePick();
+        } else {
+            startProfilePick();
+        }
+    });
+
+    // DEMタイルの設定を変えたら、表示中の断面図を取得し直す
+    [demTileUrlInput, demTileZoomInput].forEach(input => input.addEventListener('change', () => {
+        saveDemSettings();
+        if (profileSourceLayer) showElevationProfile(profileSourceLayer);
+    }));
+
+    demTileResetBtn.addEventListener('click', () => {
+        renderDemSettings(DEFAULT_DEM_SETTINGS);
+        saveDemSettings();
+        if (profileSourceLayer) showElevationProfile(profileSourceLayer);
+    });
+
+    // --- プロジェクト保存・読込 ---
+
+    const PROJECT_FILE_TYPE = 'GSImap2Project'; // プロジェクトファイルの識別子
+    const PROJECT_FILE_VERSION = 2; // プロジェクトファイルの形式バージョン（2で画像を複数保存する images に変更）
+
+    /**
+     * 座標を保存用の配列に変換する
+     * @param {L.LatLng} latlng 座標
+     * @returns {number[]} [緯度, 経度]
+     */
+    function latLngToArray(latlng) {
+        return [latlng.lat, latlng.lng];
+    }
+
+    /**
+     * 現在の状態をプロジェクトデータにまとめる
+     * @param {boolean} embedImage trueの場合は画像をデータURLとして埋め込む
+     * @returns {Object} プロジェクトデータ
+     */
+    function buildProjectData(embedImage) {
+        const project = {
+            type: PROJECT_FILE_TYPE,
+            version: PROJECT_FILE_VERSION,
+            view: { center: latLngToArray(map.getCenter()), zoom: map.getZoom() },
+            centerMarker: latLngToArray(centerMarker.getLatLng()),
+            images: [],
+            dataLayers: dataLayers.map(dataLayer => dataLayer.type === 'gps'
+                ? { type: 'gps', name: dataLayer.name, visible: dataLayer.visible, points: dataLayer.points }
+                : { type: 'geojson', name: dataLayer.name, format: dataLayer.format, visible: dataLayer.visible, style: dataLayer.style, data: dataLayer.data })
+        };
+
+        storeActiveGeoref();
+
+        // 画像は後ろのものから順に保存する
+        imageLayers.filter(imageLayer => imageLayer.overlay).forEach(imageLayer => {
+            const [topLeft, topRight, , bottomLeft] = imageLayer.overlay.getCorners();
+            project.images.push({
+                fileName: imageLayer.fileName,
+                pdfPage: imageLayer.pdfPage,
+                name: imageLayer.name,
+                visible: imageLayer.visible,
+                active: imageLayer === activeImageLayer,
+                dataUrl: embedImage ? imageLayer.image.src : null,
+                corners: [topLeft, topRight, bottomLeft].map(latLngToArray),
+                opacity: Math.round(imageLayer.overlay.options.opacity * 100),
+                scale: Math.round(getImageScale(imageLayer.overlay.getCorners()) * 100) / 100,
+                groundResolution: formatGroundResolution(getGroundResolution(imageLayer.overlay.getCorners(), imageLayer.image)),
+                rotation: Math.round(getImageRotation(imageLayer.overlay) * 10) / 10,
+                georef: {
+                    type: imageLayer.georefType,
+                    points: imageLayer.georefPoints.map(p => ({ image: [p.imagePoint.x, p.imagePoint.y], map: latLngToArray(p.mapLatLng), residual: p.residual })),
+                    rms: imageLayer.georefRms
+                }
+            });
+        });
+        return project;
+    }
+
+    /**
+     * プロジェクトの画像情報から画像の配置と基準点を復元する（画像は読み込んで選択済みであること）
+     * @param {Object} imageInfo プロジェクトデータの images の要素
+     */
+    function restoreProjectImage(imageInfo) {
+        activeImageLayer.name = imageInfo.name || imageInfo.fileName;
+        activeImageLayer.pdfPage = imageInfo.pdfPage || null;
+        activeImageLayer.visible = imageInfo.visible !== false;
+        opacityInput.value = imageInfo.opacity;
+        scaleInput.value = imageInfo.scale;
+        rotationInput.value = imageInfo.rotation;
+        placeImageOverlay(imageInfo.corners);
+        updateScaleFromBounds(imageOverlay.getCorners()); // 保存時と単位が異なる場合も、配置した大きさを表示する
+        updateRotationInput();
+
+        // 位置合わせ後に手で調整した場合もあるので、変換は計算し直さず保存時の四隅を最終的な配置とする
+        if (imageInfo.georef) {
+            activeImageLayer.georefType = GEOREF_TYPES.includes(imageInfo.georef.type) ? imageInfo.georef.type : GEOREF_DEFAULT_TYPE;
+            georefTypeSelect.value = activeImageLayer.georefType;
+            georefPoints = imageInfo.georef.points.map(p => ({
+                imagePoint: L.point(p.image[0], p.image[1]),
+                mapLatLng: L.latLng(p.map),
+                residual: Number.isFinite(p.residual) ? p.residual : null
+            }));
+            georefRms = Number.isFinite(imageInfo.georef.rms) ? imageInfo.georef.rms : null;
+            updateGeorefMarkers();
+            renderGeorefPanel();
+        }
+
+        const center = imageOverlay.getCenter();
+        centerMarker.setLatLng(center);
+        updateCoordInputs(center);
+    }
+
+    /**
+     * 読み込んだ画像をすべて削除する
+     */
+    function clearImageLayers() {
+        selectImageLayer(null);
+        imageLayers.forEach(imageLayer => {
+            if (imageLayer.overlay) map.removeLayer(imageLayer.overlay);
+            if (imageLayer.centerMarker) map.removeLayer(imageLayer.centerMarker);
+        });
+        imageLayers.length = 0;
+        renderLayerPanel();
+    }
+
+    /**
+     * プロジェクトデータから状態を復元する
+     * @param {Object} project プロジェクトデータ
+     */
+    async function openProject(project) {
+        if (!project || project.type !== PROJECT_FILE_TYPE) {
+            throw new Error('プロジェクトファイルの形式ではありません');
+        }
+
+        // 現在の状態をクリア
+        clearImageLayers();
+        clearDataLayers();
+        clearHistory(); // 開く前の画像・データには戻せない
+        pendingProjectImages = [];
+
+        map.setView(project.view.center, project.view.zoom);
+        centerMarker.setLatLng(project.centerMarker);
+        updateCoordInputs(centerMarker.getLatLng());
+
+        // データは読み込みと同じく分割して作成し、保存時の重なり順で登録する
+        try {
+            for (const dataLayer of project.dataLayers || []) {
+                const added = dataLayer.type === 'gps'
+                    ? registerDataLayer(await buildGpsLayer(dataLayer.name, dataLayer.points))
+                    : registerGeojsonLayer(await buildGeojsonLayer(dataLayer.name, dataLayer.data, dataLayer.format, dataLayer.style));
+                if (dataLayer.visible === false) {
+                    setDataLayerVisible(added, false);
+                }
+            }
+        } finally {
+            hideLoadProgress();
+        }
+        renderLayerPanel();
+
+        // 形式バージョン1のプロジェクトは画像を1枚だけ image に保存している
+        const imageInfos = project.images || (project.image ? [project.image] : []);
+        const embeddedImages = imageInfos.filter(imageInfo => imageInfo.dataUrl);
+        const activeImageInfo = imageInfos.find(imageInfo => imageInfo.active);
+
+        // 画像がファイル名で参照されている場合は、利用者が同じ画像を選択した時に復元する
+        pendingProjectImages = imageInfos.filter(imageInfo => !imageInfo.dataUrl);
+        if (pendingProjectImages.length > 0) {
+            const fileNames = pendingProjectImages.map(imageInfo => `「${escapeHtml(imageInfo.fileName)}」`).join('<br>');
+            showMessageBox(`画像ファイル${fileNames}<br>を「画像読込」ボタンで選択してください。`);
+        }
+
+        // 埋め込まれた画像は重なり順を保つため1枚ずつ順に読み込み、最後に保存時に選択していた画像を選択する
+        let restoredActiveLayer = null;
+        const loadEmbeddedImage = (index) => {
+            if (index >= embeddedImages.length) {
+                if (restoredActiveLayer) selectImageLayer(restoredActiveLayer);
+                return;
+            }
+            const imageInfo = embeddedImages[index];
+            const image = new Image();
+            image.onload = () => {
+                const imageLayer = addImageLayer(image, imageInfo.fileName);
+                if (imageInfo === activeImageInfo) restoredActiveLayer = imageLayer;
+                restoreProjectImage(imageInfo);
+                loadEmbeddedImage(index + 1);
+            };
+            image.onerror = () => {
+                showMessageBox('プロジェクトに埋め込まれた画像の読み込みに失敗しました。');
+                loadEmbeddedImage(index + 1);
+            };
+            image.src = imageInfo.dataUrl;
+        };
+        loadEmbeddedImage(0);
+    }
+
+    // 「プロジェクト保存」ボタンクリックイベント
+    saveProjectBtn.addEventListener('click', () => {
+        const project = buildProjectData(embedImageCheckbox.checked);
+        const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+        downloadFile(blob, 'gsimap-project.json');
+    });
+
+    // 「プロジェクト読込」ボタンクリックイベント
+    openProjectBtn.addEventListener('click', () => projectInput.click());
+
+    // プロジェクトファイル読み込み処理
+    projectInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                await openProject(JSON.parse(e.target.result));
+                console.log('プロジェクトファイルを読み込みました');
+            } catch (error) {
+                console.error('プロジェクトファイルの読み込みに失敗しました:', error);
+                showMessageBox('プロジェクトファイルの読み込みに失敗しました。<br>有効なプロジェクトファイルを選択してください。');
+            }
+        };
+
+        reader.readAsText(file);
+        event.target.value = '';
+    });
+
+    // --- 位置合わせ済み画像の書き出し ---
+
+    // EPSG:3857（Webメルカトル）の座標系定義（WKT）
+    const EPSG3857_WKT = 'PROJCS["WGS 84 / Pseudo-Mercator",GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]],PROJECTION["Mercator_1SP"],PARAMETER["central_meridian",0],PARAMETER["scale_factor",1],PARAMETER["false_easting",0],PARAMETER["false_northing",0],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AXIS["Easting",EAST],AXIS["Northing",NORTH],EXTENSION["PROJ4","+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs"],AUTHORITY["EPSG","3857"]]';
+
+    /**
+     * 画像のピクセル座標から指定座標系への変換係数を画像の角の位置から求める
+     * 変換式: x = a*u + c*v + e, y = b*u + d*v + f（u, v は画像左上を原点とするピクセル座標）
+     * @param {number} epsg 座標系（4326: 経緯度、3857: Webメルカトル）
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}} 変換係数
+     */
+    function getImageAffine(epsg) {
+        const toPoint = epsg === 3857
+            ? latlng => L.CRS.EPSG3857.project(latlng)
+            : latlng => L.point(latlng.lng, latlng.lat);
+        const [topLeft, topRight, , bottomLeft] = imageOverlay.getCorners().map(toPoint);
+        const width = currentImage.naturalWidth;
+        const height = currentImage.naturalHeight;
+        return {
+            a: (topRight.x - topLeft.x) / width,
+            b: (topRight.y - topLeft.y) / width,
+            c: (bottomLeft.x - topLeft.x) / height,
+            d: (bottomLeft.y - topLeft.y) / height,
+            e: topLeft.x,
+            f: topLeft.y
+        };
+    }
+
+    /**
+     * 書き出し用のファイル名（拡張子なし）を取得する
+     * @returns {string} ファイル名
+     */
+    function getExportBaseName() {
+        return activeImageLayer.fileName.replace(/\.[^.]+$/, '') || 'overlay';
+    }
+
+    /**
+     * 現在の画像を元の解像度でキャンバスに描画する
+     * @returns {HTMLCanvasElement} 描画したキャンバス
+     */
+    function renderImageToCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = currentImage.naturalWidth;
+        canvas.height = currentImage.naturalHeight;
+        canvas.getContext('2d').drawImage(currentImage, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * キャンバスの内容をPNG形式のBlobに変換する
+     * @param {HTMLCanvasElement} canvas 変換するキャンバス
+     * @returns {Promise<Blob>} PNG画像
+     */
+    function canvasToPngBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNGへの変換に失敗しました'))), 'image/png');
+        });
+    }
+
+    /**
+     * ワールドファイルの内容を作成する（EPSG:3857）
+     * @returns {string} ワールドファイルの内容
+     */
+    function buildWorldFile() {
+        const { a, b, c, d, e, f } = getImageAffine(3857);
+        // ワールドファイルの基準は左上ピクセルの中心
+        const lines = [a, b, c, d, e + (a + c) / 2, f + (b + d) / 2];
+        return lines.map(value => value.toFixed(10)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * PNG画像とワールドファイル（.pgw）、座標系定義をZIPにまとめて書き出す
+     */
+    async function exportWorldFile() {
+        const baseName = getExportBaseName();
+        const zip = new JSZip();
+        zip.file(`${baseName}.png`, await canvasToPngBlob(renderImageToCanvas()));
+        zip.file(`${baseName}.pgw`, buildWorldFile());
+        zip.file(`${baseName}.prj`, EPSG3857_WKT);
+        // GDAL（QGIS）が座標系を認識するための補助ファイル
+        zip.file(`${baseName}.png.aux.xml`, `<PAMDataset>\n  <SRS>${EPSG3857_WKT}</SRS>\n</PAMDataset>\n`);
+        downloadFile(await zip.generateAsync({ type: 'blob' }), `${baseName}_worldfile.zip`);
+    }
+
+    /**
+     * KMLのGroundOverlayで画像の位置を表す要素を作成する
+     * 回転のみの場合は LatLonBox（rotation付き）、せん断を含む場合は gx:LatLonQuad を使用する
+     * @returns {string} KMLの要素
+     */
+    function buildKmlOverlayPosition() {
+        const crs = L.CRS.EPSG3857;
+        const corners = imageOverlay.getCorners();
+        const [topLeft, topRight, , bottomLeft] = corners.map(corner => crs.project(corner));
+        const top = topRight.subtract(topLeft);
+        const left = bottomLeft.subtract(topLeft);
+        const topLength = top.distanceTo(L.point(0, 0));
+        const leftLength = left.distanceTo(L.point(0, 0));
+        const isRectangle = Math.abs(top.x * left.x + top.y * left.y) <= 1e-6 * topLength * leftLength;
+
+        if (!isRectangle) {
+            // 左下から反時計回りに四隅を指定する
+            const quad = [corners[3], corners[2], corners[1], corners[0]]
+                .map(corner => `${corner.lng},${corner.lat}`).join(' ');
+            return `<gx:LatLonQuad><coordinates>${quad}</coordinates></gx:LatLonQuad>`;
+        }
+
+        // 回転前の画像の大きさを、中心位置の縮尺で緯度・経度の幅に換算する
+        // （投影座標は経度1ラジアンあたり地球半径分、緯度方向はさらにcos(緯度)倍で実距離になる）
+        const center = imageOverlay.getCenter();
+        const earthRadius = L.CRS.Earth.R;
+        const mercatorScale = Math.cos(center.lat * Math.PI / 180);
+        const halfWidthDeg = topLength / 2 / earthRadius * 180 / Math.PI;
+        const halfHeightDeg = leftLength * mercatorScale / 2 / earthRadius * 180 / Math.PI;
+        // KMLの回転角は反時計回り（投影座標のy軸は北向き）
+        const rotation = Math.atan2(top.y, top.x) * 180 / Math.PI;
+        return `<LatLonBox>
+        <north>${center.lat + halfHeightDeg}</north>
+        <south>${center.lat - halfHeightDeg}</south>
+        <east>${center.lng + halfWidthDeg}</east>
+        <west>${center.lng - halfWidthDeg}</west>
+        <rotation>${rotation}</rotation>
+      </LatLonBox>`;
+    }
+
+    /**
+     * 画像をGroundOverlayとしてKMZ形式で書き出す
+     */
+    async function exportKmz() {
+        const baseName = getExportBaseName();
+        // KMLの色は aabbggrr 形式。透過度を画像の不透明度に反映する
+        const alpha = Math.round(getDisplayOpacity() * 255).toString(16).padStart(2, '0');
+        const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeHtml(baseName)}</name>
+    <GroundOverlay>
+      <name>${escapeHtml(baseName)}</name>
+      <color>${alpha}ffffff</color>
+      <Icon><href>files/${encodeURIComponent(baseName)}.png</href></Icon>
+      ${buildKmlOverlayPosition()}
+    </GroundOverlay>
+  </Document>
+</kml>
+`;
+        const zip = new JSZip();
+        zip.file('doc.kml', kml);
+        zip.file(`files/${baseName}.png`, await canvasToPngBlob(renderImageToCanvas()));
+        downloadFile(await zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.google-earth.kmz' }), `${baseName}.kmz`);
+    }
+
+    /**
+     * RGBA画素と変換係数からGeoTIFF（非圧縮）を作成する
+     * @param {ImageData} imageData 画像の画素
+     * @param {Object} affine getImageAffine の戻り値
+     * @param {number} epsg 座標系（4326 または 3857）
+     * @returns {ArrayBuffer} GeoTIFFのバイト列
+     */
+    function buildGeoTiff(imageData, affine, epsg) {
+        const { width, height, data } = imageData;
+        const { a, b, c, d, e, f } = affine;
+        const isAxisAligned = b === 0 && c === 0;
+
+        // GeoKeyDirectory: ヘッダー（バージョン, リビジョン, マイナーリビジョン, キー数）と各キー
+        const geoKeys = epsg === 3857
+            ? [[1024, 1], [1025, 1], [3072, 3857]] // 投影座標系・PixelIsArea・EPSG:3857
+            : [[1024, 2], [1025, 1], [2048, 4326]]; // 地理座標系・PixelIsArea・EPSG:4326
+        const geoKeyDirectory = [1, 1, 0, geoKeys.length];
+        geoKeys.forEach(([keyId, value]) => geoKeyDirectory.push(keyId, 0, 1, value));
+
+        // [タグ, 型(3:SHORT, 4:LONG, 12:DOUBLE), 値の配列]
+        const SHORT = 3, LONG = 4, DOUBLE = 12;
+        const pixelBytes = width * height * 4;
+        const entries = [
+            [256, LONG, [width]],
+            [257, LONG, [height]],
+            [258, SHORT, [8, 8, 8, 8]],
+            [259, SHORT, [1]], // 非圧縮
+            [262, SHORT, [2]], // RGB
+            [273, LONG, [0]], // 画素データの位置（後で設定）
+            [277, SHORT, [4]],
+            [278, LONG, [height]],
+            [279, LONG, [pixelBytes]],
+            [284, SHORT, [1]],
+            [338, SHORT, [2]] // 4番目のチャンネルは透過（非乗算）
+        ];
+        if (isAxisAligned) {
+            entries.push([33550, DOUBLE, [a, -d, 0]]); // ModelPixelScale
+            entries.push([33922, DOUBLE, [0, 0, 0, e, f, 0]]); // ModelTiepoint
+        } else {
+            entries.push([34264, DOUBLE, [a, c, 0, e, b, d, 0, f, 0, 0, 0, 0, 0, 0, 0, 1]]); // ModelTransformation
+        }
+        entries.push([34735, SHORT, geoKeyDirectory]);
+
+        const typeSize = { [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+        const ifdOffset = 8;
+        const ifdSize = 2 + entries.length * 12 + 4;
+
+        // 4バイトに収まらない値は IFD の後ろに配置する
+        let extraOffset = ifdOffset + ifdSize;
+        const layout = entries.map(([tag, type, values]) => {
+            const size = typeSize[type] * values.length;
+            if (size <= 4) return { tag, type, values, offset: null };
+            extraOffset += extraOffset % 2; // ワード境界に揃える
+            const offset = extraOffset;
+            extraOffset += size;
+            return { tag, type, values, offset };
+        });
+        const pixelOffset = extraOffset + (extraOffset % 2);
+        layout.find(entry => entry.tag === 273).values = [pixelOffset];
+
+        const buffer = new ArrayBuffer(pixelOffset + pixelBytes);
+        const view = new DataView(buffer);
+        const writeValue = (offset, type, value) => {
+            if (type === SHORT) view.setUint16(offset, value, true);
+            else if (type === LONG) view.setUint32(offset, value, true);
+            else view.setFloat64(offset, value, true);
+        };
+
+        // ヘッダー（リトルエンディアン）
+        view.setUint8(0, 0x49);
+        view.setUint8(1, 0x49);
+        view.setUint16(2, 42, true);
+        view.setUint32(4, ifdOffset, true);
+
+        view.setUint16(ifdOffset, layout.length, true);
+        layout.forEach((entry, index) => {
+            const entryOffset = ifdOffset + 2 + index * 12;
+            view.setUint16(entryOffset, entry.tag, true);
+            view.setUint16(entryOffset + 2, entry.type, true);
+            view.setUint32(entryOffset + 4, entry.values.length, true);
+            const valueOffset = entry.offset === null ? entryOffset + 8 : entry.offset;
+            if (entry.offset !== null) {
+                view.setUint32(entryOffset + 8, entry.offset, true);
+            }
+            entry.values.forEach((value, i) => writeValue(valueOffset + i * typeSize[entry.type], entry.type, value));
+        });
+        view.setUint32(ifdOffset + 2 + layout.length * 12, 0, true); // 次のIFDなし
+
+        new Uint8Array(buffer, pixelOffset, pixelBytes).set(data);
+        return buffer;
+    }
+
+    /**
+     * 画像をGeoTIFF形式で書き出す
+     * @param {number} epsg 座標系（4326 または 3857）
+     */
+    function exportGeoTiff(epsg) {
+        const canvas = renderImageToCanvas();
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const tiff = buildGeoTiff(imageData, getImageAffine(epsg), epsg);
+        downloadFile(new Blob([tiff], { type: 'image/tiff' }), `${getExportBaseName()}_${epsg}.tif`);
+    }
+
+    // 「画像書き出し」ボタンクリックイベント
+    exportImageBtn.addEventListener('click', async () => {
+        if (!imageOverlay) {
+            showMessageBox('書き出す画像を先に読み込んでください。');
+            return;
+        }
+        try {
+            switch (exportFormatSelect.value) {
+                case 'worldfile':
+                    await exportWorldFile();
+                    break;
+                case 'kmz':
+                    await exportKmz();
+                    break;
+                case 'geotiff4326':
+                    exportGeoTiff(4326);
+                    break;
+                case 'geotiff3857':
+                    exportGeoTiff(3857);
+                    break;
+            }
+        } catch (error) {
+            console.error('画像の書き出しに失敗しました:', error);
+            showMessageBox('画像の書き出しに失敗しました。');
+        }
+    });
+
+    // --- 共有リンク（URLのハッシュ） ---
+
+    const PERMALINK_UPDATE_DELAY = 300; // 地図・画像の操作が落ち着いてからURLを更新するまでの時間（ミリ秒）
+    const PERMALINK_PRECISION = 6; // 座標の小数点以下の桁数（約0.1m）
+
+    /**
+     * 現在の地図の表示・背景地図・中心座標マーカー・画像の配置をURLのハッシュにする
+     * 形式: #map=ズーム/緯度/経度&base=背景地図&marker=緯度/経度&overlay=四隅;透過度;ファイル名;URL（画像ごと）
+     * @returns {string} ハッシュ（先頭の # を含む）
+     */
+    function buildPermalinkHash() {
+        const formatLatLng = (latlng, separator) => `${latlng.lat.toFixed(PERMALINK_PRECISION)}${separator}${latlng.lng.toFixed(PERMALINK_PRECISION)}`;
+        const params = [
+            `map=${map.getZoom()}/${formatLatLng(map.getCenter(), '/')}`,
+            `base=${encodeURIComponent(getSelectedBaseMap().id)}`,
+            `marker=${formatLatLng(centerMarker.getLatLng(), '/')}`
+        ];
+        const addOverlayParam = (corners, opacity, fileName, sourceUrl) => {
+            params.push('overlay=' + [
+                corners.map(corner => formatLatLng(L.latLng(corner), ',')).join(','),
+                Math.round(opacity),
+                encodeURIComponent(fileName),
+                sourceUrl ? encodeURIComponent(sourceUrl) : ''
+            ].join(';'));
+        };
+        // 画像は後ろのものから順に並べる（左上・右上・左下の緯度・経度をカンマ区切り）
+        imageLayers.filter(imageLayer => imageLayer.overlay).forEach(imageLayer => {
+            const [topLeft, topRight, , bottomLeft] = imageLayer.overlay.getCorners();
+            addOverlayParam([topLeft, topRight, bottomLeft], imageLayer.overlay.options.opacity * 100, imageLayer.fileName, imageLayer.sourceUrl);
+        });
+        // 配置待ちの画像も、リンクを開いた人が選択すれば同じ位置に表示されるよう残す
+        pendingProjectImages.filter(imageInfo => imageInfo.corners).forEach(imageInfo => {
+            addOverlayParam(imageInfo.corners, imageInfo.opacity, imageInfo.fileName, null);
+        });
+        return `#${params.join('&')}`;
+    }
+
+    /**
+     * URLのハッシュを解析する（解析できない項目は無視する）
+     * @param {string} hash URLのハッシュ
+     * @returns {{view: Object|null, baseMapId: string|null, marker: L.LatLng|null, overlays: Object[]}}
+     *   表示 { center, zoom }、背景地図のID、中心座標マーカーの位置、画像の配置 { corners, opacity, fileName, url }
+     */
+    function parsePermalinkHash(hash) {
+        const state = { view: null, baseMapId: null, marker: null, overlays: [] };
+        const toNumbers = text => text.split(/[/,]/).map(Number);
+        const isValidLatLng = (lat, lng) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+        hash.replace(/^#/, '').split('&').forEach(param => {
+            const separatorIndex = param.indexOf('=');
+            if (separatorIndex < 0) return;
+            const key = param.slice(0, separatorIndex);
+            const value = param.slice(separatorIndex + 1);
+            try {
+                if (key === 'map') {
+                    const [zoom, lat, lng] = toNumbers(value);
+                    if (Number.isFinite(zoom) && isValidLatLng(lat, lng)) {
+                        state.view = { center: L.latLng(lat, lng), zoom };
+                    }
+                } else if (key === 'base') {
+                    state.baseMapId = decodeURIComponent(value);
+                } else if (key === 'marker') {
+                    const [lat, lng] = toNumbers(value);
+                    if (isValidLatLng(lat, lng)) state.marker = L.latLng(lat, lng);
+                } else if (key === 'overlay') {
+                    const [cornerText, opacityText, fileName, url] = value.split(';');
+                    const numbers = toNumbers(cornerText);
+                    if (numbers.length !== 6 || !numbers.every(Number.isFinite)) return;
+                    const opacity = parseInt(opacityText, 10);
+                    state.overlays.push({
+                        corners: [[numbers[0], numbers[1]], [numbers[2], numbers[3]], [numbers[4], numbers[5]]],
+                        opacity: opacity >= 0 && opacity <= 100 ? opacity : getDisplayOpacity() * 100,
+                        fileName: decodeURIComponent(fileName || ''),
+                        url: url ? decodeURIComponent(url) : null
+                    });
+                }
+            } catch (error) {
+                console.warn('共有リンクの項目を解析できません:', param, error);
+            }
+        });
+        return state;
+    }
+
+    /**
+     * 解析したハッシュの地図の表示・背景地図・中心座標マーカーを反映する
+     * @param {Object} state parsePermalinkHash の戻り値
+     */
+    function applyPermalinkView(state) {
+        if (state.view) {
+            map.setView(state.view.center, state.view.zoom);
+        }
+        // 背景地図は一覧にあるもの（ユーザー定義は同じ設定がある場合）だけ反映し、設定には保存しない
+        if (state.baseMapId && state.baseMapId !== getSelectedBaseMap().id && getBaseMaps().some(baseMap => baseMap.id === state.baseMapId)) {
+            baseMapSettings.selected = state.baseMapId;
+            applyBaseMap();
+        }
+        if (state.marker) {
+            centerMarker.setLatLng(state.marker);
+            updateCoordInputs(state.marker);
+        }
+    }
+
+    /**
+     * URLが同じオリジン（このページと同じサーバー）のファイルを指しているか確認する
+     * @param {string} value URL（ページからの相対パスも可）
+     * @returns {string|null} 絶対URL、同じオリジンでない場合・URLとして解釈できない場合は null
+     */
+    function resolveSameOriginUrl(value) {
+        try {
+            const url = new URL(value, location.href);
+            return url.origin === location.origin ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * URLのファイル名を取得する
+     * @param {string} url 絶対URL
+     * @returns {string} パスの最後の部分
+     */
+    function getUrlFileName(url) {
+        return decodeURIComponent(new URL(url).pathname.split('/').pop());
+    }
+
+    /**
+     * 同じオリジンのURLから画像を読み込んで追加する
+     * @param {string} url 画像の絶対URL
+     * @param {Object|null} [imageInfo] 画像の配置（省略時は中心座標マーカーの位置に配置する）
+     */
+    async function loadImageFromUrl(url, imageInfo = null) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const blob = await response.blob();
+        const file = new File([blob], getUrlFileName(url) || 'image', { type: blob.type });
+        await loadImageFile(file, { sourceUrl: url, imageInfo });
+    }
+
+    /**
+     * 同じオリジンのURLからGeoJSONを読み込んで追加する
+     * @param {string} url GeoJSONの絶対URL
+     */
+    async function loadGeojsonFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const geojsonData = await response.json();
+        try {
+            registerGeojsonLayer(await buildGeojsonLayer(getUrlFileName(url) || 'GeoJSON', geojsonData));
+        } finally {
+            hideLoadProgress();
+        }
+    }
+
+    /**
+     * 起動時にURLのクエリ（?image=・?geojson=）とハッシュから状態を復元する
+     */
+    async function restoreFromUrl() {
+        const state = parsePermalinkHash(location.hash);
+        applyPermalinkView(state);
+
+        const query = new URLSearchParams(location.search);
+        const failedUrls = [];
+        const rejectedUrls = [];
+        const resolveUrls = values => values.map(value => {
+            const url = resolveSameOriginUrl(value);
+            if (!url) rejectedUrls.push(value);
+            return url;
+        }).filter(Boolean);
+
+        for (const url of resolveUrls(query.getAll('geojson'))) {
+            try {
+                await loadGeojsonFromUrl(url);
+            } catch (error) {
+                console.error('GeoJSONの読み込みに失敗しました:', url, error);
+                failedUrls.push(url);
+            }
+        }
+
+        // ハッシュの画像を重なり順に読み込む（URLのない画像は、利用者が同じファイルを選択した時に配置する）
+        const overlayUrls = [];
+        for (const overlay of state.overlays) {
+            const imageInfo = {
+                fileName: overlay.fileName,
+                name: overlay.fileName,
+                pdfPage: null,
+                visible: true,
+                opacity: overlay.opacity,
+                scale: scaleInput.value,
+                rotation: rotationInput.value,
+                corners: overlay.corners
+            };
+            const url = overlay.url ? resolveUrls([overlay.url])[0] : null;
+            if (url) {
+                overlayUrls.push(url);
+                try {
+                    await loadImageFromUrl(url, imageInfo);
+                } catch (error) {
+                    console.error('画像の読み込みに失敗しました:', url, error);
+                    failedUrls.push(url);
+                }
+            } else if (!overlay.url && overlay.fileName) {
+                pendingProjectImages.push(imageInfo);
+            }
+        }
+
+        // ?image= の画像のうちハッシュに配置がないものは、中心座標マーカーの位置に読み込む
+        for (const url of resolveUrls(query.getAll('image')).filter(url => !overlayUrls.includes(url))) {
+            try {
+                await loadImageFromUrl(url);
+            } catch (error) {
+                console.error('画像の読み込みに失敗しました:', url, error);
+                failedUrls.push(url);
+            }
+        }
+
+        // 画像を配置すると中心座標マーカーが画像の中心に移るので、リンクの位置に戻す
+        if (state.marker) {
+            centerMarker.setLatLng(state.marker);
+            updateCoordInputs(state.marker);
+        }
+
+        const messages = [];
+        if (pendingProjectImages.length > 0) {
+            const fileNames = pendingProjectImages.map(imageInfo => `「${escapeHtml(imageInfo.fileName)}」`).join('<br>');
+            messages.push(`画像ファイル${fileNames}<br>を「画像読込」ボタンで選択してください。`);
+        }
+        if (rejectedUrls.length > 0) {
+            messages.push(`このページと同じサーバー上のファイルのみ読み込めます。<br>${rejectedUrls.map(escapeHtml).join('<br>')}`);
+        }
+        if (failedUrls.length > 0) {
+            messages.push(`ファイルを読み込めませんでした。<br>${failedUrls.map(escapeHtml).join('<br>')}`);
+        }
+        if (messages.length > 0) {
+            showMessageBox(messages.join('<br><br>'));
+        }
+        clearHistory(); // リンクから開いた状態を操作の起点にする
+    }
+
+    /**
+     * URLのハッシュの更新を予約する（連続した操作の間は更新しない）
+     */
+    function schedulePermalinkUpdate() {
+        if (!isPermalinkReady) return;
+        clearTimeout(permalinkUpdateTimer);
+        permalinkUpdateTimer = setTimeout(() => {
+            // 履歴を増やさないよう、表示中のURLを置き換える
+            history.replaceState(null, '', buildPermalinkHash());
+        }, PERMALINK_UPDATE_DELAY);
+    }
+
+    map.on('moveend', schedulePermalinkUpdate);
+
+    // アドレスバーでハッシュだけを書き換えた場合は、地図の表示・背景地図・中心座標マーカーを反映する
+    window.addEventListener('hashchange', () => {
+        applyPermalinkView(parsePermalinkHash(location.hash));
+    });
+
+    // 「リンクをコピー」ボタンクリックイベント
+    copyLinkBtn.addEventListener('click', async () => {
+        clearTimeout(permalinkUpdateTimer);
+        history.replaceState(null, '', buildPermalinkHash());
+        try {
+            await navigator.clipboard.writeText(location.href);
+            showMessageBox('現在の表示のリンクをコピーしました。<br>URLから読み込んでいない画像は、開いた人が同じファイルを選択すると同じ位置に表示されます。');
+        } catch (error) {
+            console.error('リンクのコピーに失敗しました:', error);
+            showMessageBox(`リンクをコピーできませんでした。次のURLをコピーしてください。<br>${escapeHtml(location.href)}`);
+        }
+    });
+
+    restoreFromUrl().finally(() => {
+        isPermalinkReady = true;
+        schedulePermalinkUpdate();
     });
 });
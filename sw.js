@@ -0,0 +1,64 @@
+// オフライン用のService Worker
+// ダウンロード済みの地図タイル（app.js のオフライン地図機能で保存）と、アプリの画面を構成するファイルを配信する
+
+const TILE_CACHE = 'gsimap2-tiles'; // 地図タイルのキャッシュ名（app.js の OFFLINE_TILE_CACHE と同じ）
+const APP_CACHE = 'gsimap2-app-v2'; // アプリのファイルのキャッシュ名（ファイル構成を変えたら番号を上げる）
+
+// オフラインでもアプリを開けるようにキャッシュするファイル
+const APP_FILES = [
+    './',
+    './index.html',
+    './app.js',
+    './styles.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/xlsx@0.18.5/dist/xlsx.full.min.js',
+    'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
+    'https://unpkg.com/pako@1.0.11/dist/pako.min.js',
+    'https://unpkg.com/utif@3.1.0/UTIF.js',
+    'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.min.js',
+    'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.worker.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // 一部のファイルを取得できなくてもインストールは続ける
+    event.waitUntil(caches.open(APP_CACHE)
+        .then(cache => Promise.allSettled(APP_FILES.map(url => cache.add(url))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    // 古いバージョンのアプリのキャッシュを削除する
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('gsimap2-app-') && name !== APP_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const appUrls = APP_FILES.map(url => new URL(url, self.registration.scope).href);
+    if (appUrls.includes(request.url)) {
+        // アプリのファイルは最新を優先し、取得できない場合はキャッシュを使う
+        event.respondWith(fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(APP_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { cacheName: APP_CACHE })));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        // ダウンロード済みの地図タイルはキャッシュから返す（通信できない山間部でも表示できる）
+        event.respondWith(caches.open(TILE_CACHE)
+            .then(cache => cache.match(request.url))
+            .then(cached => cached || fetch(request)));
+    }
+});